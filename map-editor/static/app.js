@@ -1,5 +1,10 @@
 // Map Editor Application
-// Uses js-yaml for parsing (loaded via CDN in HTML)
+// js-yaml comes from node_modules via the server's /vendor/ route; see the
+// import map in index.html
+
+import YAML from "js-yaml";
+import { MapRenderer } from "./map-renderer.js";
+import { IsoPreview } from "./iso-preview.js";
 
 // Color constants matching the game's COLOR enum
 const COLORS = [
@@ -21,6 +26,29 @@ const COLORS = [
 	{ id: 15, name: "White", hex: "#ffffff", tag: "W" },
 ];
 
+// Exit and room link directions, as the template editor lists them
+const DIRECTIONS = [
+	"north",
+	"south",
+	"east",
+	"west",
+	"northeast",
+	"northwest",
+	"southeast",
+	"southwest",
+	"up",
+	"down",
+];
+
+// Diagonal exits aren't bits of their own: NORTHEAST is NORTH | EAST, so a
+// room has it only when both are set
+const DIAGONAL_DIRECTIONS = [
+	"northeast",
+	"northwest",
+	"southeast",
+	"southwest",
+];
+
 class MapEditor {
 	constructor() {
 		this.currentDungeon = null;
@@ -51,11 +79,33 @@ class MapEditor {
 		this.autoSaveTimeout = null; // Timeout for debounced auto-save
 		this.hasUnsavedChanges = false; // Track if there are unsaved changes
 		this.clipboard = null; // Stores copied cells data: { cells: [{x, y, z, roomIndex}], resets: [...] }
+		this.validationIssues = []; // Issues reported by the server on the last save
+		this.validationIssuesByCell = new Map(); // "x,y,z" -> issues
+		this.validationIssuesByTemplate = new Map(); // "type:id" -> issues
+		this.templateCatalog = null; // Pending or loaded /api/templates response
+		this.externalReferences = []; // References from other dungeons into this one
+		this.currentEtag = null; // ETag of the server copy our edits are based on
+		this.baseDungeon = null; // That server copy, used as the base for merges
+		this.ownWrites = 0; // Our requests in flight that write dungeon files
+		// Names our event stream, which is how live editing reaches us
+		this.clientId =
+			Math.random().toString(36).slice(2) + Date.now().toString(36);
+		this.collab = null; // Live editing session for the loaded dungeon
+		this.peers = new Map(); // Others in that session, by client id
+		this.pointerCell = null; // Grid cell under the mouse, shown to peers
+		this.presenceTimeout = null; // Throttles presence updates
+		this.user = null; // Logged-in account: {username, role, dungeons?}
+		this.mapRenderer = null; // Draws the grid; see getMapRenderer()
+		this.isoPreview = null; // The 3D preview, created when first opened
+		this.onionSkin = { above: false, below: false }; // Neighbouring layers shown faintly
 
 		this.init();
 	}
 
 	async init() {
+		this.user = await this.logIn();
+		this.showCurrentUser();
+
 		await this.loadDungeonList();
 		await this.loadRacesAndJobs();
 		await this.loadHitTypes();
@@ -63,6 +113,565 @@ class MapEditor {
 		// Check for unsaved work in localStorage
 		this.checkForUnsavedWork();
 		this.setupEventListeners();
+		this.watchServerEvents();
+	}
+
+	// Resolve with the logged-in account, asking for a login first if there
+	// isn't one
+	async logIn() {
+		const response = await fetch("/api/session");
+		if (response.ok) return response.json();
+
+		const modal = document.getElementById("login-modal");
+		const form = document.getElementById("login-form");
+		const errorText = document.getElementById("login-error");
+		modal.classList.add("active");
+		document.getElementById("login-username").focus();
+
+		return new Promise((resolve) => {
+			form.onsubmit = async (event) => {
+				event.preventDefault();
+				const response = await fetch("/api/login", {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({
+						username: document.getElementById("login-username").value,
+						password: document.getElementById("login-password").value,
+					}),
+				});
+				const result = await response.json();
+				if (!response.ok) {
+					errorText.textContent = result.error;
+					errorText.hidden = false;
+					return;
+				}
+				errorText.hidden = true;
+				form.onsubmit = null;
+				form.reset();
+				modal.classList.remove("active");
+				resolve(result);
+			};
+		});
+	}
+
+	async logOut() {
+		await fetch("/api/logout", { method: "POST" });
+		// Unsaved work stays in localStorage and is offered after logging in
+		location.reload();
+	}
+
+	showCurrentUser() {
+		const label = document.getElementById("current-user");
+		label.textContent = `${this.user.username} (${this.user.role})`;
+		label.title = this.user.dungeons
+			? `Can edit: ${this.user.dungeons.join(", ")}`
+			: "";
+		document.getElementById("users-btn").hidden = this.user.role !== "admin";
+		this.updateDungeonButtons();
+	}
+
+	// Same rule as the server's; it has the final say
+	canEditDungeon(id) {
+		if (this.user?.role === "admin") return true;
+		if (this.user?.role !== "builder") return false;
+		return !this.user.dungeons || this.user.dungeons.includes(id);
+	}
+
+	updateDungeonButtons() {
+		const loaded = !!this.currentDungeonId;
+		const editable = loaded && this.canEditDungeon(this.currentDungeonId);
+		document.getElementById("delete-dungeon-btn").disabled = !editable;
+		document.getElementById("rename-dungeon-btn").disabled = !editable;
+		document.getElementById("save-btn").disabled = loaded && !editable;
+	}
+
+	// Listen for dungeon files changing on disk (git pull, update-mud3, a hand
+	// edit or another editor tab). EventSource reconnects by itself.
+	watchServerEvents() {
+		const events = new EventSource(`/api/events?client=${this.clientId}`);
+		this.eventStreamOpen = new Promise((resolve) =>
+			events.addEventListener("open", resolve, { once: true }),
+		);
+		events.addEventListener("dungeon", (event) => {
+			this.handleDungeonFileChange(JSON.parse(event.data));
+		});
+
+		// Live editing
+		events.addEventListener("collab-ops", (event) =>
+			this.handleCollabOps(JSON.parse(event.data)),
+		);
+		events.addEventListener("collab-snapshot", (event) =>
+			this.handleCollabSnapshot(JSON.parse(event.data)),
+		);
+		events.addEventListener("collab-saved", (event) =>
+			this.handleCollabSaved(JSON.parse(event.data)),
+		);
+		events.addEventListener("collab-presence", (event) =>
+			this.handleCollabPresence(JSON.parse(event.data)),
+		);
+		events.addEventListener("collab-closed", (event) => {
+			const { id, reason } = JSON.parse(event.data);
+			if (this.collab?.id !== id) return;
+			this.collab = null;
+			this.peers.clear();
+			this.renderPeers();
+			this.showToast("Live editing ended", reason);
+		});
+		// The server forgets our sessions when the stream drops
+		events.addEventListener("open", () => {
+			if (this.collab && !this.collab.joining) this.joinCollabSession();
+		});
+		// A stream refused with 401 isn't retried: the login ran out or the
+		// server restarted, so log in again
+		events.addEventListener("error", async () => {
+			if (events.readyState !== EventSource.CLOSED) return;
+			const response = await fetch("/api/session");
+			if (response.status === 401) location.reload();
+		});
+
+		document.getElementById("disk-change-reload").onclick = async () => {
+			this.hideDiskChangeBanner();
+			await this.discardLocalChanges();
+		};
+		document.getElementById("disk-change-compare").onclick = async () => {
+			this.hideDiskChangeBanner();
+			try {
+				const response = await fetch(`/api/dungeons/${this.currentDungeonId}`);
+				const data = await response.json();
+				await this.resolveSaveConflict({
+					etag: response.headers.get("ETag"),
+					yaml: data.yaml,
+				});
+			} catch (error) {
+				this.showToast("Failed to load dungeon", error.message);
+			}
+		};
+		document.getElementById("disk-change-dismiss").onclick = () =>
+			this.hideDiskChangeBanner();
+	}
+
+	// Run a request that writes dungeon files. Change events arriving
+	// meanwhile come from our own write and are ignored.
+	async withOwnWrite(request) {
+		this.ownWrites++;
+		try {
+			return await request();
+		} finally {
+			this.ownWrites--;
+		}
+	}
+
+	// `change` is {id, etag}; etag is null when the file was deleted
+	async handleDungeonFileChange(change) {
+		if (this.ownWrites > 0) return;
+
+		// Any dungeon may hold templates or references the catalog shows
+		this.templateCatalog = null;
+
+		// A dungeon appeared or disappeared
+		const select = document.getElementById("dungeon-select");
+		const listed = [...select.options].some((o) => o.value === change.id);
+		if (listed === (change.etag === null)) {
+			await this.loadDungeonList();
+			select.value = this.currentDungeonId || "";
+		}
+
+		if (change.id !== this.currentDungeonId) {
+			if (this.currentDungeonId) await this.loadExternalReferences();
+			return;
+		}
+		this.loadActivity();
+		if (change.etag === this.currentEtag) return;
+
+		if (change.etag === null) {
+			this.showDiskChangeBanner(`"${change.id}" was deleted on disk.`, false);
+		} else if (this.hasUnsavedChanges) {
+			this.showDiskChangeBanner(
+				`"${change.id}" changed on disk while you have unsaved edits.`,
+				true,
+			);
+		} else {
+			await this.loadDungeonFromServer(change.id);
+			this.showToast(`Reloaded "${change.id}"`, "The file changed on disk");
+		}
+	}
+
+	showDiskChangeBanner(message, canReload) {
+		document.getElementById("disk-change-message").textContent = message;
+		document.getElementById("disk-change-reload").hidden = !canReload;
+		document.getElementById("disk-change-compare").hidden = !canReload;
+		document.getElementById("disk-change-banner").hidden = false;
+	}
+
+	hideDiskChangeBanner() {
+		document.getElementById("disk-change-banner").hidden = true;
+	}
+
+	// Join the live editing session for the loaded dungeon. Everyone in it
+	// shares one unsaved state: the server orders our operations and theirs,
+	// and each client keeps the state the server confirmed plus the
+	// operations of its own still in flight.
+	async joinCollabSession() {
+		const id = this.currentDungeonId;
+		const collab = {
+			id,
+			joining: true,
+			seq: 0,
+			confirmed: null, // Server state as of `seq`
+			pending: [], // Our batches of ops the server hasn't echoed yet
+			shadow: null, // Local state as of the last flush
+			buffered: [], // Events that arrived before the join finished
+			flushTimeout: null,
+		};
+		this.collab = collab;
+		this.peers.clear();
+		this.renderPeers();
+
+		try {
+			await this.eventStreamOpen;
+			const response = await fetch(`/api/dungeons/${id}/collab/join`, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ client: this.clientId }),
+			});
+			const result = await response.json();
+			if (!response.ok) throw new Error(result.error);
+			if (this.collab !== collab || !this.yamlData) return;
+
+			// Unsaved work from before joining goes on top of the shared state
+			const ownOps =
+				this.hasUnsavedChanges && this.baseDungeon && this.canEditDungeon(id)
+					? this.collabOps(
+							this.cloneDungeonState(this.baseDungeon),
+							this.cloneDungeonState(this.yamlData.dungeon),
+						)
+					: [];
+
+			collab.seq = result.seq;
+			collab.confirmed = this.cloneDungeonState(result.state.dungeon);
+			collab.joining = false;
+			result.peers.forEach((peer) => this.peers.set(peer.client, peer));
+
+			const state = this.cloneDungeonState(collab.confirmed);
+			ownOps.forEach((op) => this.applyCollabOp(state, op));
+			this.history = [this.cloneDungeonState(state)];
+			this.historyIndex = 0;
+			this.restoreStateFromHistory(state);
+			collab.shadow = this.cloneDungeonState(state);
+			if (ownOps.length > 0) this.sendCollabOps(ownOps);
+
+			// Others may have unsaved edits in the session already
+			const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+			if (
+				ownOps.length > 0 ||
+				!this.baseDungeon ||
+				!same(collab.confirmed, this.cloneDungeonState(this.baseDungeon))
+			) {
+				this.hasUnsavedChanges = true;
+				this.updateSaveButton();
+			}
+
+			// Catch up on anything that raced the join
+			const buffered = collab.buffered;
+			collab.buffered = [];
+			buffered.forEach(({ type, data }) =>
+				type === "ops"
+					? this.handleCollabOps(data)
+					: this.handleCollabSnapshot(data),
+			);
+
+			this.renderPeers();
+			this.sendPresence();
+		} catch (error) {
+			if (this.collab === collab) this.collab = null;
+			this.showToast("Live editing unavailable", error.message);
+		}
+	}
+
+	leaveCollabSession() {
+		const collab = this.collab;
+		if (!collab) return;
+		this.collab = null;
+		clearTimeout(collab.flushTimeout);
+		this.peers.clear();
+		this.renderPeers();
+		fetch(`/api/dungeons/${collab.id}/collab/leave`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ client: this.clientId }),
+		}).catch(() => {});
+	}
+
+	// Called after every edit; sends what changed once edits pause briefly
+	scheduleCollabFlush() {
+		const collab = this.collab;
+		if (!collab || collab.joining) return;
+		clearTimeout(collab.flushTimeout);
+		collab.flushTimeout = setTimeout(() => this.flushCollabOps(), 50);
+	}
+
+	flushCollabOps() {
+		const collab = this.collab;
+		if (!collab || collab.joining || !this.yamlData) return;
+		// Those who can't edit the dungeon follow the session without changing it
+		if (!this.canEditDungeon(collab.id)) return;
+		clearTimeout(collab.flushTimeout);
+		collab.flushTimeout = null;
+
+		const current = this.cloneDungeonState(this.yamlData.dungeon);
+		const ops = this.collabOps(collab.shadow, current);
+		collab.shadow = current;
+		if (ops.length > 0) this.sendCollabOps(ops);
+	}
+
+	sendCollabOps(ops) {
+		const collab = this.collab;
+		collab.pending.push(ops);
+		fetch(`/api/dungeons/${collab.id}/collab/ops`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ client: this.clientId, ops }),
+		})
+			.then(async (response) => {
+				if (!response.ok) throw new Error((await response.json()).error);
+			})
+			.catch((error) => {
+				// Our state no longer matches the session's; start over
+				if (this.collab !== collab) return;
+				this.showToast("Live edit was not sent", error.message);
+				this.joinCollabSession();
+			});
+	}
+
+	// Operations between two states; see src/collab-session.ts for the keys
+	collabOps(before, after) {
+		const ops = [];
+		const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+		if (!same(before.dimensions, after.dimensions)) {
+			ops.push({ key: "dimensions", value: after.dimensions });
+			ops.push({ key: "grid", value: after.grid });
+		} else {
+			after.grid.forEach((layer, l) =>
+				layer.forEach((row, y) =>
+					row.forEach((cell, x) => {
+						if (before.grid?.[l]?.[y]?.[x] !== cell) {
+							ops.push({ key: `cell:${l},${y},${x}`, value: cell });
+						}
+					}),
+				),
+			);
+		}
+
+		if (!same(before.rooms, after.rooms)) {
+			ops.push({ key: "rooms", value: after.rooms });
+		}
+
+		const keyed = (prefix, beforeList, afterList, keyOf) => {
+			const beforeMap = new Map(beforeList.map((v) => [keyOf(v), v]));
+			const afterMap = new Map(afterList.map((v) => [keyOf(v), v]));
+			afterMap.forEach((value, key) => {
+				if (!same(beforeMap.get(key), value)) {
+					ops.push({ key: `${prefix}:${key}`, value });
+				}
+			});
+			beforeMap.forEach((_, key) => {
+				if (!afterMap.has(key))
+					ops.push({ key: `${prefix}:${key}`, value: null });
+			});
+		};
+		keyed("template", before.templates, after.templates, (t) => t.id);
+		keyed("reset", before.resets, after.resets, this.resetMergeKey);
+
+		if ((before.resetMessage || "") !== (after.resetMessage || "")) {
+			ops.push({ key: "resetMessage", value: after.resetMessage || null });
+		}
+
+		return ops;
+	}
+
+	// Same as applyCollabOp in src/collab-session.ts; keep the two in step
+	applyCollabOp(dungeon, op) {
+		const separator = op.key.indexOf(":");
+		const kind = separator === -1 ? op.key : op.key.slice(0, separator);
+		const name = separator === -1 ? "" : op.key.slice(separator + 1);
+		const clone = (value) => JSON.parse(JSON.stringify(value));
+
+		const setKeyed = (list, matches) => {
+			const entries = dungeon[list] || [];
+			const index = entries.findIndex(matches);
+			if (op.value === null) {
+				if (index !== -1) entries.splice(index, 1);
+			} else if (index !== -1) {
+				entries[index] = clone(op.value);
+			} else {
+				entries.push(clone(op.value));
+			}
+			dungeon[list] = entries;
+		};
+
+		if (
+			separator === -1 &&
+			["dimensions", "grid", "rooms", "resetMessage"].includes(kind)
+		) {
+			if (op.value === null) delete dungeon[kind];
+			else dungeon[kind] = clone(op.value);
+		} else if (kind === "cell") {
+			const [layer, y, x] = name.split(",").map(Number);
+			const row = dungeon.grid?.[layer]?.[y];
+			if (row && x >= 0 && x < row.length) row[x] = op.value;
+		} else if (kind === "template") {
+			setKeyed("templates", (t) => t.id === name);
+		} else if (kind === "reset") {
+			setKeyed("resets", (r) => this.resetMergeKey(r) === name);
+		}
+	}
+
+	// Show a state that came from the session without sending it back
+	showCollabState(state) {
+		this.restoreStateFromHistory(state);
+		this.collab.shadow = this.cloneDungeonState(this.yamlData.dungeon);
+	}
+
+	handleCollabOps(data) {
+		const collab = this.collab;
+		if (!collab || data.id !== collab.id) return;
+		if (collab.joining) {
+			collab.buffered.push({ type: "ops", data });
+			return;
+		}
+		if (data.seq <= collab.seq) return;
+
+		// Our own unsent edits go in first so they aren't lost in the rebuild
+		this.flushCollabOps();
+		collab.seq = data.seq;
+		data.ops.forEach((op) => this.applyCollabOp(collab.confirmed, op));
+
+		// Our own batch is already on screen
+		if (data.client === this.clientId) {
+			collab.pending.shift();
+			return;
+		}
+
+		// What the server has, plus what we've sent that it hasn't got to
+		const state = this.cloneDungeonState(collab.confirmed);
+		collab.pending.flat().forEach((op) => this.applyCollabOp(state, op));
+		// Undo should only take back our own edits
+		this.history.forEach((entry) =>
+			data.ops.forEach((op) => this.applyCollabOp(entry, op)),
+		);
+		this.showCollabState(state);
+		this.saveToLocalStorage();
+	}
+
+	// The session's state was replaced, e.g. by restoring a revision
+	handleCollabSnapshot(data) {
+		const collab = this.collab;
+		if (!collab || data.id !== collab.id) return;
+		if (collab.joining) {
+			collab.buffered.push({ type: "snapshot", data });
+			return;
+		}
+		if (data.seq <= collab.seq) return;
+
+		this.flushCollabOps();
+		collab.seq = data.seq;
+		collab.confirmed = this.cloneDungeonState(data.state.dungeon);
+		this.currentEtag = data.etag;
+		this.baseDungeon = this.cloneDungeonState(data.state.dungeon);
+
+		const state = this.cloneDungeonState(collab.confirmed);
+		collab.pending.flat().forEach((op) => this.applyCollabOp(state, op));
+		this.history = [this.cloneDungeonState(state)];
+		this.historyIndex = 0;
+		this.showCollabState(state);
+		this.hasUnsavedChanges = collab.pending.length > 0;
+		this.updateSaveButton();
+	}
+
+	// Someone in the session saved; later saves must be based on their ETag
+	handleCollabSaved(data) {
+		const collab = this.collab;
+		if (!collab || data.id !== collab.id || collab.joining) return;
+		this.currentEtag = data.etag;
+
+		this.flushCollabOps();
+		if (data.clean && data.seq === collab.seq && collab.pending.length === 0) {
+			this.baseDungeon = this.cloneDungeonState(collab.confirmed);
+			this.hasUnsavedChanges = false;
+			localStorage.removeItem(this.getLocalStorageKey(collab.id));
+			this.updateSaveButton();
+		}
+	}
+
+	handleCollabPresence(data) {
+		if (!this.collab || data.id !== this.collab.id) return;
+		if (data.left) this.peers.delete(data.client);
+		else this.peers.set(data.client, data);
+		this.renderPeers();
+	}
+
+	// Tell the session where we are; sent at most every 100ms
+	sendPresence() {
+		if (!this.collab || this.collab.joining || this.presenceTimeout) return;
+		this.presenceTimeout = setTimeout(() => {
+			this.presenceTimeout = null;
+			const collab = this.collab;
+			if (!collab || collab.joining) return;
+			fetch(`/api/dungeons/${collab.id}/collab/presence`, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({
+					client: this.clientId,
+					layer: this.currentLayer,
+					cursor: this.pointerCell,
+					selection: [...this.selectedCells],
+				}),
+			}).catch(() => {});
+		}, 100);
+	}
+
+	peerColor(clientId) {
+		let hash = 0;
+		for (const char of clientId) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+		return `hsl(${Math.abs(hash) % 360}, 70%, 60%)`;
+	}
+
+	// List the others in the session and mark their cursors and selections
+	renderPeers() {
+		const list = document.getElementById("collab-peers");
+		list.innerHTML = "";
+		this.peers.forEach((peer) => {
+			const chip = document.createElement("span");
+			chip.className = "collab-peer";
+			chip.style.borderColor = this.peerColor(peer.client);
+			chip.textContent =
+				peer.layer === undefined
+					? peer.name
+					: `${peer.name} · layer ${peer.layer}`;
+			list.appendChild(chip);
+		});
+		list.hidden = this.peers.size === 0;
+
+		this.renderPeerPresence();
+	}
+
+	renderPeerPresence() {
+		const marks = new Map(); // "x,y" -> {color, cursor, selected}
+		this.peers.forEach((peer) => {
+			if (peer.layer !== this.currentLayer) return;
+			const color = this.peerColor(peer.client);
+			const mark = (x, y, kind) => {
+				const key = `${x},${y}`;
+				marks.set(key, { ...marks.get(key), color, [kind]: true });
+			};
+			(peer.selection || []).forEach((key) => {
+				const [x, y] = key.split(",");
+				mark(x, y, "selected");
+			});
+			if (peer.cursor) mark(peer.cursor.x, peer.cursor.y, "cursor");
+		});
+		this.mapRenderer?.setPeerMarks(marks);
 	}
 
 	async loadHitTypes() {
@@ -407,6 +1016,10 @@ class MapEditor {
 
 	async loadDungeon(id) {
 		try {
+			// Problems from the last save belong to the previous dungeon
+			this.setValidationIssues([]);
+			this.hideDiskChangeBanner();
+
 			// Check if there's unsaved work for this dungeon
 			const unsavedData = this.getLocalStorageKey(id);
 			const savedData = localStorage.getItem(unsavedData);
@@ -418,7 +1031,12 @@ class MapEditor {
 					// Load from localStorage
 					const parsed = JSON.parse(savedData);
 					this.currentDungeonId = id;
+					this.updateDungeonButtons();
 					this.yamlData = parsed.yamlData;
+					// Older saved work has no ETag; saving it goes through the conflict dialog
+					this.currentEtag = parsed.etag || null;
+					this.baseDungeon = parsed.baseDungeon || null;
+					await this.loadExternalReferences();
 					const dungeon = this.yamlData.dungeon;
 					this.currentDungeon = {
 						dimensions: dungeon.dimensions,
@@ -456,6 +1074,10 @@ class MapEditor {
 
 					// Setup layer selector
 					this.setupLayerSelector(dungeon.dimensions.layers);
+
+					await this.loadRevisions();
+					await this.loadActivity();
+					this.joinCollabSession();
 				} else {
 					// Load from server and clear localStorage
 					localStorage.removeItem(unsavedData);
@@ -475,6 +1097,10 @@ class MapEditor {
 		const response = await fetch(`/api/dungeons/${id}`);
 		const data = await response.json();
 		this.currentDungeonId = id;
+		this.updateDungeonButtons();
+		this.currentEtag = response.headers.get("ETag");
+		this.baseDungeon = YAML.load(data.yaml).dungeon;
+		this.hideDiskChangeBanner();
 		this.currentDungeon = {
 			dimensions: data.dimensions,
 			resetMessage: data.resetMessage || "",
@@ -489,9 +1115,11 @@ class MapEditor {
 		this.updatePlacementIndicator(null, null, null);
 
 		// Parse YAML
-		this.yamlData = jsyaml.load(data.yaml);
+		this.yamlData = YAML.load(data.yaml);
 		const dungeon = this.yamlData.dungeon;
 
+		await this.loadExternalReferences();
+
 		// Initialize history with current state
 		this.history = [this.cloneDungeonState(dungeon)];
 		this.historyIndex = 0;
@@ -518,6 +1146,10 @@ class MapEditor {
 		// Clear unsaved changes flag
 		this.hasUnsavedChanges = false;
 		this.updateSaveButton();
+
+		await this.loadRevisions();
+		await this.loadActivity();
+		this.joinCollabSession();
 	}
 
 	loadTemplates(dungeon) {
@@ -603,6 +1235,35 @@ class MapEditor {
 					: ""
 			}
 		`;
+		// Mark templates the server reported problems for
+		const templateIssues =
+			this.validationIssuesByTemplate.get(`${type}:${id}`) || [];
+		if (templateIssues.length > 0) {
+			const hasError = templateIssues.some((i) => i.severity === "error");
+			item.classList.add(hasError ? "validation-error" : "validation-warning");
+			const badge = document.createElement("span");
+			badge.className = "validation-badge";
+			badge.textContent = `⚠ ${templateIssues.length}`;
+			badge.title = templateIssues.map((i) => i.message).join("\n");
+			item.querySelector(".template-item-content h3").appendChild(badge);
+		}
+
+		// Show where mob/object templates are used
+		if (type !== "room" && !isDeleteTemplate) {
+			const usages = this.getTemplateUsages(id);
+			if (usages.length > 0) {
+				const link = document.createElement("button");
+				link.className = "template-usage-link";
+				link.textContent = this.describeUsageCount(usages);
+				link.title = "Show where this template is used";
+				link.addEventListener("click", (e) => {
+					e.stopPropagation();
+					this.showUsagesModal(id, display, usages);
+				});
+				item.querySelector(".template-item-content").appendChild(link);
+			}
+		}
+
 		item.addEventListener("click", () => {
 			// If there's an active selection, place template in all selected cells
 			if (this.selectedCells.size > 0) {
@@ -840,8 +1501,64 @@ class MapEditor {
 			SOUTH: 1 << 1,
 			EAST: 1 << 2,
 			WEST: 1 << 3,
+			NORTHEAST: (1 << 0) | (1 << 2),
+			NORTHWEST: (1 << 0) | (1 << 3),
+			SOUTHEAST: (1 << 1) | (1 << 2),
+			SOUTHWEST: (1 << 1) | (1 << 3),
+			UP: 1 << 8,
+			DOWN: 1 << 9,
 		};
-		return (room.allowedExits & DIRECTION[direction]) !== 0;
+		// Diagonals need both of their bits
+		return (room.allowedExits & DIRECTION[direction]) === DIRECTION[direction];
+	}
+
+	// Helper function to check UP and DOWN exits for a cell. Each is null
+	// (no exit), 'exit' (the room on the other layer takes it and can exit
+	// back), 'link' (a room link goes elsewhere) or 'broken'; `problems`
+	// says why each broken exit is broken.
+	getVerticalExits(dungeon, x, y, z) {
+		const exits = { up: null, down: null, problems: [] };
+		const room = this.getRoomAt(dungeon, x, y, z);
+		// Dense rooms cannot be exited at all
+		if (!room || room.dense) return exits;
+
+		const directions = [
+			{ name: "up", checkZ: z + 1, opposite: "DOWN", where: "above" },
+			{ name: "down", checkZ: z - 1, opposite: "UP", where: "below" },
+		];
+
+		for (const dir of directions) {
+			if (!this.hasExit(room, dir.name.toUpperCase())) continue;
+			if (room.roomLinks && room.roomLinks[dir.name]) {
+				exits[dir.name] = "link";
+				continue;
+			}
+
+			// Off the top or bottom layer there is no room either
+			const otherRoom = this.getRoomAt(dungeon, x, y, dir.checkZ);
+			let problem = null;
+			if (!otherRoom) {
+				problem = `no room ${dir.where}`;
+			} else if (otherRoom.dense) {
+				problem = `the room ${dir.where} is dense`;
+			} else if (!this.hasExit(otherRoom, dir.opposite)) {
+				problem = `the room ${dir.where} has no ${dir.opposite} exit back`;
+			}
+
+			exits[dir.name] = problem ? "broken" : "exit";
+			if (problem) {
+				exits.problems.push(`${dir.name.toUpperCase()} exit: ${problem}`);
+			}
+		}
+
+		return exits;
+	}
+
+	// Onion skin for a cell: 'room' or 'dense' if layer z has a room there
+	getOnionSkinAt(dungeon, x, y, z) {
+		const room = this.getRoomAt(dungeon, x, y, z);
+		if (!room) return null;
+		return room.dense ? "dense" : "room";
 	}
 
 	// Helper function to get exit indicators for a cell
@@ -857,6 +1574,12 @@ class MapEditor {
 			south: null,
 			east: null,
 			west: null,
+			// Diagonals are drawn across the cell's corners, but only where they
+			// say something the sides don't (see getDiagonalIndicator)
+			northeast: null,
+			northwest: null,
+			southeast: null,
+			southwest: null,
 		};
 
 		const currentRoom = this.getRoomAt(dungeon, x, y, z);
@@ -940,224 +1663,242 @@ class MapEditor {
 			}
 		}
 
+		for (const corner of DIAGONAL_DIRECTIONS) {
+			indicators[corner] = this.getDiagonalIndicator(
+				dungeon,
+				currentRoom,
+				x,
+				y,
+				z,
+				corner,
+			);
+		}
+
 		return indicators;
 	}
 
+	// Indicator for one diagonal of a room that isn't dense. Every room with
+	// both cardinal exits has the diagonal too, so a corner is only drawn for
+	// a room link, or for a diagonal exit that reaches a room the two
+	// cardinal neighbours don't lead to. Anything else is null.
+	getDiagonalIndicator(dungeon, room, x, y, z, corner) {
+		if (room.roomLinks && room.roomLinks[corner]) return "link";
+		if (!this.hasExit(room, corner.toUpperCase())) return null;
+
+		const vertical = corner.startsWith("north") ? "north" : "south";
+		const horizontal = corner.endsWith("east") ? "east" : "west";
+		const dx = horizontal === "east" ? 1 : -1;
+		const dy = vertical === "south" ? 1 : -1;
+		const target = this.getRoomAt(dungeon, x + dx, y + dy, z);
+		if (!target || target.dense) return null;
+
+		// The room one cardinal step from `from` leads into, if any
+		const step = (from, direction, toX, toY) => {
+			if (!this.hasExit(from, direction.toUpperCase())) return null;
+			if (from.roomLinks && from.roomLinks[direction]) return null;
+			const to = this.getRoomAt(dungeon, toX, toY, z);
+			return to && !to.dense ? to : null;
+		};
+		const throughVertical = step(room, vertical, x, y + dy);
+		if (throughVertical && step(throughVertical, horizontal, x + dx, y + dy)) {
+			return null;
+		}
+		const throughHorizontal = step(room, horizontal, x + dx, y);
+		if (
+			throughHorizontal &&
+			step(throughHorizontal, vertical, x + dx, y + dy)
+		) {
+			return null;
+		}
+
+		const opposite = `${vertical === "north" ? "SOUTH" : "NORTH"}${
+			horizontal === "east" ? "WEST" : "EAST"
+		}`;
+		return this.hasExit(target, opposite) ? "exit" : "one-way-exit";
+	}
+
 	renderMap(dungeon) {
-		const gridContainer = document.getElementById("map-grid");
-		gridContainer.innerHTML = "";
-
-		// Create wrapper for grid with rulers
-		const wrapper = document.createElement("div");
-		wrapper.className = "grid-wrapper";
-
-		// Create top ruler (column numbers)
-		const topRuler = document.createElement("div");
-		topRuler.className = "grid-ruler-top";
-		// Add corner cell (empty)
-		const cornerCell = document.createElement("div");
-		cornerCell.className = "grid-ruler-corner";
-		topRuler.appendChild(cornerCell);
-		// Add column numbers
-		for (let x = 0; x < dungeon.dimensions.width; x++) {
-			const rulerCell = document.createElement("div");
-			rulerCell.className = "grid-ruler-cell";
-			rulerCell.textContent = x;
-			topRuler.appendChild(rulerCell);
-		}
-		wrapper.appendChild(topRuler);
-
-		// Create main content area
-		const contentArea = document.createElement("div");
-		contentArea.className = "grid-content-area";
-
-		// Store current selection before clearing
-		const previousSelection = new Set(this.selectedCells);
+		const { width, height } = dungeon.dimensions;
+		const z = this.currentLayer;
 
 		// Get current layer (reverse because YAML stores top layer first)
-		const layerIndex = dungeon.dimensions.layers - 1 - this.currentLayer;
+		const layerIndex = dungeon.dimensions.layers - 1 - z;
 		const layer = dungeon.grid[layerIndex] || [];
 
-		// Render cells (YAML stores rows top-first, but we need to reverse for display)
-		for (let y = 0; y < dungeon.dimensions.height; y++) {
+		// Describe every cell; the renderer works out which ones changed
+		const cells = [];
+		const rowIssues = [];
+		for (let y = 0; y < height; y++) {
 			const row = layer[y] || [];
-			const rowWrapper = document.createElement("div");
-			rowWrapper.className = "grid-row-wrapper";
-
-			// Add row ruler cell before each row
-			const rowRulerCell = document.createElement("div");
-			rowRulerCell.className = "grid-ruler-cell grid-ruler-left";
-			rowRulerCell.textContent = y;
-			rowWrapper.appendChild(rowRulerCell);
-
-			for (let x = 0; x < dungeon.dimensions.width; x++) {
-				const cell = document.createElement("div");
-				cell.className = "grid-cell";
-				cell.dataset.x = x;
-				cell.dataset.y = y;
-				cell.dataset.z = this.currentLayer;
+			const issuesInRow =
+				this.validationIssuesByCell.get(`row,${y},${z}`) || [];
+			if (issuesInRow.length > 0) {
+				rowIssues[y] = issuesInRow.map((i) => i.message).join("\n");
+			}
 
+			for (let x = 0; x < width; x++) {
 				const roomIndex = row[x] || 0;
-				if (roomIndex > 0) {
-					cell.classList.add("has-room");
-					const room = dungeon.rooms[roomIndex - 1];
-					if (room) {
-						cell.title = room.display || `Room ${roomIndex}`;
-						// Add dense class if room is dense (cannot be entered or exited)
-						if (room.dense) {
-							cell.classList.add("dense-room");
-						}
-					}
-				}
+				const room = roomIndex > 0 ? dungeon.rooms[roomIndex - 1] : null;
 
 				// Get map display (text and color) with priority: mob > object > room
 				const { mapText, mapColor } = this.getMapDisplayForCell(
 					dungeon,
 					x,
 					y,
-					this.currentLayer,
-				);
-
-				// Set text content
-				cell.textContent = mapText || ".";
-
-				// Set color if specified
-				if (mapColor !== null && mapColor !== undefined) {
-					const color = COLORS.find((c) => c.id === mapColor);
-					if (color) {
-						cell.style.color = color.hex;
-					}
-				}
-
-				// Add exit indicators for all cells (rooms and empty cells)
-				const exitIndicators = this.getExitIndicators(
-					dungeon,
-					x,
-					y,
-					this.currentLayer,
+					z,
 				);
-				// Add classes for exit visualization
-				for (const [direction, indicatorType] of Object.entries(
-					exitIndicators,
-				)) {
-					if (indicatorType === "exit") {
-						cell.classList.add(`exit-${direction}`);
-					} else if (indicatorType === "one-way-exit") {
-						cell.classList.add(`one-way-exit-${direction}`);
-					} else if (indicatorType === "one-way-blocked") {
-						cell.classList.add(`one-way-blocked-${direction}`);
-					} else if (indicatorType === "blocked") {
-						cell.classList.add(`blocked-${direction}`);
-					} else if (indicatorType === "link") {
-						cell.classList.add(`exit-${direction}`);
-						cell.classList.add(`link-${direction}`);
-					}
+				const color =
+					mapColor !== null && mapColor !== undefined
+						? COLORS.find((c) => c.id === mapColor)?.hex
+						: null;
+
+				// Mark cells the server reported problems for
+				const cellIssues =
+					this.validationIssuesByCell.get(`${x},${y},${z}`) || [];
+				let issue = null;
+				if (cellIssues.length > 0) {
+					issue = cellIssues.some((i) => i.severity === "error")
+						? "error"
+						: "warning";
 				}
 
-				// Prevent text selection on cells
-				cell.style.userSelect = "none";
-				cell.style.webkitUserSelect = "none";
-
-				cell.addEventListener("mousedown", (e) => {
-					e.preventDefault();
-					if (this.selectionMode !== null) {
-						// Selection mode: start selection
-						this.isSelecting = true;
-						this.selectionStart = { x, y, z: this.currentLayer };
-						this.selectionEnd = { x, y, z: this.currentLayer };
-						this.updateSelection();
-					} else if (this.selectedTemplate !== null) {
-						// Only enable drag in insert mode
-						if (this.placementMode === "insert") {
-							this.isDragging = true;
-							this.processedCells.clear();
-							const cellKey = `${x},${y},${this.currentLayer}`;
-							if (!this.processedCells.has(cellKey)) {
-								this.processedCells.add(cellKey);
-								this.handleCellClick(x, y, this.currentLayer, roomIndex, true);
-							}
-						} else {
-							// Paint mode: just handle the click
-							this.handleCellClick(x, y, this.currentLayer, roomIndex, true);
-						}
-					}
-				});
-
-				cell.addEventListener("mouseenter", (e) => {
-					if (this.isSelecting && this.selectionMode !== null) {
-						// Update selection end point
-						this.selectionEnd = { x, y, z: this.currentLayer };
-						this.updateSelection();
-					} else if (
-						this.isDragging &&
-						this.selectedTemplate !== null &&
-						this.placementMode === "insert"
-					) {
-						e.preventDefault();
-						// Only place if this cell hasn't been processed yet
-						const cellKey = `${x},${y},${this.currentLayer}`;
-						if (!this.processedCells.has(cellKey)) {
-							this.processedCells.add(cellKey);
-							this.handleCellClick(x, y, this.currentLayer, roomIndex, true);
-						}
-					}
-				});
-
-				cell.addEventListener("click", (e) => {
-					if (!this.isDragging) {
-						this.handleCellClick(x, y, this.currentLayer, roomIndex);
-					} else {
-						e.preventDefault();
-					}
+				// UP and DOWN exits, marked where they lead nowhere
+				const verticalExits = this.getVerticalExits(dungeon, x, y, z);
+
+				// Rooms on the neighbouring layers, if onion skin is on
+				const above = this.onionSkin.above
+					? this.getOnionSkinAt(dungeon, x, y, z + 1)
+					: null;
+				const below = this.onionSkin.below
+					? this.getOnionSkinAt(dungeon, x, y, z - 1)
+					: null;
+
+				cells.push({
+					text: mapText || ".",
+					color: color || null,
+					room: roomIndex > 0,
+					// Dense rooms cannot be entered or exited
+					dense: Boolean(room?.dense),
+					// Exit indicators for all cells (rooms and empty cells)
+					indicators: this.getExitIndicators(dungeon, x, y, z),
+					up: verticalExits.up,
+					down: verticalExits.down,
+					above,
+					below,
+					issue,
+					title: [
+						room ? room.display || `Room ${roomIndex}` : null,
+						...verticalExits.problems,
+						...cellIssues.map((i) => i.message),
+					]
+						.filter(Boolean)
+						.join("\n"),
 				});
-
-				rowWrapper.appendChild(cell);
 			}
-			contentArea.appendChild(rowWrapper);
 		}
 
-		wrapper.appendChild(contentArea);
-		gridContainer.appendChild(wrapper);
-
-		// Restore selection visuals after rendering
-		this.selectedCells = previousSelection;
-		this.updateSelectionVisuals();
+		const renderer = this.getMapRenderer();
+		renderer.setLayer(width, height, z, cells, rowIssues);
 
-		// Restore single cell selection visual if selectedCell is set and on current layer
-		if (this.selectedCell && this.selectedCell.z === this.currentLayer) {
-			const { x, y, z } = this.selectedCell;
-			const cell = document.querySelector(
-				`[data-x="${x}"][data-y="${y}"][data-z="${z}"]`,
-			);
-			if (cell) {
-				cell.classList.add("selected");
-			}
-		} else if (this.selectedCell && this.selectedCell.z !== this.currentLayer) {
-			// Clear selectedCell if it's on a different layer
+		// Clear selectedCell if it's on a different layer
+		if (this.selectedCell && this.selectedCell.z !== z) {
 			this.selectedCell = null;
 		}
+		renderer.setSelectedCell(this.selectedCell);
+		this.updateSelectionVisuals();
+
+		// Edits made from dialogs end with a re-render
+		this.scheduleCollabFlush();
+		this.renderPeerPresence();
+		this.sendPresence();
 	}
 
-	handleCellClick(x, y, z, currentRoomIndex, skipInfo = false) {
-		// Only update single cell selection if no selection tool is active
-		if (this.selectionMode === null) {
-			// Update selected cell
-			document
-				.querySelectorAll(".grid-cell")
-				.forEach((c) => c.classList.remove("selected"));
-			const cell = document.querySelector(
-				`[data-x="${x}"][data-y="${y}"][data-z="${z}"]`,
-			);
-			if (cell) {
-				cell.classList.add("selected");
-				this.selectedCell = { x, y, z };
-			}
-		}
+	// The canvas renderer for #map-grid, created on first use. Mouse
+	// handling works per cell, as it would with an element for each.
+	getMapRenderer() {
+		if (this.mapRenderer) return this.mapRenderer;
 
-		// If a template is selected, place it
-		if (
-			this.selectedTemplate !== null &&
-			this.selectedTemplateType === "room"
+		const roomIndexAt = (x, y) => {
+			const dungeon = this.yamlData.dungeon;
+			const layerIndex = dungeon.dimensions.layers - 1 - this.currentLayer;
+			const row = (dungeon.grid[layerIndex] || [])[y] || [];
+			return row[x] || 0;
+		};
+
+		this.mapRenderer = new MapRenderer(document.getElementById("map-grid"), {
+			onCellDown: (x, y, e) => {
+				e.preventDefault();
+				if (!this.yamlData) return;
+				const z = this.currentLayer;
+				if (this.selectionMode !== null) {
+					// Selection mode: start selection
+					this.isSelecting = true;
+					this.selectionStart = { x, y, z };
+					this.selectionEnd = { x, y, z };
+					this.updateSelection();
+				} else if (this.selectedTemplate !== null) {
+					// Only enable drag in insert mode
+					if (this.placementMode === "insert") {
+						this.isDragging = true;
+						this.processedCells.clear();
+						this.processedCells.add(`${x},${y},${z}`);
+					}
+					// Paint mode just handles the click
+					this.handleCellClick(x, y, z, roomIndexAt(x, y), true);
+				}
+			},
+			onCellEnter: (x, y, e) => {
+				const z = this.currentLayer;
+				this.pointerCell = { x, y, z };
+				this.sendPresence();
+				if (this.isSelecting && this.selectionMode !== null) {
+					// Update selection end point
+					this.selectionEnd = { x, y, z };
+					this.updateSelection();
+				} else if (
+					this.isDragging &&
+					this.selectedTemplate !== null &&
+					this.placementMode === "insert"
+				) {
+					e.preventDefault();
+					// Only place if this cell hasn't been processed yet
+					const cellKey = `${x},${y},${z}`;
+					if (!this.processedCells.has(cellKey)) {
+						this.processedCells.add(cellKey);
+						this.handleCellClick(x, y, z, roomIndexAt(x, y), true);
+					}
+				}
+			},
+			onCellClick: (x, y, e) => {
+				if (!this.yamlData) return;
+				if (!this.isDragging) {
+					this.handleCellClick(x, y, this.currentLayer, roomIndexAt(x, y));
+				} else {
+					e.preventDefault();
+				}
+			},
+			onZoom: (zoom) => {
+				const zoomLevel = document.getElementById("zoom-level");
+				if (zoomLevel) zoomLevel.textContent = `${Math.round(zoom * 100)}%`;
+			},
+		});
+		const minimap = document.getElementById("map-minimap");
+		if (minimap) this.mapRenderer.setMinimap(minimap);
+		return this.mapRenderer;
+	}
+
+	handleCellClick(x, y, z, currentRoomIndex, skipInfo = false) {
+		// Only update single cell selection if no selection tool is active
+		if (this.selectionMode === null) {
+			// Update selected cell
+			this.selectedCell = { x, y, z };
+			this.mapRenderer?.setSelectedCell(this.selectedCell);
+		}
+
+		// If a template is selected, place it
+		if (
+			this.selectedTemplate !== null &&
+			this.selectedTemplateType === "room"
 		) {
 			this.placeRoomTemplate(x, y, z);
 		} else if (
@@ -1647,15 +2388,16 @@ class MapEditor {
 					? template.allowedExits
 					: DEFAULT_ALLOWED_EXITS;
 
-			// Helper function to check if a direction is allowed
+			// Helper function to check if a direction is allowed (diagonals
+			// need both of their bits)
 			const isAllowed = (dirText) => {
 				const dir = TEXT2DIR[dirText];
-				return dir && (allowedExits & dir) !== 0;
+				return dir && (allowedExits & dir) === dir;
 			};
 
 			// Build room links HTML
 			const roomLinks = template.roomLinks || {};
-			const allDirections = ["north", "south", "east", "west", "up", "down"];
+			const allDirections = DIRECTIONS;
 			const usedDirections = Object.keys(roomLinks);
 
 			const roomLinksHtml = Object.entries(roomLinks)
@@ -1686,16 +2428,29 @@ class MapEditor {
 
 			const canAddMore = usedDirections.length < allDirections.length;
 
-			// Build exits HTML
-			const exitDirections = ["north", "south", "east", "west", "up", "down"];
+			// Build exits HTML, a group of buttons for each kind of exit
+			const exitGroups = [
+				{ label: "Cardinal", directions: ["north", "south", "east", "west"] },
+				{ label: "Diagonal", directions: DIAGONAL_DIRECTIONS },
+				{ label: "Vertical", directions: ["up", "down"] },
+			];
 
-			const exitsHtml = exitDirections
-				.map((dir) => {
-					const isAllowedDir = isAllowed(dir);
-					const label = dir.toUpperCase();
-					return `<button type="button" class="exit-btn ${
-						isAllowedDir ? "enabled" : "disabled"
-					}" data-direction="${dir}">${label}</button>`;
+			const exitsHtml = exitGroups
+				.map((group) => {
+					const buttons = group.directions
+						.map((dir) => {
+							const isAllowedDir = isAllowed(dir);
+							const label = dir.toUpperCase();
+							return `<button type="button" class="exit-btn ${
+								isAllowedDir ? "enabled" : "disabled"
+							}" data-direction="${dir}">${label}</button>`;
+						})
+						.join("");
+					return `
+						<div class="exits-group">
+							<div class="exits-group-label">${group.label}</div>
+							<div class="exits-buttons">${buttons}</div>
+						</div>`;
 				})
 				.join("");
 
@@ -1733,9 +2488,7 @@ class MapEditor {
 				<div class="form-group">
 					<label>Allowed Exits</label>
 					<div class="exits-container">
-						<div class="exits-buttons">
-							${exitsHtml}
-						</div>
+						${exitsHtml}
 					</div>
 				</div>
 				<div class="form-group">
@@ -1977,7 +2730,8 @@ class MapEditor {
 					const dirFlag = TEXT2DIR[direction];
 					if (!dirFlag) return;
 
-					const isEnabled = (currentAllowedExits & dirFlag) !== 0;
+					// Diagonals are on only when both of their bits are
+					const isEnabled = (currentAllowedExits & dirFlag) === dirFlag;
 
 					if (isEnabled) {
 						btn.classList.remove("disabled");
@@ -1990,14 +2744,27 @@ class MapEditor {
 			};
 
 			document.querySelectorAll(".exit-btn").forEach((btn) => {
-				btn.onclick = (e) => {
+				btn.onclick = async (e) => {
 					const direction = e.target.dataset.direction;
 					const dirFlag = TEXT2DIR[direction];
 					if (!dirFlag) return;
 
 					const isEnabled = e.target.classList.contains("enabled");
+					if (isEnabled && DIAGONAL_DIRECTIONS.includes(direction)) {
+						// A diagonal has no bit of its own, so turning it off takes
+						// away both of its cardinal exits
+						const [first, second] = ["north", "south", "east", "west"]
+							.filter((dir) => dirFlag & TEXT2DIR[dir])
+							.map((dir) => dir.toUpperCase());
+						const confirmed = await this.confirmAction(
+							`Turn Off ${direction.toUpperCase()}?`,
+							`${direction.toUpperCase()} is allowed whenever ${first} and ${second} both are, so turning it off turns off ${first} and ${second} too.`,
+							`Turn Off ${first} and ${second}`,
+						);
+						if (!confirmed) return;
+					}
 					if (isEnabled) {
-						// Disable: remove flag from bitmap
+						// Disable: remove flag from bitmap (both bits of a diagonal)
 						currentAllowedExits = currentAllowedExits & ~dirFlag;
 					} else {
 						// Enable: add flag to bitmap
@@ -2218,6 +2985,8 @@ class MapEditor {
 				allowedExits = DEFAULT_ALLOWED_EXITS;
 				document.querySelectorAll(".exit-btn").forEach((btn) => {
 					const direction = btn.dataset.direction;
+					// Diagonals follow from the cardinal buttons
+					if (DIAGONAL_DIRECTIONS.includes(direction)) return;
 					const dirFlag = TEXT2DIR[direction];
 					if (dirFlag && btn.classList.contains("enabled")) {
 						allowedExits = allowedExits | dirFlag;
@@ -2537,9 +3306,25 @@ class MapEditor {
 		this.renderMap(dungeon);
 	}
 
-	deleteTemplate(type, id) {
+	async deleteTemplate(type, id) {
 		if (!this.yamlData) return;
 
+		// Other dungeons can't be cleaned up from here, so warn before breaking them
+		if (type !== "room") {
+			const external = this.getTemplateUsages(id).filter(
+				(usage) => usage.dungeonId !== this.currentDungeonId,
+			);
+			if (external.length > 0) {
+				const confirmed = await this.confirmAction(
+					"Template Used Elsewhere",
+					`"${id}" is ${this.describeUsageCount(external)} outside this dungeon. Those references will break until they are changed there.`,
+					"Delete Anyway",
+					external.map((usage) => this.describeUsage(usage)),
+				);
+				if (!confirmed) return;
+			}
+		}
+
 		// Save state to history before making changes
 		this.saveStateToHistory();
 
@@ -2611,11 +3396,24 @@ class MapEditor {
 			const templateName = template.display || id;
 			let deletedResetCount = 0;
 
-			// Remove all resets using this template
+			// Remove all resets using this template, and drop it from the
+			// equipment and inventory of the rest
+			const globalId = `@${dungeonId}:${id}`;
+			const isThisTemplate = (templateId) =>
+				templateId === id || templateId === globalId;
 			if (dungeon.resets) {
 				const initialCount = dungeon.resets.length;
-				dungeon.resets = dungeon.resets.filter((r) => r.templateId !== id);
+				dungeon.resets = dungeon.resets.filter(
+					(r) => !isThisTemplate(r.templateId),
+				);
 				deletedResetCount = initialCount - dungeon.resets.length;
+				dungeon.resets.forEach((reset) => {
+					["equipped", "inventory"].forEach((list) => {
+						if (reset[list]) {
+							reset[list] = reset[list].filter((t) => !isThisTemplate(t));
+						}
+					});
+				});
 			}
 
 			// Remove the template
@@ -2639,6 +3437,9 @@ class MapEditor {
 	}
 
 	async populateTemplateTables(dungeon) {
+		// Other dungeons may have been saved since the last reset edit
+		this.templateCatalog = null;
+
 		// Load templates from all dungeons
 		const allTemplates = await this.loadAllDungeonTemplates();
 		const currentDungeonId = this.currentDungeonId;
@@ -2742,41 +3543,21 @@ class MapEditor {
 			});
 		}
 
-		// Load templates from all other dungeons
+		// Templates from all other dungeons come from the server's catalog,
+		// fetched once per reset edit
 		try {
-			const response = await fetch("/api/dungeons");
-			const data = await response.json();
-			const dungeonIds = data.dungeons || [];
-
-			// Load each dungeon's templates
-			for (const dungeonId of dungeonIds) {
-				if (dungeonId === currentDungeonId) continue; // Skip current dungeon (already loaded)
-
-				try {
-					const dungeonResponse = await fetch(`/api/dungeons/${dungeonId}`);
-					const dungeonData = await dungeonResponse.json();
-					const dungeonYaml = jsyaml.load(dungeonData.yaml);
-					const templates = dungeonYaml.dungeon?.templates || [];
-
-					templates.forEach((template) => {
-						allTemplates.push({
-							...template,
-							dungeonId: dungeonId,
-							localId: template.id,
-							globalId: template.id.includes("@")
-								? template.id
-								: `@${dungeonId}:${template.id}`,
-						});
-					});
-				} catch (error) {
-					console.warn(
-						`Failed to load templates from dungeon ${dungeonId}:`,
-						error,
-					);
-				}
+			if (!this.templateCatalog) {
+				this.templateCatalog = fetch("/api/templates").then((response) =>
+					response.json(),
+				);
 			}
+			const { templates } = await this.templateCatalog;
+			templates
+				.filter((template) => template.dungeonId !== currentDungeonId)
+				.forEach((template) => allTemplates.push({ ...template }));
 		} catch (error) {
-			console.warn("Failed to load dungeon list for templates:", error);
+			this.templateCatalog = null;
+			console.warn("Failed to load template catalog:", error);
 		}
 
 		return allTemplates;
@@ -3134,164 +3915,1422 @@ class MapEditor {
 		// Auto-save to localStorage
 		this.saveToLocalStorage();
 
-		const width = parseInt(document.getElementById("width-input").value);
-		const height = parseInt(document.getElementById("height-input").value);
-		const layers = parseInt(document.getElementById("layers-input").value);
+		const width = parseInt(document.getElementById("width-input").value);
+		const height = parseInt(document.getElementById("height-input").value);
+		const layers = parseInt(document.getElementById("layers-input").value);
+
+		if (!width || !height || !layers) {
+			this.showToast(
+				"Invalid dimensions",
+				"Please enter valid width, height, and layers",
+			);
+			return;
+		}
+
+		const dungeon = this.yamlData.dungeon;
+		const oldDims = dungeon.dimensions;
+
+		// Check if dimensions are being reduced
+		if (
+			width < oldDims.width ||
+			height < oldDims.height ||
+			layers < oldDims.layers
+		) {
+			const confirmed = await this.showConfirmModal();
+			if (!confirmed) return;
+		}
+
+		// Update dimensions
+		dungeon.dimensions = { width, height, layers };
+
+		// Resize grid
+		// Reverse grid to work with internal representation
+		const reversedGrid = [...dungeon.grid].reverse();
+
+		// Resize each layer
+		for (let z = 0; z < layers; z++) {
+			if (!reversedGrid[z]) {
+				reversedGrid[z] = [];
+			}
+
+			// Resize rows
+			for (let y = 0; y < height; y++) {
+				if (!reversedGrid[z][y]) {
+					reversedGrid[z][y] = [];
+				}
+
+				// Resize columns
+				const row = reversedGrid[z][y];
+				while (row.length < width) {
+					row.push(0);
+				}
+				row.splice(width);
+			}
+
+			// Remove extra rows
+			reversedGrid[z].splice(height);
+
+			// Ensure all rows have correct width
+			for (let y = 0; y < height; y++) {
+				if (!reversedGrid[z][y]) {
+					reversedGrid[z][y] = new Array(width).fill(0);
+				}
+			}
+		}
+
+		// Remove extra layers
+		reversedGrid.splice(layers);
+
+		// Reverse back for YAML storage
+		dungeon.grid = [...reversedGrid].reverse();
+
+		// Remove resets outside new boundaries
+		if (dungeon.resets) {
+			dungeon.resets = dungeon.resets.filter((reset) => {
+				const match = reset.roomRef.match(/@[^{]+\{(\d+),(\d+),(\d+)\}/);
+				if (!match) return false;
+				const x = parseInt(match[1]);
+				const y = parseInt(match[2]);
+				const z = parseInt(match[3]);
+				return x < width && y < height && z < layers;
+			});
+		}
+
+		// Update UI
+		this.setupLayerSelector(layers);
+		this.renderMap(dungeon);
+		this.loadResets(dungeon);
+	}
+
+	showConfirmModal() {
+		return new Promise((resolve) => {
+			const modal = document.getElementById("confirm-modal");
+			modal.classList.add("active");
+
+			document.getElementById("confirm-yes").onclick = () => {
+				modal.classList.remove("active");
+				resolve(true);
+			};
+
+			document.getElementById("confirm-no").onclick = () => {
+				modal.classList.remove("active");
+				resolve(false);
+			};
+		});
+	}
+
+	async saveDungeon() {
+		if (!this.yamlData || !this.currentDungeonId) {
+			this.showToast("No dungeon loaded", "Please select a dungeon first");
+			return;
+		}
+
+		// Update reset message
+		const resetMessage = document.getElementById("reset-message-input").value;
+		this.yamlData.dungeon.resetMessage = resetMessage || undefined;
+
+		// Clear any pending auto-save timeout before saving
+		if (this.autoSaveTimeout) {
+			clearTimeout(this.autoSaveTimeout);
+			this.autoSaveTimeout = null;
+		}
+
+		// Convert back to YAML
+		const yaml = YAML.dump(this.yamlData, { lineWidth: 120, noRefs: true });
+
+		// Save via API
+		try {
+			// Without an ETag we can't tell what changed on the server, so
+			// treat it like a conflict against the current server copy
+			if (!this.currentEtag) {
+				const current = await fetch(`/api/dungeons/${this.currentDungeonId}`);
+				const data = await current.json();
+				await this.resolveSaveConflict({
+					etag: current.headers.get("ETag"),
+					yaml: data.yaml,
+				});
+				return;
+			}
+
+			const response = await this.withOwnWrite(() =>
+				fetch(`/api/dungeons/${this.currentDungeonId}`, {
+					method: "PUT",
+					headers: {
+						"Content-Type": "application/json",
+						"If-Match": this.currentEtag,
+					},
+					body: JSON.stringify({
+						dimensions: this.yamlData.dungeon.dimensions,
+						resetMessage: this.yamlData.dungeon.resetMessage,
+						yaml: yaml,
+					}),
+				}),
+			);
+
+			if (response.ok) {
+				// The change event for this save will carry the same ETag
+				this.currentEtag = response.headers.get("ETag");
+				const result = await response.json();
+				this.showToast("Dungeon saved successfully!", "");
+				// Clear localStorage since we've saved to server
+				const storageKey = this.getLocalStorageKey(this.currentDungeonId);
+				localStorage.removeItem(storageKey);
+				this.hasUnsavedChanges = false;
+				this.updateSaveButton();
+				// Reload to get fresh data
+				await this.loadDungeonFromServer(this.currentDungeonId);
+				// Warnings don't block the save but are still worth showing
+				this.setValidationIssues(result.issues || []);
+			} else if (response.status === 409) {
+				// Someone else saved since we loaded
+				await this.resolveSaveConflict(await response.json());
+			} else {
+				const error = await response.json();
+				if (response.status === 422 && error.issues) {
+					this.setValidationIssues(error.issues);
+					this.showSidebarTab("problems");
+				}
+				this.showToast("Failed to save", error.error || "Unknown error");
+			}
+		} catch (error) {
+			this.showToast("Failed to save", error.message);
+		}
+	}
+
+	// Fetch what other dungeons and locations.yaml point at in this dungeon
+	async loadExternalReferences() {
+		this.externalReferences = [];
+		try {
+			const response = await fetch(
+				`/api/references?target=${encodeURIComponent(this.currentDungeonId)}`,
+			);
+			if (!response.ok) return;
+			const { references } = await response.json();
+			this.externalReferences = references.filter(
+				(ref) => ref.sourceDungeon !== this.currentDungeonId,
+			);
+		} catch (error) {
+			console.warn("Failed to load references:", error);
+		}
+	}
+
+	// Every reset that uses a mob/object template of this dungeon: ours from
+	// the editor state, other dungeons' from the server's reference index.
+	// Each usage is { dungeonId, roomRef, path, kind }.
+	getTemplateUsages(templateId) {
+		const usages = [];
+		const dungeonId = this.currentDungeonId;
+		const globalId = `@${dungeonId}:${templateId}`;
+		const isThisTemplate = (id) => id === templateId || id === globalId;
+
+		(this.yamlData?.dungeon.resets || []).forEach((reset, index) => {
+			const path = `dungeon.resets[${index}]`;
+			if (isThisTemplate(reset.templateId)) {
+				usages.push({
+					dungeonId,
+					roomRef: reset.roomRef,
+					path: `${path}.templateId`,
+					kind: "resetTemplate",
+				});
+			}
+			[
+				["equipped", "resetEquipped"],
+				["inventory", "resetInventory"],
+			].forEach(([list, kind]) => {
+				(reset[list] || []).forEach((id, entryIndex) => {
+					if (isThisTemplate(id)) {
+						usages.push({
+							dungeonId,
+							roomRef: reset.roomRef,
+							path: `${path}.${list}[${entryIndex}]`,
+							kind,
+						});
+					}
+				});
+			});
+		});
+
+		this.externalReferences
+			.filter((ref) => ref.targetTemplate === templateId)
+			.forEach((ref) => {
+				usages.push({
+					dungeonId: ref.sourceDungeon,
+					roomRef: ref.room,
+					path: ref.path,
+					kind: ref.kind,
+				});
+			});
+
+		return usages;
+	}
+
+	// "used by N resets in M dungeons"
+	describeUsageCount(usages) {
+		const resets = new Set(
+			usages.map((u) => `${u.dungeonId}|${u.path.replace(/\].*$/, "]")}`),
+		);
+		const dungeons = new Set(usages.map((u) => u.dungeonId));
+		return `used by ${resets.size} reset${resets.size !== 1 ? "s" : ""} in ${
+			dungeons.size
+		} dungeon${dungeons.size !== 1 ? "s" : ""}`;
+	}
+
+	describeUsage(usage) {
+		const how = {
+			resetTemplate: "spawned",
+			resetEquipped: "equipped",
+			resetInventory: "in inventory",
+		}[usage.kind];
+		return `${usage.dungeonId} ${usage.roomRef || ""} (${how})`;
+	}
+
+	showUsagesModal(templateId, display, usages) {
+		const modal = document.getElementById("usages-modal");
+		const list = document.getElementById("usages-list");
+		document.getElementById("usages-title").textContent =
+			`${display} is ${this.describeUsageCount(usages)}`;
+
+		list.innerHTML = "";
+		usages.forEach((usage) => {
+			const item = document.createElement("button");
+			item.className = "usage-item";
+			item.textContent = this.describeUsage(usage);
+			item.addEventListener("click", () => {
+				modal.classList.remove("active");
+				this.openUsage(usage);
+			});
+			list.appendChild(item);
+		});
+
+		modal.classList.add("active");
+	}
+
+	// Go to the room a usage is in, switching dungeons if needed
+	async openUsage(usage) {
+		if (usage.dungeonId !== this.currentDungeonId) {
+			document.getElementById("dungeon-select").value = usage.dungeonId;
+			await this.loadDungeon(usage.dungeonId);
+			if (this.currentDungeonId !== usage.dungeonId) return;
+		}
+
+		const match = usage.roomRef?.match(/\{(\d+),(\d+),(\d+)\}$/);
+		if (!match) return;
+		this.revealCell(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]));
+	}
+
+	// Describe where a reference into a dungeon comes from
+	describeReference(ref) {
+		if (ref.kind === "location") {
+			return `locations.yaml: ${ref.path} → ${ref.value}`;
+		}
+		const what = {
+			roomLink: "room link",
+			resetRoom: "reset room",
+			resetTemplate: "reset",
+			resetEquipped: "equipped item",
+			resetInventory: "inventory item",
+		}[ref.kind];
+		return `${ref.sourceDungeon}: ${what} ${ref.value} (${ref.path})`;
+	}
+
+	async deleteCurrentDungeon() {
+		const id = this.currentDungeonId;
+		if (!id) return;
+
+		try {
+			// Warn about anything that points into this dungeon
+			const refResponse = await fetch(`/api/dungeons/${id}/references`);
+			const { references } = await refResponse.json();
+
+			const confirmed = await this.confirmAction(
+				`Delete "${id}"?`,
+				references.length > 0
+					? `${references.length} reference(s) elsewhere point into this dungeon and will break. It will be moved to the trash and can be restored.`
+					: "It will be moved to the trash and can be restored.",
+				"Delete",
+				references.map((ref) => this.describeReference(ref)),
+			);
+			if (!confirmed) return;
+
+			const headers = {};
+			if (this.currentEtag) headers["If-Match"] = this.currentEtag;
+			const response = await this.withOwnWrite(() =>
+				fetch(
+					`/api/dungeons/${id}${references.length > 0 ? "?force=true" : ""}`,
+					{ method: "DELETE", headers },
+				),
+			);
+			if (!response.ok) {
+				const error = await response.json();
+				this.showToast("Failed to delete dungeon", error.error);
+				return;
+			}
+
+			localStorage.removeItem(this.getLocalStorageKey(id));
+			this.unloadDungeon();
+			await this.loadDungeonList();
+			this.showToast(`Deleted "${id}"`, "Restore it from the trash if needed");
+		} catch (error) {
+			this.showToast("Failed to delete dungeon", error.message);
+		}
+	}
+
+	// Clear the editor after the loaded dungeon goes away
+	unloadDungeon() {
+		this.leaveCollabSession();
+		this.currentDungeonId = null;
+		this.currentDungeon = null;
+		this.yamlData = null;
+		this.currentEtag = null;
+		this.baseDungeon = null;
+		this.history = [];
+		this.historyIndex = -1;
+		this.hasUnsavedChanges = false;
+		this.updateSaveButton();
+		this.setValidationIssues([]);
+		this.hideDiskChangeBanner();
+
+		this.updateDungeonButtons();
+		document.getElementById("dungeon-select").value = "";
+		this.mapRenderer?.clear();
+		["room-templates", "mob-templates", "object-templates"].forEach(
+			(elementId) => {
+				document.getElementById(elementId).innerHTML = "";
+			},
+		);
+		document.getElementById("reset-list").innerHTML = "";
+		this.renderHistoryPanel([]);
+	}
+
+	showRenameDungeonModal() {
+		if (!this.currentDungeonId) return;
+		if (this.hasUnsavedChanges) {
+			this.showToast(
+				"Save first",
+				"Save or discard your changes before renaming the dungeon",
+			);
+			return;
+		}
+
+		document.getElementById("rename-dungeon-title").textContent =
+			`Rename "${this.currentDungeonId}"`;
+		const input = document.getElementById("rename-dungeon-name");
+		input.value = this.currentDungeonId;
+		document.getElementById("rename-preview").innerHTML = "";
+		document.getElementById("rename-dungeon-apply").disabled = true;
+		document.getElementById("rename-dungeon-modal").classList.add("active");
+		setTimeout(() => input.select(), 100);
+	}
+
+	// Preview (dryRun) or apply a rename of the current dungeon
+	async renameDungeon(dryRun) {
+		const oldId = this.currentDungeonId;
+		const newId = document
+			.getElementById("rename-dungeon-name")
+			.value.trim()
+			.toLowerCase();
+		const preview = document.getElementById("rename-preview");
+		const applyBtn = document.getElementById("rename-dungeon-apply");
+
+		// Until the new id is loaded, the old file's deletion looks external
+		if (!dryRun) this.ownWrites++;
+		try {
+			const headers = { "Content-Type": "application/json" };
+			if (this.currentEtag) headers["If-Match"] = this.currentEtag;
+			const response = await fetch(`/api/dungeons/${oldId}/rename`, {
+				method: "POST",
+				headers,
+				body: JSON.stringify({ newId, dryRun }),
+			});
+			const result = await response.json();
+			if (!response.ok) {
+				applyBtn.disabled = true;
+				preview.innerHTML = "";
+				this.showToast("Cannot rename dungeon", result.error);
+				return;
+			}
+
+			if (dryRun) {
+				// List every file and value that will be rewritten
+				preview.innerHTML = "";
+				result.files.forEach((file) => {
+					const heading = document.createElement("h4");
+					heading.textContent = `${file.file} (${file.changes.length})`;
+					const list = document.createElement("ul");
+					file.changes.forEach((change) => {
+						const item = document.createElement("li");
+						item.innerHTML = `<code></code><br />`;
+						item.querySelector("code").textContent = change.path;
+						item.append(`${change.before} → ${change.after}`);
+						list.appendChild(item);
+					});
+					preview.appendChild(heading);
+					preview.appendChild(list);
+				});
+				applyBtn.disabled = false;
+				return;
+			}
+
+			document
+				.getElementById("rename-dungeon-modal")
+				.classList.remove("active");
+			localStorage.removeItem(this.getLocalStorageKey(oldId));
+			await this.loadDungeonList();
+			document.getElementById("dungeon-select").value = newId;
+			await this.loadDungeonFromServer(newId);
+			this.showToast(
+				`Renamed "${oldId}" to "${newId}"`,
+				`${result.files.length} file(s) updated`,
+			);
+		} catch (error) {
+			this.showToast("Failed to rename dungeon", error.message);
+		} finally {
+			if (!dryRun) this.ownWrites--;
+		}
+	}
+
+	// Builders' dungeon lists are typed as comma-separated ids; blank means
+	// every dungeon
+	parseDungeonList(text) {
+		const ids = text
+			.split(",")
+			.map((id) => id.trim())
+			.filter(Boolean);
+		return ids.length > 0 ? ids : null;
+	}
+
+	async showUsersModal() {
+		const list = document.getElementById("users-list");
+		try {
+			const response = await fetch("/api/users");
+			const result = await response.json();
+			if (!response.ok) throw new Error(result.error);
+
+			list.innerHTML = "";
+			result.users.forEach((user) =>
+				list.appendChild(this.renderUserRow(user)),
+			);
+			document.getElementById("users-modal").classList.add("active");
+		} catch (error) {
+			this.showToast("Failed to load users", error.message);
+		}
+	}
+
+	renderUserRow(user) {
+		const row = document.createElement("div");
+		row.className = "user-row";
+		row.innerHTML = `
+			<span class="history-time"></span>
+			<select>
+				<option value="viewer">Viewer</option>
+				<option value="builder">Builder</option>
+				<option value="admin">Admin</option>
+			</select>
+			<input placeholder="Dungeons (blank for all)" title="Comma-separated dungeon ids a builder may edit" />
+			<input type="password" placeholder="New password" autocomplete="new-password" />
+			<button class="user-password">Set Password</button>
+			<button class="user-remove">Remove</button>
+		`;
+		const [roleSelect] = row.getElementsByTagName("select");
+		const [dungeonsInput, passwordInput] = row.getElementsByTagName("input");
+		row.querySelector("span").textContent = user.username;
+		roleSelect.value = user.role;
+		dungeonsInput.value = (user.dungeons || []).join(", ");
+		dungeonsInput.disabled = user.role !== "builder";
+
+		roleSelect.addEventListener("change", () => {
+			dungeonsInput.disabled = roleSelect.value !== "builder";
+			this.updateUser(user.username, { role: roleSelect.value });
+		});
+		dungeonsInput.addEventListener("change", () =>
+			this.updateUser(user.username, {
+				dungeons: this.parseDungeonList(dungeonsInput.value),
+			}),
+		);
+		row.querySelector(".user-password").addEventListener("click", async () => {
+			if (
+				await this.updateUser(user.username, { password: passwordInput.value })
+			) {
+				passwordInput.value = "";
+				this.showToast("Password changed", user.username);
+			}
+		});
+		row.querySelector(".user-remove").addEventListener("click", async () => {
+			const confirmed = await this.confirmAction(
+				"Remove User",
+				`Remove "${user.username}"? They are logged out right away.`,
+				"Remove",
+			);
+			if (!confirmed) return;
+			const response = await fetch(
+				`/api/users/${encodeURIComponent(user.username)}`,
+				{ method: "DELETE" },
+			);
+			if (!response.ok) {
+				const error = await response.json();
+				this.showToast("Failed to remove user", error.error);
+				return;
+			}
+			row.remove();
+		});
+		return row;
+	}
+
+	// PUT a change to an account. Reloads the list if it was refused, so it
+	// shows what the server has.
+	async updateUser(username, changes) {
+		try {
+			const response = await fetch(
+				`/api/users/${encodeURIComponent(username)}`,
+				{
+					method: "PUT",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify(changes),
+				},
+			);
+			const result = await response.json();
+			if (!response.ok) throw new Error(result.error);
+			if (username === this.user.username) {
+				this.user = result;
+				this.showCurrentUser();
+			}
+			return true;
+		} catch (error) {
+			this.showToast("Failed to change user", error.message);
+			if (!("password" in changes)) await this.showUsersModal();
+			return false;
+		}
+	}
+
+	async addUser() {
+		const form = document.getElementById("add-user-form");
+		try {
+			const response = await fetch("/api/users", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({
+					username: document.getElementById("new-user-name").value.trim(),
+					password: document.getElementById("new-user-password").value,
+					role: document.getElementById("new-user-role").value,
+					dungeons: this.parseDungeonList(
+						document.getElementById("new-user-dungeons").value,
+					),
+				}),
+			});
+			const result = await response.json();
+			if (!response.ok) throw new Error(result.error);
+			document
+				.getElementById("users-list")
+				.appendChild(this.renderUserRow(result));
+			form.reset();
+		} catch (error) {
+			this.showToast("Failed to add user", error.message);
+		}
+	}
+
+	async showTrashModal() {
+		const modal = document.getElementById("trash-modal");
+		const list = document.getElementById("trash-list");
+
+		try {
+			const response = await fetch("/api/trash");
+			const { trash } = await response.json();
+
+			list.innerHTML = "";
+			if (trash.length === 0) {
+				list.innerHTML = '<p class="history-empty">The trash is empty.</p>';
+			}
+			trash.forEach((entry) => {
+				const item = document.createElement("div");
+				item.className = "trash-item";
+				item.innerHTML = `
+					<div>
+						<div class="history-time">${entry.dungeonId}</div>
+						<div class="history-size">Deleted ${new Date(entry.timestamp).toLocaleString()}</div>
+					</div>
+					<button>Restore</button>
+				`;
+				item
+					.querySelector("button")
+					.addEventListener("click", () => this.restoreTrashedDungeon(entry));
+				list.appendChild(item);
+			});
+
+			modal.classList.add("active");
+		} catch (error) {
+			this.showToast("Failed to load trash", error.message);
+		}
+	}
+
+	async restoreTrashedDungeon(entry) {
+		try {
+			const response = await fetch(
+				`/api/trash/${entry.dungeonId}/${entry.rev}/restore`,
+				{ method: "POST" },
+			);
+			if (!response.ok) {
+				const error = await response.json();
+				this.showToast("Failed to restore dungeon", error.error);
+				return;
+			}
+
+			document.getElementById("trash-modal").classList.remove("active");
+			await this.loadDungeonList();
+			document.getElementById("dungeon-select").value = entry.dungeonId;
+			await this.loadDungeon(entry.dungeonId);
+			this.showToast(`Restored "${entry.dungeonId}"`, "");
+		} catch (error) {
+			this.showToast("Failed to restore dungeon", error.message);
+		}
+	}
+
+	// Go back to the server copy. In a live session that copy is applied as an
+	// edit everyone gets, since reloading would only bring back the session's
+	// state. `serverCopy` is {etag, yaml} if it was already fetched.
+	async discardLocalChanges(serverCopy) {
+		if (!this.collab) {
+			localStorage.removeItem(this.getLocalStorageKey(this.currentDungeonId));
+			await this.loadDungeonFromServer(this.currentDungeonId);
+			this.showToast("Reloaded dungeon", "Your changes were discarded");
+			return;
+		}
+
+		try {
+			if (!serverCopy) {
+				const response = await fetch(`/api/dungeons/${this.currentDungeonId}`);
+				const data = await response.json();
+				serverCopy = { etag: response.headers.get("ETag"), yaml: data.yaml };
+			}
+			const theirs = YAML.load(serverCopy.yaml).dungeon;
+			this.saveStateToHistory();
+			this.restoreStateFromHistory(this.cloneDungeonState(theirs));
+			this.currentEtag = serverCopy.etag;
+			this.baseDungeon = theirs;
+			this.showToast(
+				"Reloaded dungeon",
+				"Everyone editing it now has the saved version",
+			);
+		} catch (error) {
+			this.showToast("Failed to load dungeon", error.message);
+		}
+	}
+
+	// Ask how to handle a save rejected because the server copy changed.
+	// `conflict` is the 409 body: the server's current ETag and YAML.
+	async resolveSaveConflict(conflict) {
+		const theirs = YAML.load(conflict.yaml).dungeon;
+		const mine = this.yamlData.dungeon;
+		const base = this.baseDungeon;
+
+		const choice = await this.showConflictModal(
+			this.summarizeDifferences(base || mine, theirs),
+			!!base,
+		);
+
+		if (choice === "reload") {
+			await this.discardLocalChanges(conflict);
+		} else if (choice === "overwrite") {
+			// Our copy now counts as based on theirs, so the save goes through
+			this.currentEtag = conflict.etag;
+			this.baseDungeon = theirs;
+			await this.saveDungeon();
+		} else if (choice === "merge") {
+			const { dungeon, conflicts } = this.mergeDungeonStates(
+				base,
+				mine,
+				theirs,
+			);
+
+			this.saveStateToHistory();
+			this.yamlData.dungeon = dungeon;
+			this.restoreStateFromHistory(this.cloneDungeonState(dungeon));
+			this.currentEtag = conflict.etag;
+			this.baseDungeon = theirs;
+			this.hasUnsavedChanges = true;
+			this.updateSaveButton();
+			this.saveToLocalStorage();
+
+			this.showToast(
+				"Merged with server copy",
+				conflicts > 0
+					? `${conflicts} conflicting change(s) kept your version. Review and save again.`
+					: "Review and save again.",
+			);
+		}
+	}
+
+	// Show the save conflict modal. Resolves to "reload", "overwrite",
+	// "merge" or null when cancelled.
+	showConflictModal(differences, canMerge) {
+		return new Promise((resolve) => {
+			const modal = document.getElementById("conflict-modal");
+			const summary = document.getElementById("conflict-summary");
+			const mergeBtn = document.getElementById("conflict-merge");
+
+			summary.innerHTML = differences.length
+				? differences.map((line) => `<li>${line}</li>`).join("")
+				: "<li>No differences in rooms, templates or resets</li>";
+			mergeBtn.disabled = !canMerge;
+			mergeBtn.title = canMerge
+				? "Combine both sets of changes"
+				: "The version your changes were based on is unknown";
+
+			modal.classList.add("active");
+
+			const buttons = {
+				"conflict-reload": "reload",
+				"conflict-overwrite": "overwrite",
+				"conflict-merge": "merge",
+				"conflict-cancel": null,
+			};
+			Object.entries(buttons).forEach(([buttonId, choice]) => {
+				document.getElementById(buttonId).onclick = () => {
+					modal.classList.remove("active");
+					Object.keys(buttons).forEach((id) => {
+						document.getElementById(id).onclick = null;
+					});
+					resolve(choice);
+				};
+			});
+		});
+	}
+
+	// Describe how the server copy differs from ours, one line per kind
+	summarizeDifferences(from, to) {
+		const differences = [];
+		const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+		if (!same(from.dimensions, to.dimensions)) {
+			const d = to.dimensions;
+			differences.push(
+				`Dimensions changed to ${d.width}×${d.height}×${d.layers}`,
+			);
+		}
+
+		let cells = 0;
+		(to.grid || []).forEach((layer, l) =>
+			layer.forEach((row, y) =>
+				row.forEach((cell, x) => {
+					if (from.grid?.[l]?.[y]?.[x] !== cell) cells++;
+				}),
+			),
+		);
+		if (cells > 0) differences.push(`${cells} cell(s) changed`);
+
+		const countChanged = (label, fromList, toList, keyOf) => {
+			const fromMap = new Map((fromList || []).map((v, i) => [keyOf(v, i), v]));
+			const toMap = new Map((toList || []).map((v, i) => [keyOf(v, i), v]));
+			let added = 0;
+			let removed = 0;
+			let changed = 0;
+			toMap.forEach((value, key) => {
+				if (!fromMap.has(key)) added++;
+				else if (!same(fromMap.get(key), value)) changed++;
+			});
+			fromMap.forEach((_, key) => {
+				if (!toMap.has(key)) removed++;
+			});
+			if (added + removed + changed > 0) {
+				differences.push(
+					`${label}: ${added} added, ${changed} changed, ${removed} removed`,
+				);
+			}
+		};
+		countChanged("Rooms", from.rooms, to.rooms, (_, i) => i);
+		countChanged("Templates", from.templates, to.templates, (t) => t.id);
+		countChanged("Resets", from.resets, to.resets, this.resetMergeKey);
+
+		if ((from.resetMessage || "") !== (to.resetMessage || "")) {
+			differences.push("Reset message changed");
+		}
+
+		return differences;
+	}
+
+	resetMergeKey(reset) {
+		return `${reset.roomRef}|${reset.templateId}`;
+	}
+
+	// Three-way merge of two edited copies of a dungeon. Changes made on only
+	// one side are kept; when both sides changed the same thing differently,
+	// ours wins and it is counted as a conflict.
+	mergeDungeonStates(base, mine, theirs) {
+		let conflicts = 0;
+		const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+		const clone = (value) =>
+			value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+		const mergeValue = (b, m, t) => {
+			if (same(m, t) || same(t, b)) return clone(m);
+			if (same(m, b)) return clone(t);
+			conflicts++;
+			return clone(m);
+		};
+
+		// Merge lists of objects by key, keeping our order and appending
+		// entries only they added
+		const mergeKeyed = (b, m, t, keyOf) => {
+			const baseMap = new Map((b || []).map((v, i) => [keyOf(v, i), v]));
+			const mineMap = new Map((m || []).map((v, i) => [keyOf(v, i), v]));
+			const theirMap = new Map((t || []).map((v, i) => [keyOf(v, i), v]));
+			const keys = [...mineMap.keys()];
+			theirMap.forEach((_, key) => {
+				if (!mineMap.has(key)) keys.push(key);
+			});
+			return keys
+				.map((key) =>
+					mergeValue(baseMap.get(key), mineMap.get(key), theirMap.get(key)),
+				)
+				.filter((value) => value !== undefined);
+		};
+
+		const merged = {};
+		const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+		keys.forEach((key) => {
+			if (key === "templates") {
+				merged.templates = mergeKeyed(
+					base.templates,
+					mine.templates,
+					theirs.templates,
+					(t) => t.id,
+				);
+			} else if (key === "resets") {
+				merged.resets = mergeKeyed(
+					base.resets,
+					mine.resets,
+					theirs.resets,
+					this.resetMergeKey,
+				);
+			} else if (key === "rooms") {
+				// Cells point at rooms by index, so rooms merge position by position
+				const length = Math.max(
+					mine.rooms?.length || 0,
+					theirs.rooms?.length || 0,
+				);
+				merged.rooms = [];
+				for (let i = 0; i < length; i++) {
+					const room = mergeValue(
+						base.rooms?.[i],
+						mine.rooms?.[i],
+						theirs.rooms?.[i],
+					);
+					merged.rooms.push(room ?? mine.rooms?.[i] ?? theirs.rooms?.[i]);
+				}
+			} else if (
+				key === "grid" &&
+				same(base.dimensions, mine.dimensions) &&
+				same(base.dimensions, theirs.dimensions)
+			) {
+				// Same shape on all sides: merge cell by cell
+				merged.grid = mine.grid.map((layer, l) =>
+					layer.map((row, y) =>
+						row.map((cell, x) =>
+							mergeValue(base.grid[l][y][x], cell, theirs.grid[l][y][x]),
+						),
+					),
+				);
+			} else {
+				const value = mergeValue(base[key], mine[key], theirs[key]);
+				if (value !== undefined) merged[key] = value;
+			}
+		});
+
+		return { dungeon: merged, conflicts };
+	}
+
+	// Store validation issues from the server and index them by the cell or
+	// template their path points at
+	setValidationIssues(issues) {
+		this.validationIssues = issues;
+		this.validationIssuesByCell = new Map();
+		this.validationIssuesByTemplate = new Map();
+
+		const addTo = (map, key, issue) => {
+			if (!map.has(key)) map.set(key, []);
+			map.get(key).push(issue);
+		};
+
+		issues.forEach((issue) => {
+			const target = this.getIssueTarget(issue.path);
+			issue.target = target;
+			if (!target) return;
+			if (target.type === "cell") {
+				addTo(
+					this.validationIssuesByCell,
+					`${target.x},${target.y},${target.z}`,
+					issue,
+				);
+			} else if (target.type === "row") {
+				addTo(
+					this.validationIssuesByCell,
+					`row,${target.y},${target.z}`,
+					issue,
+				);
+			} else if (target.type === "template") {
+				addTo(
+					this.validationIssuesByTemplate,
+					`${target.templateType}:${target.id}`,
+					issue,
+				);
+			}
+		});
+
+		this.renderProblemsPanel();
+		if (this.yamlData) {
+			const dungeon = this.yamlData.dungeon;
+			this.loadTemplates(dungeon);
+			this.renderMap(dungeon);
+		}
+	}
+
+	// Map an issue path (e.g. "dungeon.resets[2].roomRef") to what it points at
+	getIssueTarget(path) {
+		const dungeon = this.yamlData?.dungeon;
+		if (!dungeon || !path) return null;
+
+		let match = path.match(/^dungeon\.grid\[(\d+)\]\[(\d+)\](?:\[(\d+)\])?/);
+		if (match) {
+			// Grid stores the top layer first
+			const z = dungeon.dimensions.layers - 1 - parseInt(match[1]);
+			const y = parseInt(match[2]);
+			if (match[3] === undefined) return { type: "row", y, z };
+			return { type: "cell", x: parseInt(match[3]), y, z };
+		}
+
+		match = path.match(/^dungeon\.resets\[(\d+)\]/);
+		if (match) {
+			const reset = dungeon.resets?.[parseInt(match[1])];
+			const coords = reset?.roomRef?.match(/\{(\d+),(\d+),(\d+)\}/);
+			if (!coords) return null;
+			return {
+				type: "cell",
+				x: parseInt(coords[1]),
+				y: parseInt(coords[2]),
+				z: parseInt(coords[3]),
+			};
+		}
+
+		match = path.match(/^dungeon\.rooms\[(\d+)\]/);
+		if (match) {
+			return { type: "template", templateType: "room", id: parseInt(match[1]) };
+		}
+
+		match = path.match(/^dungeon\.templates\[(\d+)\]/);
+		if (match) {
+			const template = dungeon.templates?.[parseInt(match[1])];
+			if (!template) return null;
+			return {
+				type: "template",
+				templateType: template.type === "Mob" ? "mob" : "object",
+				id: template.id,
+			};
+		}
+
+		return null;
+	}
+
+	renderProblemsPanel() {
+		const list = document.getElementById("problems-list");
+		const tab = document.querySelector('.sidebar.right [data-tab="problems"]');
+		if (!list) return;
+
+		const issues = this.validationIssues;
+		if (tab) {
+			tab.textContent =
+				issues.length > 0 ? `Problems (${issues.length})` : "Problems";
+		}
+
+		list.innerHTML = "";
+		if (issues.length === 0) {
+			list.innerHTML =
+				'<p class="problems-empty">No problems reported by the last save.</p>';
+			return;
+		}
+
+		issues.forEach((issue) => {
+			const item = document.createElement("div");
+			item.className = `problem-item ${issue.severity}`;
+			const message = document.createElement("div");
+			message.className = "problem-message";
+			message.textContent = issue.message;
+			const path = document.createElement("div");
+			path.className = "problem-path";
+			path.textContent = issue.path;
+			item.appendChild(message);
+			item.appendChild(path);
+			if (issue.target) {
+				item.classList.add("clickable");
+				item.addEventListener("click", () => this.revealIssue(issue));
+			}
+			list.appendChild(item);
+		});
+	}
+
+	// Fetch the current dungeon's revision history into the History tab
+	async loadRevisions() {
+		const list = document.getElementById("history-list");
+		if (!list || !this.currentDungeonId) return;
+
+		try {
+			const response = await fetch(
+				`/api/dungeons/${this.currentDungeonId}/revisions`,
+			);
+			if (!response.ok) {
+				throw new Error((await response.json()).error);
+			}
+			const { revisions } = await response.json();
+			this.renderHistoryPanel(revisions);
+		} catch (error) {
+			console.error("Failed to load revisions:", error);
+			list.innerHTML = '<p class="history-empty">Could not load history.</p>';
+		}
+	}
+
+	renderHistoryPanel(revisions) {
+		const list = document.getElementById("history-list");
+		list.innerHTML = "";
+
+		if (revisions.length === 0) {
+			list.innerHTML =
+				'<p class="history-empty">No earlier revisions of this dungeon.</p>';
+			return;
+		}
+
+		revisions.forEach((revision) => {
+			const item = document.createElement("div");
+			item.className = "history-item";
+			item.innerHTML = `
+				<div class="history-time">${new Date(revision.timestamp).toLocaleString()}</div>
+				<div class="history-size">${(revision.size / 1024).toFixed(1)} KB</div>
+				<div class="history-actions">
+					<button class="history-diff-btn">Changes</button>
+					<button class="history-restore-btn">Restore</button>
+				</div>
+			`;
+			item
+				.querySelector(".history-diff-btn")
+				.addEventListener("click", () => this.showRevisionDiff(revision));
+			item
+				.querySelector(".history-restore-btn")
+				.addEventListener("click", () => this.restoreRevision(revision));
+			list.appendChild(item);
+		});
+	}
+
+	async loadActivity() {
+		const list = document.getElementById("activity-list");
+		if (!list || !this.currentDungeonId) return;
+
+		try {
+			const response = await fetch(
+				`/api/audit?dungeon=${encodeURIComponent(this.currentDungeonId)}`,
+			);
+			if (!response.ok) {
+				throw new Error((await response.json()).error);
+			}
+			const { entries } = await response.json();
+			this.renderActivityPanel(entries);
+		} catch (error) {
+			console.error("Failed to load activity:", error);
+			list.innerHTML = '<p class="history-empty">Could not load activity.</p>';
+		}
+	}
+
+	renderActivityPanel(entries) {
+		const list = document.getElementById("activity-list");
+		list.innerHTML = "";
 
-		if (!width || !height || !layers) {
-			this.showToast(
-				"Invalid dimensions",
-				"Please enter valid width, height, and layers",
-			);
+		if (entries.length === 0) {
+			list.innerHTML =
+				'<p class="history-empty">No changes recorded for this dungeon.</p>';
 			return;
 		}
 
-		const dungeon = this.yamlData.dungeon;
-		const oldDims = dungeon.dimensions;
+		const actions = {
+			create: "created",
+			update: "saved",
+			delete: "deleted",
+			rename: "renamed",
+			restore: "restored a revision of",
+			undelete: "restored from the trash",
+		};
+		entries.forEach((entry) => {
+			const item = document.createElement("div");
+			item.className = "history-item";
+			item.innerHTML = `
+				<div class="history-time"></div>
+				<div class="history-size">${new Date(entry.time).toLocaleString()}</div>
+				<ul class="activity-summary"></ul>
+			`;
+			item.querySelector(".history-time").textContent =
+				`${entry.user} ${actions[entry.action] || entry.action}`;
+			const summary = item.querySelector(".activity-summary");
+			this.describeAuditEntry(entry).forEach((line) => {
+				const li = document.createElement("li");
+				li.textContent = line;
+				summary.appendChild(li);
+			});
+			list.appendChild(item);
+		});
+	}
 
-		// Check if dimensions are being reduced
-		if (
-			width < oldDims.width ||
-			height < oldDims.height ||
-			layers < oldDims.layers
-		) {
-			const confirmed = await this.showConfirmModal();
-			if (!confirmed) return;
+	// Readable lines for an audit entry's change summary
+	describeAuditEntry(entry) {
+		const lines = [];
+		const s = entry.summary;
+		if (entry.action === "rename") {
+			lines.push(`"${entry.dungeon}" → "${entry.newId}"`);
 		}
+		if (entry.rev) lines.push(`Revision ${entry.rev}`);
+		if (entry.note) lines.push(entry.note);
 
-		// Update dimensions
-		dungeon.dimensions = { width, height, layers };
-
-		// Resize grid
-		// Reverse grid to work with internal representation
-		const reversedGrid = [...dungeon.grid].reverse();
+		// Creating or deleting a dungeon adds or removes everything in it
+		if (entry.action === "create" || entry.action === "undelete") {
+			lines.push(
+				`${s.roomsAdded} room(s), ${s.templates.added.length} template(s), ${s.resets.added.length} reset(s)`,
+			);
+			return lines;
+		}
+		if (entry.action === "delete") return lines;
+
+		if (s.dimensionsChanged) lines.push("Dimensions changed");
+		const rooms = [
+			s.roomsAdded && `${s.roomsAdded} placed`,
+			s.roomsChanged && `${s.roomsChanged} changed`,
+			s.roomsRemoved && `${s.roomsRemoved} removed`,
+		].filter(Boolean);
+		if (rooms.length > 0) lines.push(`Rooms: ${rooms.join(", ")}`);
+
+		const listLine = (label, changes) => {
+			const parts = [
+				changes.added.length && `added ${changes.added.join(", ")}`,
+				changes.changed.length && `changed ${changes.changed.join(", ")}`,
+				changes.removed.length && `removed ${changes.removed.join(", ")}`,
+			].filter(Boolean);
+			if (parts.length > 0) lines.push(`${label}: ${parts.join("; ")}`);
+		};
+		listLine("Room templates", s.roomTemplates);
+		listLine("Templates", s.templates);
+		listLine("Resets", s.resets);
+		if (s.resetMessageChanged) lines.push("Reset message changed");
+
+		if (lines.length === 0)
+			lines.push("No changes to rooms, templates or resets");
+		return lines;
+	}
 
-		// Resize each layer
-		for (let z = 0; z < layers; z++) {
-			if (!reversedGrid[z]) {
-				reversedGrid[z] = [];
+	// Show what changed between a revision and the current server copy
+	async showRevisionDiff(revision) {
+		try {
+			const response = await fetch(
+				`/api/dungeons/${this.currentDungeonId}/revisions/${revision.rev}/diff`,
+			);
+			if (!response.ok) {
+				throw new Error((await response.json()).error);
 			}
-
-			// Resize rows
-			for (let y = 0; y < height; y++) {
-				if (!reversedGrid[z][y]) {
-					reversedGrid[z][y] = [];
-				}
-
-				// Resize columns
-				const row = reversedGrid[z][y];
-				while (row.length < width) {
-					row.push(0);
-				}
-				row.splice(width);
+			const { lines } = await response.json();
+
+			const modal = document.getElementById("revision-diff-modal");
+			const output = document.getElementById("revision-diff");
+			document.getElementById("revision-diff-title").textContent =
+				`Changes since ${new Date(revision.timestamp).toLocaleString()}`;
+
+			// Show changed lines with a little unchanged context around them
+			const context = 3;
+			const keep = lines.map((line, i) =>
+				lines
+					.slice(Math.max(0, i - context), i + context + 1)
+					.some((l) => l.type !== "same"),
+			);
+			output.innerHTML = "";
+			if (!lines.some((line) => line.type !== "same")) {
+				output.textContent = "No differences from the current version.";
 			}
+			lines.forEach((line, i) => {
+				if (!keep[i]) {
+					if (keep[i - 1]) {
+						const gap = document.createElement("div");
+						gap.className = "diff-context";
+						gap.textContent = "…";
+						output.appendChild(gap);
+					}
+					return;
+				}
+				const row = document.createElement("div");
+				const prefix = { same: " ", added: "+", removed: "-" }[line.type];
+				row.className =
+					line.type === "same" ? "diff-context" : `diff-${line.type}`;
+				row.textContent = `${prefix} ${line.text}`;
+				output.appendChild(row);
+			});
 
-			// Remove extra rows
-			reversedGrid[z].splice(height);
+			const close = () => {
+				modal.classList.remove("active");
+				restoreBtn.onclick = null;
+				closeBtn.onclick = null;
+			};
+			const restoreBtn = document.getElementById("revision-diff-restore");
+			const closeBtn = document.getElementById("revision-diff-close");
+			restoreBtn.onclick = () => {
+				close();
+				this.restoreRevision(revision);
+			};
+			closeBtn.onclick = close;
 
-			// Ensure all rows have correct width
-			for (let y = 0; y < height; y++) {
-				if (!reversedGrid[z][y]) {
-					reversedGrid[z][y] = new Array(width).fill(0);
-				}
-			}
+			modal.classList.add("active");
+		} catch (error) {
+			this.showToast("Failed to load revision", error.message);
 		}
+	}
 
-		// Remove extra layers
-		reversedGrid.splice(layers);
+	async restoreRevision(revision) {
+		const when = new Date(revision.timestamp).toLocaleString();
+		const confirmed = await this.confirmAction(
+			"Restore Revision?",
+			this.hasUnsavedChanges
+				? `Replace the dungeon with the version from ${when}? Your unsaved changes will be discarded. The current version stays in the history.`
+				: `Replace the dungeon with the version from ${when}? The current version stays in the history.`,
+			"Restore",
+		);
+		if (!confirmed) return;
 
-		// Reverse back for YAML storage
-		dungeon.grid = [...reversedGrid].reverse();
+		try {
+			const headers = {};
+			if (this.currentEtag) headers["If-Match"] = this.currentEtag;
+			const response = await this.withOwnWrite(() =>
+				fetch(
+					`/api/dungeons/${this.currentDungeonId}/revisions/${revision.rev}/restore`,
+					{ method: "POST", headers },
+				),
+			);
 
-		// Remove resets outside new boundaries
-		if (dungeon.resets) {
-			dungeon.resets = dungeon.resets.filter((reset) => {
-				const match = reset.roomRef.match(/@[^{]+\{(\d+),(\d+),(\d+)\}/);
-				if (!match) return false;
-				const x = parseInt(match[1]);
-				const y = parseInt(match[2]);
-				const z = parseInt(match[3]);
-				return x < width && y < height && z < layers;
-			});
-		}
+			if (!response.ok) {
+				const error = await response.json();
+				if (response.status === 409) {
+					this.showToast(
+						"Dungeon changed on the server",
+						"Reload the dungeon before restoring a revision",
+					);
+					return;
+				}
+				if (response.status === 422 && error.issues) {
+					this.setValidationIssues(error.issues);
+					this.showSidebarTab("problems");
+				}
+				this.showToast("Failed to restore revision", error.error);
+				return;
+			}
 
-		// Update UI
-		this.setupLayerSelector(layers);
-		this.renderMap(dungeon);
-		this.loadResets(dungeon);
+			this.currentEtag = response.headers.get("ETag");
+			const result = await response.json();
+			localStorage.removeItem(this.getLocalStorageKey(this.currentDungeonId));
+			await this.loadDungeonFromServer(this.currentDungeonId);
+			this.setValidationIssues(result.issues || []);
+			this.showToast("Revision restored", when);
+		} catch (error) {
+			this.showToast("Failed to restore revision", error.message);
+		}
 	}
 
-	showConfirmModal() {
+	// Ask a yes/no question using the shared confirm modal, putting its
+	// original text back afterwards. `details` are listed under the message.
+	confirmAction(titleText, messageText, confirmLabel, details = []) {
 		return new Promise((resolve) => {
 			const modal = document.getElementById("confirm-modal");
-			modal.classList.add("active");
+			const title = modal.querySelector(".modal-content h2");
+			const message = modal.querySelector(".modal-content p");
+			const detailList = document.getElementById("confirm-details");
+			const yesBtn = document.getElementById("confirm-yes");
+			const noBtn = document.getElementById("confirm-no");
+			const original = [
+				title.textContent,
+				message.textContent,
+				yesBtn.textContent,
+			];
 
-			document.getElementById("confirm-yes").onclick = () => {
-				modal.classList.remove("active");
-				resolve(true);
-			};
+			title.textContent = titleText;
+			message.textContent = messageText;
+			yesBtn.textContent = confirmLabel;
+			detailList.innerHTML = "";
+			details.forEach((detail) => {
+				const item = document.createElement("li");
+				item.textContent = detail;
+				detailList.appendChild(item);
+			});
+			detailList.hidden = details.length === 0;
+			modal.classList.add("active");
 
-			document.getElementById("confirm-no").onclick = () => {
+			const finish = (result) => {
 				modal.classList.remove("active");
-				resolve(false);
+				[title.textContent, message.textContent, yesBtn.textContent] = original;
+				detailList.hidden = true;
+				yesBtn.onclick = null;
+				noBtn.onclick = null;
+				resolve(result);
 			};
+			yesBtn.onclick = () => finish(true);
+			noBtn.onclick = () => finish(false);
 		});
 	}
 
-	async saveDungeon() {
-		if (!this.yamlData || !this.currentDungeonId) {
-			this.showToast("No dungeon loaded", "Please select a dungeon first");
+	// Jump to the cell or template an issue points at
+	revealIssue(issue) {
+		const target = issue.target;
+		if (!target || !this.yamlData) return;
+		const dungeon = this.yamlData.dungeon;
+
+		if (target.type === "template") {
+			this.editTemplate(target.templateType, target.id);
 			return;
 		}
 
-		// Update reset message
-		const resetMessage = document.getElementById("reset-message-input").value;
-		this.yamlData.dungeon.resetMessage = resetMessage || undefined;
-
-		// Clear any pending auto-save timeout before saving
-		if (this.autoSaveTimeout) {
-			clearTimeout(this.autoSaveTimeout);
-			this.autoSaveTimeout = null;
+		if (target.type === "cell") {
+			this.revealCell(target.x, target.y, target.z);
+			return;
 		}
 
-		// Convert back to YAML
-		const yaml = jsyaml.dump(this.yamlData, { lineWidth: 120, noRefs: true });
+		if (target.z !== this.currentLayer) {
+			this.currentLayer = target.z;
+			document.getElementById("layer-select").value = this.currentLayer;
+			this.loadResets(dungeon);
+		}
+		this.renderMap(dungeon);
+	}
 
-		// Save via API
-		try {
-			const response = await fetch(`/api/dungeons/${this.currentDungeonId}`, {
-				method: "PUT",
-				headers: { "Content-Type": "application/json" },
-				body: JSON.stringify({
-					dimensions: this.yamlData.dungeon.dimensions,
-					resetMessage: this.yamlData.dungeon.resetMessage,
-					yaml: yaml,
-				}),
-			});
+	// Switch to a cell's layer, select it and show its room info
+	revealCell(x, y, z) {
+		if (!this.yamlData) return;
+		const dungeon = this.yamlData.dungeon;
 
-			if (response.ok) {
-				this.showToast("Dungeon saved successfully!", "");
-				// Clear localStorage since we've saved to server
-				const storageKey = this.getLocalStorageKey(this.currentDungeonId);
-				localStorage.removeItem(storageKey);
-				this.hasUnsavedChanges = false;
-				this.updateSaveButton();
-				// Reload to get fresh data
-				await this.loadDungeonFromServer(this.currentDungeonId);
-			} else {
-				const error = await response.json();
-				this.showToast("Failed to save", error.error || "Unknown error");
-			}
-		} catch (error) {
-			this.showToast("Failed to save", error.message);
+		if (z !== this.currentLayer) {
+			this.currentLayer = z;
+			document.getElementById("layer-select").value = this.currentLayer;
+			this.loadResets(dungeon);
 		}
+		this.selectedCell = { x, y, z };
+		this.renderMap(dungeon);
+		this.showRoomInfo(x, y, z);
+	}
+
+	showSidebarTab(tabName) {
+		const tab = document.querySelector(`.sidebar [data-tab="${tabName}"]`);
+		const sidebar = tab?.closest(".sidebar");
+		if (!sidebar) return;
+		sidebar
+			.querySelectorAll(".tab")
+			.forEach((t) => t.classList.remove("active"));
+		sidebar
+			.querySelectorAll(".tab-content")
+			.forEach((c) => c.classList.remove("active"));
+		tab.classList.add("active");
+		sidebar.querySelector(`#${tabName}-tab`).classList.add("active");
 	}
 
 	getAvailableDirections() {
 		const container = document.getElementById("room-links-container");
-		if (!container) return ["north", "south", "east", "west", "up", "down"];
+		if (!container) return DIRECTIONS;
 
-		const allDirections = ["north", "south", "east", "west", "up", "down"];
+		const allDirections = DIRECTIONS;
 		const usedDirections = Array.from(
 			container.querySelectorAll(".room-link-direction"),
 		).map((select) => select.value);
@@ -3303,7 +5342,7 @@ class MapEditor {
 		const container = document.getElementById("room-links-container");
 		if (!container) return;
 
-		const allDirections = ["north", "south", "east", "west", "up", "down"];
+		const allDirections = DIRECTIONS;
 
 		// Update each dropdown to only show available directions
 		container.querySelectorAll(".room-link-direction").forEach((select) => {
@@ -3745,6 +5784,97 @@ class MapEditor {
 			this.saveDungeon();
 		});
 
+		// Delete and trash buttons
+		document
+			.getElementById("delete-dungeon-btn")
+			.addEventListener("click", () => {
+				this.deleteCurrentDungeon();
+			});
+
+		document.getElementById("trash-btn").addEventListener("click", () => {
+			this.showTrashModal();
+		});
+
+		// Accounts
+		document.getElementById("logout-btn").addEventListener("click", () => {
+			this.logOut();
+		});
+		document.getElementById("users-btn").addEventListener("click", () => {
+			this.showUsersModal();
+		});
+		document.getElementById("users-close").addEventListener("click", () => {
+			document.getElementById("users-modal").classList.remove("active");
+		});
+		document
+			.getElementById("add-user-form")
+			.addEventListener("submit", (event) => {
+				event.preventDefault();
+				this.addUser();
+			});
+
+		// Rename dungeon modal
+		document
+			.getElementById("rename-dungeon-btn")
+			.addEventListener("click", () => {
+				this.showRenameDungeonModal();
+			});
+
+		const closeRenameModal = () => {
+			document
+				.getElementById("rename-dungeon-modal")
+				.classList.remove("active");
+		};
+		document
+			.getElementById("rename-dungeon-close")
+			.addEventListener("click", closeRenameModal);
+		document
+			.getElementById("rename-dungeon-cancel")
+			.addEventListener("click", closeRenameModal);
+
+		document
+			.getElementById("rename-dungeon-preview")
+			.addEventListener("click", () => {
+				this.renameDungeon(true);
+			});
+
+		document
+			.getElementById("rename-dungeon-apply")
+			.addEventListener("click", () => {
+				this.renameDungeon(false);
+			});
+
+		// Changing the name invalidates the preview
+		document
+			.getElementById("rename-dungeon-name")
+			.addEventListener("input", () => {
+				document.getElementById("rename-dungeon-apply").disabled = true;
+				document.getElementById("rename-preview").innerHTML = "";
+			});
+
+		document.getElementById("trash-close").addEventListener("click", () => {
+			document.getElementById("trash-modal").classList.remove("active");
+		});
+
+		document.getElementById("usages-close").addEventListener("click", () => {
+			document.getElementById("usages-modal").classList.remove("active");
+		});
+
+		// 3D preview
+		document.getElementById("iso-btn").addEventListener("click", () => {
+			this.openIsoPreview();
+		});
+		document.getElementById("iso-rotate-left").addEventListener("click", () => {
+			this.isoPreview?.rotateBy(-45);
+		});
+		document
+			.getElementById("iso-rotate-right")
+			.addEventListener("click", () => {
+				this.isoPreview?.rotateBy(45);
+			});
+		document.getElementById("iso-close").addEventListener("click", () => {
+			document.getElementById("iso-modal").classList.remove("active");
+		});
+
 		// Help button
 		const helpModal = document.getElementById("help-modal");
 		const helpBtn = document.getElementById("help-btn");
@@ -3945,6 +6075,11 @@ class MapEditor {
 					helpModal.classList.remove("active");
 					return;
 				}
+				const isoModal = document.getElementById("iso-modal");
+				if (isoModal && isoModal.classList.contains("active")) {
+					isoModal.classList.remove("active");
+					return;
+				}
 
 				const newDungeonModal = document.getElementById("new-dungeon-modal");
 				if (newDungeonModal && newDungeonModal.classList.contains("active")) {
@@ -3959,11 +6094,7 @@ class MapEditor {
 					this.selectedCells.clear();
 					this.selectedCell = null; // Also clear single cell selection
 					this.updateSelectionVisuals();
-					// Remove selected class from grid cells
-					document.querySelectorAll(".grid-cell").forEach((cell) => {
-						cell.classList.remove("selected");
-						cell.classList.remove("selected-cell");
-					});
+					this.mapRenderer?.setSelectedCell(null);
 					this.selectionStart = null;
 					this.selectionEnd = null;
 				} else {
@@ -3997,6 +6128,24 @@ class MapEditor {
 				// Select all (Ctrl+A)
 				e.preventDefault();
 				this.selectAllCurrentLayer();
+			} else if (e.ctrlKey || e.altKey || e.metaKey) {
+				// Leave the browser's own zoom shortcuts alone
+			} else if (e.key === "+" || e.key === "=") {
+				// Zoom in (+)
+				e.preventDefault();
+				this.getMapRenderer().zoomBy(1.25);
+			} else if (e.key === "-") {
+				// Zoom out (-)
+				e.preventDefault();
+				this.getMapRenderer().zoomBy(0.8);
+			} else if (e.key === "0") {
+				// Fit the layer to the screen (0)
+				e.preventDefault();
+				this.getMapRenderer().fit();
+			} else if (e.key === "m" || e.key === "M") {
+				// Show or hide the minimap (M)
+				e.preventDefault();
+				this.toggleMinimap();
 			}
 		});
 
@@ -4005,8 +6154,28 @@ class MapEditor {
 			this.resizeDungeon();
 		});
 
+		// View buttons
+		document.getElementById("zoom-in-btn").addEventListener("click", () => {
+			this.getMapRenderer().zoomBy(1.25);
+		});
+		document.getElementById("zoom-out-btn").addEventListener("click", () => {
+			this.getMapRenderer().zoomBy(0.8);
+		});
+		document.getElementById("zoom-fit-btn").addEventListener("click", () => {
+			this.getMapRenderer().fit();
+		});
+		document.getElementById("minimap-btn").addEventListener("click", () => {
+			this.toggleMinimap();
+		});
+		document.getElementById("onion-above-btn").addEventListener("click", () => {
+			this.toggleOnionSkin("above");
+		});
+		document.getElementById("onion-below-btn").addEventListener("click", () => {
+			this.toggleOnionSkin("below");
+		});
+
 		// Toolbox buttons
-		document.querySelectorAll(".tool-btn").forEach((btn) => {
+		document.querySelectorAll(".tool-btn[data-tool]").forEach((btn) => {
 			btn.addEventListener("click", (e) => {
 				const tool = e.target.dataset.tool;
 				this.setSelectionMode(tool);
@@ -4014,6 +6183,97 @@ class MapEditor {
 		});
 	}
 
+	// Show or hide the layer above or below ("above" or "below") faintly
+	// under the current one
+	toggleOnionSkin(which) {
+		this.onionSkin[which] = !this.onionSkin[which];
+		document
+			.getElementById(`onion-${which}-btn`)
+			.classList.toggle("active", this.onionSkin[which]);
+		if (this.yamlData) this.renderMap(this.yamlData.dungeon);
+	}
+
+	// Describe every room in the dungeon for the 3D preview
+	getIsoPreviewModel(dungeon) {
+		const { width, height, layers } = dungeon.dimensions;
+		const blocks = [];
+		for (let z = 0; z < layers; z++) {
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const room = this.getRoomAt(dungeon, x, y, z);
+					if (!room) continue;
+
+					// Room links: cells in this dungeon, or just the other dungeon's id
+					const links = [];
+					for (const ref of Object.values(room.roomLinks || {})) {
+						const match = String(ref).match(
+							/^@([^{}\s]+)\{(\d+),(\d+),(\d+)\}$/,
+						);
+						if (!match) continue;
+						if (match[1] === this.currentDungeonId) {
+							links.push({
+								x: parseInt(match[2]),
+								y: parseInt(match[3]),
+								z: parseInt(match[4]),
+							});
+						} else {
+							links.push({ dungeonId: match[1] });
+						}
+					}
+
+					const { up, down } = this.getVerticalExits(dungeon, x, y, z);
+					blocks.push({
+						x,
+						y,
+						z,
+						color:
+							room.mapColor !== null && room.mapColor !== undefined
+								? COLORS.find((c) => c.id === room.mapColor)?.hex || null
+								: null,
+						dense: Boolean(room.dense),
+						up,
+						down,
+						links,
+					});
+				}
+			}
+		}
+		return { width, height, layers, blocks };
+	}
+
+	openIsoPreview() {
+		if (!this.yamlData) return;
+		const dungeon = this.yamlData.dungeon;
+		const modal = document.getElementById("iso-modal");
+		modal.classList.add("active");
+		this.isoPreview ||= new IsoPreview(document.getElementById("iso-canvas"));
+
+		// A checkbox for each layer, top first as in the layer list
+		const layerList = document.getElementById("iso-layers");
+		layerList.innerHTML = "";
+		for (let z = dungeon.dimensions.layers - 1; z >= 0; z--) {
+			const label = document.createElement("label");
+			const checkbox = document.createElement("input");
+			checkbox.type = "checkbox";
+			checkbox.checked = !this.isoPreview.hiddenLayers.has(z);
+			checkbox.addEventListener("change", () => {
+				this.isoPreview.setLayerVisible(z, checkbox.checked);
+			});
+			label.append(checkbox, ` Layer ${z}`);
+			layerList.appendChild(label);
+		}
+
+		this.isoPreview.setModel(this.getIsoPreviewModel(dungeon));
+	}
+
+	toggleMinimap() {
+		const renderer = this.getMapRenderer();
+		renderer.setMinimapVisible(!renderer.minimapVisible);
+		document
+			.getElementById("minimap-btn")
+			.classList.toggle("active", renderer.minimapVisible);
+	}
+
 	setSelectionMode(mode) {
 		// Toggle mode: if clicking the same tool, deselect it
 		if (this.selectionMode === mode) {
@@ -4026,14 +6286,11 @@ class MapEditor {
 			this.updatePlacementIndicator(null, null, null);
 			// Clear single cell selection when using a selection tool
 			this.selectedCell = null;
-			// Remove selected class from grid cells
-			document.querySelectorAll(".grid-cell").forEach((cell) => {
-				cell.classList.remove("selected");
-			});
+			this.mapRenderer?.setSelectedCell(null);
 		}
 
 		// Update button highlights
-		document.querySelectorAll(".tool-btn").forEach((btn) => {
+		document.querySelectorAll(".tool-btn[data-tool]").forEach((btn) => {
 			btn.classList.toggle("active", btn.dataset.tool === this.selectionMode);
 		});
 
@@ -4248,13 +6505,8 @@ class MapEditor {
 
 	updateSelectionVisuals() {
 		// Update visual feedback for selected cells
-		document.querySelectorAll(".grid-cell").forEach((cell) => {
-			const x = parseInt(cell.dataset.x);
-			const y = parseInt(cell.dataset.y);
-			const z = parseInt(cell.dataset.z);
-			const cellKey = `${x},${y},${z}`;
-			cell.classList.toggle("selected-cell", this.selectedCells.has(cellKey));
-		});
+		this.mapRenderer?.setSelection(this.selectedCells);
+		this.sendPresence();
 	}
 
 	deleteRoomAtCell(x, y, z) {
@@ -4323,11 +6575,8 @@ class MapEditor {
 		// 	btn.classList.remove("active");
 		// });
 
-		// Remove selected class from grid cells
-		document.querySelectorAll(".grid-cell").forEach((cell) => {
-			cell.classList.remove("selected");
-			cell.classList.remove("selected-cell");
-		});
+		// Remove the single cell highlight
+		this.mapRenderer?.setSelectedCell(null);
 
 		// Remove selected class from template items
 		document.querySelectorAll(".template-item").forEach((item) => {
@@ -4445,6 +6694,9 @@ class MapEditor {
 			this.history.shift();
 			this.historyIndex--;
 		}
+
+		// The edit itself happens after this returns
+		this.scheduleCollabFlush();
 	}
 
 	restoreStateFromHistory(state) {
@@ -4471,6 +6723,8 @@ class MapEditor {
 
 		// Re-render map
 		this.renderMap(dungeon);
+
+		this.scheduleCollabFlush();
 	}
 
 	undo() {
@@ -4531,6 +6785,8 @@ class MapEditor {
 					yamlData: this.yamlData,
 					timestamp: Date.now(),
 					dungeonId: this.currentDungeonId,
+					etag: this.currentEtag,
+					baseDungeon: this.baseDungeon,
 				};
 				localStorage.setItem(storageKey, JSON.stringify(dataToSave));
 				this.hasUnsavedChanges = true;
@@ -4691,7 +6947,7 @@ class MapEditor {
 					"Content-Type": "application/json",
 				},
 				body: JSON.stringify({
-					yaml: jsyaml.dump(dungeonData, { lineWidth: -1, noRefs: true }),
+					yaml: YAML.dump(dungeonData, { lineWidth: -1, noRefs: true }),
 				}),
 			});
 
@@ -4919,15 +7175,5 @@ class MapEditor {
 // Initialize editor when page loads
 let editor;
 window.addEventListener("DOMContentLoaded", () => {
-	// js-yaml should already be loaded via script tag in HTML
-	// Wait a moment to ensure it's available
-	setTimeout(() => {
-		if (typeof jsyaml === "undefined") {
-			console.error(
-				"js-yaml library not loaded. Please check the script tag in index.html",
-			);
-			return;
-		}
-		editor = new MapEditor();
-	}, 100);
+	editor = new MapEditor();
 });
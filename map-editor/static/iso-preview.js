@@ -0,0 +1,364 @@
+// Isometric Preview
+// Draws every layer of a dungeon at once, as a stack of blocks seen from
+// above at an angle. It is read-only: the editor describes the rooms (see
+// MapEditor.getIsoPreviewModel) and the preview projects them onto a plain
+// 2D canvas, so it needs no WebGL or GPU. Dragging sideways turns the
+// stack; hidden layers are left out along with their connections.
+
+// Heights in cells: how far apart layers are, and how tall each block is
+const LAYER_SPACING = 1.6;
+const BLOCK_HEIGHT = 0.6;
+
+// Ground is squashed to this much of its depth, as in isometric art
+const TILT = 0.5;
+
+// Degrees of turn per pixel dragged
+const DRAG_ROTATION = 0.5;
+
+// Space left around the stack, in CSS pixels
+const MARGIN = 24;
+
+// Colors, matching the map view
+const COLORS = {
+	background: "#1e1e1e",
+	room: "#2e6b2e",
+	dense: "#5a5a5a",
+	edge: "rgba(0, 0, 0, 0.35)",
+	ground: "rgba(255, 255, 255, 0.06)",
+	verticalExit: "#8fbfff",
+	broken: "#ff6b6b",
+	link: "#00ffff",
+	label: "#aaa",
+};
+
+// The four sides of a block, as outward directions on the grid
+const SIDES = [
+	{ dx: 0, dy: -1 },
+	{ dx: 0, dy: 1 },
+	{ dx: 1, dy: 0 },
+	{ dx: -1, dy: 0 },
+];
+
+// A "#rrggbb" color with its brightness scaled by `factor`
+function shade(hex, factor) {
+	const value = parseInt(hex.slice(1), 16);
+	const channel = (shift) =>
+		Math.min(255, Math.round(((value >> shift) & 255) * factor));
+	return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+export class IsoPreview {
+	// `canvas` is drawn on at its displayed size
+	constructor(canvas) {
+		this.canvas = canvas;
+		this.context = canvas.getContext("2d");
+		this.model = null;
+		this.angle = 45; // Degrees the grid is turned clockwise
+		this.hiddenLayers = new Set();
+		this.drag = null; // {x, angle} where a drag started
+		this.frame = null; // Pending requestAnimationFrame id
+
+		canvas.addEventListener("mousedown", (e) => {
+			e.preventDefault();
+			this.drag = { x: e.clientX, angle: this.angle };
+		});
+		document.addEventListener("mousemove", (e) => {
+			if (!this.drag) return;
+			this.setAngle(
+				this.drag.angle + (e.clientX - this.drag.x) * DRAG_ROTATION,
+			);
+		});
+		document.addEventListener("mouseup", () => {
+			this.drag = null;
+		});
+		new ResizeObserver(() => this.schedule()).observe(canvas);
+	}
+
+	// Show a dungeon: {width, height, layers, blocks}, where each block is
+	// {x, y, z, color, dense, up, down, links}. `up` and `down` are as from
+	// MapEditor.getVerticalExits; `links` are room link targets, either
+	// {x, y, z} in this dungeon or {dungeonId} elsewhere.
+	setModel(model) {
+		this.model = model;
+		this.blocksAt = new Map(
+			model.blocks.map((block) => [`${block.x},${block.y},${block.z}`, block]),
+		);
+		this.schedule();
+	}
+
+	setAngle(angle) {
+		this.angle = ((angle % 360) + 360) % 360;
+		this.schedule();
+	}
+
+	rotateBy(degrees) {
+		this.setAngle(this.angle + degrees);
+	}
+
+	setLayerVisible(z, visible) {
+		if (visible) {
+			this.hiddenLayers.delete(z);
+		} else {
+			this.hiddenLayers.add(z);
+		}
+		this.schedule();
+	}
+
+	schedule() {
+		if (this.frame !== null) return;
+		this.frame = requestAnimationFrame(() => {
+			this.frame = null;
+			this.paint();
+		});
+	}
+
+	// Where a point on the grid, `height` cells up, lands on the canvas
+	project(x, y, height) {
+		const gridX = x - this.model.width / 2;
+		const gridY = y - this.model.height / 2;
+		const turnedX = gridX * this.cos - gridY * this.sin;
+		const turnedY = gridX * this.sin + gridY * this.cos;
+		return [
+			this.originX + turnedX * this.scale,
+			this.originY + (turnedY * TILT - height) * this.scale,
+		];
+	}
+
+	// Scale and center the whole stack, hidden layers included, so hiding
+	// one doesn't make the rest jump
+	fit(viewWidth, viewHeight) {
+		const { width, height, layers } = this.model;
+		const radians = (this.angle * Math.PI) / 180;
+		this.cos = Math.cos(radians);
+		this.sin = Math.sin(radians);
+		this.scale = 1;
+		this.originX = 0;
+		this.originY = 0;
+
+		let minX = Infinity;
+		let maxX = -Infinity;
+		let minY = Infinity;
+		let maxY = -Infinity;
+		const top = (layers - 1) * LAYER_SPACING + BLOCK_HEIGHT;
+		for (const [x, y] of [
+			[0, 0],
+			[width, 0],
+			[0, height],
+			[width, height],
+		]) {
+			for (const h of [0, top]) {
+				const [px, py] = this.project(x, y, h);
+				minX = Math.min(minX, px);
+				maxX = Math.max(maxX, px);
+				minY = Math.min(minY, py);
+				maxY = Math.max(maxY, py);
+			}
+		}
+
+		this.scale = Math.min(
+			(viewWidth - MARGIN * 2) / (maxX - minX),
+			(viewHeight - MARGIN * 2) / (maxY - minY),
+		);
+		this.originX = viewWidth / 2 - ((minX + maxX) / 2) * this.scale;
+		this.originY = viewHeight / 2 - ((minY + maxY) / 2) * this.scale;
+	}
+
+	paint() {
+		const ratio = window.devicePixelRatio || 1;
+		const viewWidth = this.canvas.clientWidth;
+		const viewHeight = this.canvas.clientHeight;
+		this.canvas.width = Math.round(viewWidth * ratio);
+		this.canvas.height = Math.round(viewHeight * ratio);
+		const context = this.context;
+		context.setTransform(ratio, 0, 0, ratio, 0, 0);
+		context.fillStyle = COLORS.background;
+		context.fillRect(0, 0, viewWidth, viewHeight);
+		if (!this.model || viewWidth === 0 || viewHeight === 0) return;
+
+		this.fit(viewWidth, viewHeight);
+
+		// Far blocks first, so near ones cover them; a layer at a time from
+		// the bottom, since every block sits above those of lower layers
+		const depth = (block) =>
+			(block.x + 0.5) * this.sin + (block.y + 0.5) * this.cos;
+		const byLayer = [];
+		for (const block of this.model.blocks) {
+			if (this.hiddenLayers.has(block.z)) continue;
+			(byLayer[block.z] ||= []).push(block);
+		}
+
+		for (let z = 0; z < this.model.layers; z++) {
+			if (this.hiddenLayers.has(z)) continue;
+			this.paintGround(z);
+			const blocks = (byLayer[z] || []).sort((a, b) => depth(a) - depth(b));
+			// Exits down hang under the blocks; exits up rise from their tops,
+			// behind the layer above
+			for (const block of blocks) this.paintVerticalExit(block, "down");
+			for (const block of blocks) this.paintBlock(block);
+			for (const block of blocks) this.paintVerticalExit(block, "up");
+		}
+
+		// Room links are drawn over everything
+		for (const block of this.model.blocks) {
+			if (!this.hiddenLayers.has(block.z)) this.paintLinks(block);
+		}
+	}
+
+	// The outline of a layer, so empty ones still show where they are
+	paintGround(z) {
+		const { width, height } = this.model;
+		const base = z * LAYER_SPACING;
+		this.fillPolygon(
+			[
+				this.project(0, 0, base),
+				this.project(width, 0, base),
+				this.project(width, height, base),
+				this.project(0, height, base),
+			],
+			COLORS.ground,
+		);
+	}
+
+	paintBlock(block) {
+		const { x, y, z } = block;
+		const base = z * LAYER_SPACING;
+		const top = base + BLOCK_HEIGHT;
+		const color = block.color || (block.dense ? COLORS.dense : COLORS.room);
+
+		// Only sides facing the viewer show, and not where a neighbour
+		// on the same layer covers them
+		for (const { dx, dy } of SIDES) {
+			const facing = dx * this.sin + dy * this.cos;
+			if (facing <= 0) continue;
+			if (this.blocksAt.has(`${x + dx},${y + dy},${z}`)) continue;
+
+			// The side's two corners on the grid
+			const x1 = dx > 0 ? x + 1 : x;
+			const y1 = dy > 0 ? y + 1 : y;
+			const x2 = dx === 0 ? x1 + 1 : x1;
+			const y2 = dy === 0 ? y1 + 1 : y1;
+			// Lit from the right of the screen, however the stack is turned
+			const light = dx * this.cos - dy * this.sin;
+			this.fillPolygon(
+				[
+					this.project(x1, y1, base),
+					this.project(x2, y2, base),
+					this.project(x2, y2, top),
+					this.project(x1, y1, top),
+				],
+				shade(color, 0.6 + light * 0.15),
+			);
+		}
+
+		this.fillPolygon(
+			[
+				this.project(x, y, top),
+				this.project(x + 1, y, top),
+				this.project(x + 1, y + 1, top),
+				this.project(x, y + 1, top),
+			],
+			color,
+			this.scale >= 6 ? COLORS.edge : null,
+		);
+	}
+
+	// A line up to the layer above for an UP exit; an UP or DOWN exit that
+	// leads nowhere gets a short red stub instead
+	paintVerticalExit(block, direction) {
+		const base = block.z * LAYER_SPACING;
+		const centerX = block.x + 0.5;
+		const centerY = block.y + 0.5;
+		this.context.lineWidth = Math.max(1, Math.min(3, this.scale / 8));
+
+		if (direction === "up" && block.up === "exit") {
+			if (this.hiddenLayers.has(block.z + 1)) return;
+			this.strokeLine(
+				this.project(centerX, centerY, base + BLOCK_HEIGHT),
+				this.project(centerX, centerY, base + LAYER_SPACING),
+				COLORS.verticalExit,
+			);
+		} else if (direction === "up" && block.up === "broken") {
+			this.strokeLine(
+				this.project(centerX, centerY, base + BLOCK_HEIGHT),
+				this.project(centerX, centerY, base + BLOCK_HEIGHT + 0.5),
+				COLORS.broken,
+			);
+		} else if (direction === "down" && block.down === "broken") {
+			this.strokeLine(
+				this.project(centerX, centerY, base),
+				this.project(centerX, centerY, base - 0.5),
+				COLORS.broken,
+			);
+		}
+	}
+
+	// Room links arc from the top of a block to the top of its target, or
+	// up and away with the dungeon's name if it's in another dungeon
+	paintLinks(block) {
+		const context = this.context;
+		const from = this.project(
+			block.x + 0.5,
+			block.y + 0.5,
+			block.z * LAYER_SPACING + BLOCK_HEIGHT,
+		);
+		context.lineWidth = Math.max(1, Math.min(2, this.scale / 10));
+
+		for (const link of block.links) {
+			context.strokeStyle = COLORS.link;
+			context.beginPath();
+			context.moveTo(...from);
+			if (link.dungeonId === undefined) {
+				if (this.hiddenLayers.has(link.z)) continue;
+				const to = this.project(
+					link.x + 0.5,
+					link.y + 0.5,
+					link.z * LAYER_SPACING + BLOCK_HEIGHT,
+				);
+				// Longer links arc higher
+				const rise = Math.max(
+					this.scale,
+					Math.hypot(to[0] - from[0], to[1] - from[1]) / 3,
+				);
+				context.quadraticCurveTo(
+					(from[0] + to[0]) / 2,
+					Math.min(from[1], to[1]) - rise,
+					...to,
+				);
+				context.stroke();
+			} else {
+				const to = [from[0] + this.scale, from[1] - this.scale * 2];
+				context.quadraticCurveTo(from[0], to[1], ...to);
+				context.stroke();
+				context.fillStyle = COLORS.label;
+				context.font = "11px monospace";
+				context.textAlign = "left";
+				context.textBaseline = "middle";
+				context.fillText(link.dungeonId, to[0] + 3, to[1]);
+			}
+		}
+	}
+
+	fillPolygon(points, color, edge = null) {
+		const context = this.context;
+		context.beginPath();
+		context.moveTo(...points[0]);
+		for (const point of points.slice(1)) context.lineTo(...point);
+		context.closePath();
+		context.fillStyle = color;
+		context.fill();
+		if (edge) {
+			context.strokeStyle = edge;
+			context.lineWidth = 1;
+			context.stroke();
+		}
+	}
+
+	strokeLine(from, to, color) {
+		const context = this.context;
+		context.strokeStyle = color;
+		context.beginPath();
+		context.moveTo(...from);
+		context.lineTo(...to);
+		context.stroke();
+	}
+}
@@ -0,0 +1,912 @@
+// Map Renderer
+// Draws one layer of the dungeon grid, with its rulers, on a canvas. The
+// editor describes every cell (see MapEditor.renderMap) and the renderer
+// repaints only the cells whose appearance changed; scrolling or resizing
+// repaints whatever is in view. The canvas is only as large as the view, so
+// a 100x100 layer costs no more to show than a 10x10 one.
+//
+// The view zooms with the mouse wheel and pans by dragging with the middle
+// button or with the space bar held. An optional minimap shows the whole
+// layer and where the view is; dragging on it moves the view.
+
+// Width of the row ruler and height of the column ruler, in CSS pixels
+const RULER_SIZE = 25;
+
+// Zoom limits, as multiples of the stylesheet's --map-cell-size
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 4;
+
+// Below these cell sizes, text and borders would only be noise
+const MIN_TEXT_SIZE = 10;
+const MIN_BORDER_SIZE = 6;
+
+// Largest side of the minimap, in CSS pixels
+const MINIMAP_SIZE = 160;
+
+// Cell borders for each kind of exit indicator (see getExitIndicators)
+const INDICATOR_STYLES = {
+	exit: { width: 2, color: "#244542" },
+	"one-way-exit": { width: 2, color: "#555", dashed: true },
+	"one-way-blocked": { width: 2, color: "#555" },
+	blocked: { width: 2, color: "#555" },
+	link: { width: 2, color: "#00ffff" },
+};
+
+const SIDES = ["north", "south", "east", "west"];
+
+// Diagonal exits are drawn as a line across the corner they leave by, but
+// only a room link or a diagonal the sides don't already cover
+const CORNERS = ["northeast", "northwest", "southeast", "southwest"];
+
+// Colors, matching the rest of the editor's dark theme
+const COLORS = {
+	outside: "#1e1e1e",
+	empty: "#2a2a2a",
+	emptyHover: "#323232",
+	room: "#0d220d",
+	roomHover: "#3a5a3a",
+	dense: "#1a3a2a",
+	denseHover: "#2a4a3a",
+	border: "#333",
+	borderHover: "#666",
+	denseBlocked: "#666",
+	text: "#e0e0e0",
+	selected: "#4a9eff",
+	selectedEmpty: "#2a4a6a",
+	selectedRoom: "#1a4a2a",
+	selection: "rgba(74, 106, 200, 0.4)",
+	selectionBorder: "#4a6ac8",
+	error: "#ff6b6b",
+	warning: "#ffb74d",
+	onionAbove: "rgba(110, 170, 255, 0.25)",
+	onionAboveDense: "rgba(110, 170, 255, 0.12)",
+	onionBelow: "rgba(255, 170, 80, 0.25)",
+	onionBelowDense: "rgba(255, 170, 80, 0.12)",
+	verticalExit: "#8fbfff",
+	minimapEmpty: "#262626",
+	minimapRoom: "#2e6b2e",
+	minimapDense: "#4a6a5a",
+	minimapView: "#4a9eff",
+	ruler: "#333",
+	rulerLine: "#555",
+	rulerText: "#aaa",
+	rulerError: "#5a3a3a",
+};
+
+// What a cell looks like; anything else about it doesn't need a repaint
+function signature(cell) {
+	return [
+		cell.text,
+		cell.color,
+		cell.room,
+		cell.dense,
+		...SIDES.map((side) => cell.indicators[side]),
+		...CORNERS.map((corner) => cell.indicators[corner]),
+		cell.up,
+		cell.down,
+		cell.above,
+		cell.below,
+		cell.issue,
+	].join("|");
+}
+
+// The cell's color on the minimap
+function minimapColor(cell) {
+	if (!cell.room) return COLORS.minimapEmpty;
+	if (cell.color) return cell.color;
+	return cell.dense ? COLORS.minimapDense : COLORS.minimapRoom;
+}
+
+// The color of an UP or DOWN exit arrow (see MapEditor.getVerticalExits)
+function verticalExitColor(exit) {
+	if (exit === "broken") return COLORS.error;
+	if (exit === "link") return INDICATOR_STYLES.link.color;
+	return COLORS.verticalExit;
+}
+
+// Label every cell, or every 2nd, 5th, 10th... so labels are at least
+// `minimum` pixels apart
+function labelStep(cellSize, minimum) {
+	for (const step of [1, 2, 5, 10, 20, 50]) {
+		if (cellSize * step >= minimum) return step;
+	}
+	return 100;
+}
+
+// Whether keys pressed now are going into a form field
+function isTyping(target) {
+	return (
+		target.tagName === "INPUT" ||
+		target.tagName === "TEXTAREA" ||
+		target.tagName === "SELECT" ||
+		target.isContentEditable
+	);
+}
+
+export class MapRenderer {
+	// `container` is the scrolling element to draw in. `handlers` get the
+	// cell under the mouse: onCellDown(x, y, event), onCellEnter(x, y,
+	// event) and onCellClick(x, y, event); onZoom(zoom) is told when the
+	// zoom changes.
+	constructor(container, handlers) {
+		this.container = container;
+		this.handlers = handlers;
+		this.minimap = null; // See setMinimap()
+		this.minimapVisible = true;
+		// One pixel per cell, scaled up onto the minimap
+		this.minimapImage = document.createElement("canvas");
+
+		// The spacer gives the container the grid's full scroll size; the
+		// canvas sticks to the visible part of it
+		this.spacer = document.createElement("div");
+		this.spacer.className = "map-canvas-spacer";
+		this.canvas = document.createElement("canvas");
+		this.canvas.className = "map-canvas";
+		// Focusable by clicking, so Space can pan without the mouse over it
+		this.canvas.tabIndex = -1;
+		this.spacer.appendChild(this.canvas);
+		this.context = this.canvas.getContext("2d");
+
+		this.width = 0;
+		this.height = 0;
+		this.layer = 0;
+		this.baseCellSize = 30; // From the stylesheet
+		this.zoom = 1;
+		this.cellSize = 30; // baseCellSize at the current zoom
+		this.cells = []; // Cell descriptions, row by row
+		this.signatures = []; // signature() of each, as last painted
+		this.rowIssues = []; // Messages for each row's ruler, if any
+		this.selection = new Set(); // "x,y,z" keys of the multi-cell selection
+		this.selectedCell = null; // {x, y, z} of the single selected cell
+		this.peerMarks = new Map(); // "x,y" -> {color, cursor, selected}
+		this.hovered = -1; // Index of the cell under the mouse
+		this.pointerOver = false; // Whether the mouse is over the canvas
+		this.spaceHeld = false; // Space + drag pans
+		this.pan = null; // {x, y, scrollLeft, scrollTop} where a pan started
+		this.panned = false; // Swallows the click that ends a pan
+		this.minimapDragging = false;
+
+		this.dirty = new Set(); // Indexes of cells to repaint
+		this.fullRepaint = true;
+		this.frame = null;
+
+		this.container.addEventListener("scroll", () => this.invalidate());
+		new ResizeObserver(() => this.resize()).observe(this.container);
+
+		this.canvas.addEventListener("mousedown", (e) => {
+			this.canvas.focus({ preventScroll: true });
+			if (e.button === 1 || (e.button === 0 && this.spaceHeld)) {
+				e.preventDefault();
+				this.startPan(e);
+				return;
+			}
+			const cell = this.cellAt(e.clientX, e.clientY);
+			if (cell) this.handlers.onCellDown(cell.x, cell.y, e);
+		});
+		this.canvas.addEventListener("mousemove", (e) => {
+			if (this.pan) return;
+			const cell = this.cellAt(e.clientX, e.clientY);
+			const index = cell ? cell.y * this.width + cell.x : -1;
+			if (index !== this.hovered) {
+				this.setHovered(index);
+				if (cell) this.handlers.onCellEnter(cell.x, cell.y, e);
+			}
+			if (!cell) this.canvas.title = this.rulerTitle(e.clientX, e.clientY);
+		});
+		this.canvas.addEventListener("mouseenter", () => {
+			this.pointerOver = true;
+		});
+		this.canvas.addEventListener("mouseleave", () => {
+			this.pointerOver = false;
+			this.setHovered(-1);
+		});
+		this.canvas.addEventListener("click", (e) => {
+			if (this.panned) {
+				this.panned = false;
+				return;
+			}
+			const cell = this.cellAt(e.clientX, e.clientY);
+			if (cell) this.handlers.onCellClick(cell.x, cell.y, e);
+		});
+		this.canvas.addEventListener(
+			"wheel",
+			(e) => {
+				e.preventDefault();
+				// Lines and pages are rare, but count them as about 16px
+				const delta = e.deltaMode === 0 ? e.deltaY : e.deltaY * 16;
+				const rect = this.canvas.getBoundingClientRect();
+				this.setZoom(
+					this.zoom * Math.exp(-delta * 0.0015),
+					e.clientX - rect.left,
+					e.clientY - rect.top,
+				);
+			},
+			{ passive: false },
+		);
+
+		document.addEventListener("mousemove", (e) => {
+			if (this.pan) {
+				this.container.scrollLeft =
+					this.pan.scrollLeft - (e.clientX - this.pan.x);
+				this.container.scrollTop =
+					this.pan.scrollTop - (e.clientY - this.pan.y);
+				if (e.clientX !== this.pan.x || e.clientY !== this.pan.y) {
+					this.panned = true;
+				}
+			} else if (this.minimapDragging) {
+				this.moveToMinimapPoint(e);
+			}
+		});
+		document.addEventListener("mouseup", () => {
+			if (this.pan) {
+				this.pan = null;
+				this.updateCursor();
+			}
+			this.minimapDragging = false;
+		});
+		document.addEventListener("keydown", (e) => {
+			if (e.code !== "Space" || isTyping(e.target)) return;
+			// Only for the map: elsewhere Space presses buttons, ticks boxes
+			// and scrolls as usual
+			if (!this.pointerOver && e.target !== this.canvas) return;
+			// Don't scroll the page or press a focused button
+			e.preventDefault();
+			if (!this.spaceHeld) {
+				this.spaceHeld = true;
+				this.updateCursor();
+			}
+		});
+		document.addEventListener("keyup", (e) => {
+			if (e.code !== "Space") return;
+			this.spaceHeld = false;
+			this.updateCursor();
+		});
+		window.addEventListener("blur", () => {
+			this.spaceHeld = false;
+			this.updateCursor();
+		});
+	}
+
+	// Show a layer: `cells` has width * height descriptions, row by row, of
+	// {text, color, room, dense, indicators: {north, ...}, issue, title}.
+	// Only cells that look different from last time are repainted.
+	setLayer(width, height, layer, cells, rowIssues) {
+		if (!this.spacer.isConnected) {
+			this.container.appendChild(this.spacer);
+			this.fullRepaint = true;
+		}
+		if (
+			width !== this.width ||
+			height !== this.height ||
+			layer !== this.layer
+		) {
+			this.width = width;
+			this.height = height;
+			this.layer = layer;
+			this.signatures = [];
+			this.hovered = -1;
+			this.minimapImage.width = width;
+			this.minimapImage.height = height;
+			this.resize();
+		}
+
+		const minimapContext = this.minimapImage.getContext("2d");
+		cells.forEach((cell, index) => {
+			const cellSignature = signature(cell);
+			if (this.signatures[index] !== cellSignature) {
+				this.signatures[index] = cellSignature;
+				this.dirty.add(index);
+				minimapContext.fillStyle = minimapColor(cell);
+				minimapContext.fillRect(index % width, Math.floor(index / width), 1, 1);
+			}
+		});
+		this.cells = cells;
+
+		if (rowIssues.join("\n") !== this.rowIssues.join("\n")) {
+			// Row rulers are redrawn with every frame
+			this.rowIssues = rowIssues;
+			this.invalidate();
+		}
+		this.updateTitle();
+		this.schedule();
+	}
+
+	// Remove the grid, e.g. when the dungeon is unloaded
+	clear() {
+		this.spacer.remove();
+		if (this.minimap) this.minimap.hidden = true;
+		this.width = 0;
+		this.height = 0;
+		this.cells = [];
+		this.signatures = [];
+		this.hovered = -1;
+	}
+
+	setSelection(selectedCells) {
+		const changed = new Set();
+		for (const key of this.selection) {
+			if (!selectedCells.has(key)) changed.add(key);
+		}
+		for (const key of selectedCells) {
+			if (!this.selection.has(key)) changed.add(key);
+		}
+		this.selection = new Set(selectedCells);
+		changed.forEach((key) => this.markKey(key));
+		this.schedule();
+	}
+
+	setSelectedCell(selectedCell) {
+		const previous = this.selectedCell;
+		this.selectedCell = selectedCell ? { ...selectedCell } : null;
+		if (previous) this.markKey(`${previous.x},${previous.y},${previous.z}`);
+		if (selectedCell) {
+			this.markKey(`${selectedCell.x},${selectedCell.y},${selectedCell.z}`);
+		}
+		this.schedule();
+	}
+
+	// Other builders' cursors and selections on this layer, as a map of
+	// "x,y" -> {color, cursor, selected}
+	setPeerMarks(peerMarks) {
+		const keys = new Set([...this.peerMarks.keys(), ...peerMarks.keys()]);
+		for (const key of keys) {
+			const before = this.peerMarks.get(key);
+			const after = peerMarks.get(key);
+			if (
+				before?.color !== after?.color ||
+				before?.cursor !== after?.cursor ||
+				before?.selected !== after?.selected
+			) {
+				this.markKey(`${key},${this.layer}`);
+			}
+		}
+		this.peerMarks = peerMarks;
+		this.schedule();
+	}
+
+	// Zoom, keeping the grid still at a point in the view (its center unless
+	// given, in CSS pixels from the canvas's top left)
+	setZoom(zoom, anchorX, anchorY) {
+		zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+		const viewWidth = this.container.clientWidth;
+		const viewHeight = this.container.clientHeight;
+		anchorX ??= (viewWidth + RULER_SIZE) / 2;
+		anchorY ??= (viewHeight + RULER_SIZE) / 2;
+
+		// The grid position, in cells, under the anchor
+		const gridX =
+			(anchorX - RULER_SIZE + this.container.scrollLeft) / this.cellSize;
+		const gridY =
+			(anchorY - RULER_SIZE + this.container.scrollTop) / this.cellSize;
+
+		this.zoom = zoom;
+		this.resize();
+		this.container.scrollLeft = gridX * this.cellSize - (anchorX - RULER_SIZE);
+		this.container.scrollTop = gridY * this.cellSize - (anchorY - RULER_SIZE);
+		this.handlers.onZoom?.(this.zoom);
+	}
+
+	zoomBy(factor) {
+		this.setZoom(this.zoom * factor);
+	}
+
+	// Zoom so the whole layer is in view
+	fit() {
+		if (this.width === 0 || this.height === 0) return;
+		const size = Math.min(
+			(this.container.clientWidth - RULER_SIZE) / this.width,
+			(this.container.clientHeight - RULER_SIZE) / this.height,
+		);
+		this.setZoom(Math.floor(size) / this.baseCellSize);
+		this.container.scrollLeft = 0;
+		this.container.scrollTop = 0;
+	}
+
+	// Scroll so the view is centered on a grid position, in cells
+	centerOn(gridX, gridY) {
+		const viewWidth = this.container.clientWidth - RULER_SIZE;
+		const viewHeight = this.container.clientHeight - RULER_SIZE;
+		this.container.scrollLeft = gridX * this.cellSize - viewWidth / 2;
+		this.container.scrollTop = gridY * this.cellSize - viewHeight / 2;
+	}
+
+	// Draw the whole layer on `canvas` too, with the view marked
+	setMinimap(canvas) {
+		this.minimap = canvas;
+		this.minimap.hidden = true;
+		this.minimap.addEventListener("mousedown", (e) => {
+			e.preventDefault();
+			this.minimapDragging = true;
+			this.moveToMinimapPoint(e);
+		});
+		this.resize();
+	}
+
+	setMinimapVisible(visible) {
+		this.minimapVisible = visible;
+		if (this.minimap) this.minimap.hidden = !visible || this.width === 0;
+		this.invalidate();
+	}
+
+	moveToMinimapPoint(e) {
+		const rect = this.minimap.getBoundingClientRect();
+		if (rect.width === 0 || rect.height === 0) return;
+		this.centerOn(
+			((e.clientX - rect.left) / rect.width) * this.width,
+			((e.clientY - rect.top) / rect.height) * this.height,
+		);
+	}
+
+	startPan(e) {
+		this.pan = {
+			x: e.clientX,
+			y: e.clientY,
+			scrollLeft: this.container.scrollLeft,
+			scrollTop: this.container.scrollTop,
+		};
+		this.panned = false;
+		this.setHovered(-1);
+		this.updateCursor();
+	}
+
+	updateCursor() {
+		this.canvas.classList.toggle("can-pan", this.spaceHeld && !this.pan);
+		this.canvas.classList.toggle("panning", Boolean(this.pan));
+	}
+
+	// The cell at a point on the page, or null outside the grid
+	cellAt(clientX, clientY) {
+		const rect = this.canvas.getBoundingClientRect();
+		const left = clientX - rect.left;
+		const top = clientY - rect.top;
+		if (left < RULER_SIZE || top < RULER_SIZE) return null;
+		const x = Math.floor(
+			(left - RULER_SIZE + this.container.scrollLeft) / this.cellSize,
+		);
+		const y = Math.floor(
+			(top - RULER_SIZE + this.container.scrollTop) / this.cellSize,
+		);
+		if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+		return { x, y };
+	}
+
+	// A row ruler's problems, for its tooltip
+	rulerTitle(clientX, clientY) {
+		const rect = this.canvas.getBoundingClientRect();
+		const top = clientY - rect.top;
+		if (clientX - rect.left >= RULER_SIZE || top < RULER_SIZE) return "";
+		const y = Math.floor(
+			(top - RULER_SIZE + this.container.scrollTop) / this.cellSize,
+		);
+		return this.rowIssues[y] || "";
+	}
+
+	markKey(key) {
+		const [x, y, z] = key.split(",").map(Number);
+		if (z !== this.layer || x >= this.width || y >= this.height) return;
+		this.dirty.add(y * this.width + x);
+	}
+
+	setHovered(index) {
+		if (this.hovered >= 0) this.dirty.add(this.hovered);
+		if (index >= 0) this.dirty.add(index);
+		this.hovered = index;
+		this.updateTitle();
+		this.schedule();
+	}
+
+	updateTitle() {
+		this.canvas.title = this.cells[this.hovered]?.title || "";
+	}
+
+	// Repaint everything in view on the next frame
+	invalidate() {
+		this.fullRepaint = true;
+		this.schedule();
+	}
+
+	schedule() {
+		if (this.frame === null) {
+			this.frame = requestAnimationFrame(() => this.paint());
+		}
+	}
+
+	// Fit the canvas to the view and the spacer to the grid
+	resize() {
+		const style = getComputedStyle(this.container);
+		this.baseCellSize =
+			parseFloat(style.getPropertyValue("--map-cell-size")) || 30;
+		// Whole pixels, so cell edges stay crisp
+		this.cellSize = Math.max(2, Math.round(this.baseCellSize * this.zoom));
+		const viewWidth = this.container.clientWidth;
+		const viewHeight = this.container.clientHeight;
+		// Never smaller than the view, or the canvas itself would overflow
+		this.spacer.style.width = `${Math.max(
+			viewWidth,
+			RULER_SIZE + this.width * this.cellSize,
+		)}px`;
+		this.spacer.style.height = `${Math.max(
+			viewHeight,
+			RULER_SIZE + this.height * this.cellSize,
+		)}px`;
+
+		const ratio = window.devicePixelRatio || 1;
+		this.canvas.style.width = `${viewWidth}px`;
+		this.canvas.style.height = `${viewHeight}px`;
+		this.canvas.width = Math.round(viewWidth * ratio);
+		this.canvas.height = Math.round(viewHeight * ratio);
+		this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+		if (this.minimap && this.width > 0 && this.height > 0) {
+			const scale = MINIMAP_SIZE / Math.max(this.width, this.height);
+			const width = Math.max(1, Math.round(this.width * scale));
+			const height = Math.max(1, Math.round(this.height * scale));
+			this.minimap.style.width = `${width}px`;
+			this.minimap.style.height = `${height}px`;
+			this.minimap.width = Math.round(width * ratio);
+			this.minimap.height = Math.round(height * ratio);
+			this.minimap.hidden = !this.minimapVisible;
+		}
+		this.invalidate();
+	}
+
+	paint() {
+		this.frame = null;
+		const context = this.context;
+		const size = this.cellSize;
+		const viewWidth = this.container.clientWidth;
+		const viewHeight = this.container.clientHeight;
+		const scrollLeft = this.container.scrollLeft;
+		const scrollTop = this.container.scrollTop;
+
+		// Cells at least partly in view
+		const minX = Math.max(0, Math.floor(scrollLeft / size));
+		const maxX = Math.min(
+			this.width - 1,
+			Math.floor((scrollLeft + viewWidth - RULER_SIZE) / size),
+		);
+		const minY = Math.max(0, Math.floor(scrollTop / size));
+		const maxY = Math.min(
+			this.height - 1,
+			Math.floor((scrollTop + viewHeight - RULER_SIZE) / size),
+		);
+
+		context.save();
+		if (this.fullRepaint) {
+			context.fillStyle = COLORS.outside;
+			context.fillRect(0, 0, viewWidth, viewHeight);
+		}
+		// Cells scrolled partly under a ruler must not paint over it
+		context.beginPath();
+		context.rect(RULER_SIZE, RULER_SIZE, viewWidth, viewHeight);
+		context.clip();
+
+		const paintAt = (index) => {
+			const x = index % this.width;
+			const y = Math.floor(index / this.width);
+			if (x < minX || x > maxX || y < minY || y > maxY) return;
+			this.paintCell(
+				index,
+				RULER_SIZE + x * size - scrollLeft,
+				RULER_SIZE + y * size - scrollTop,
+			);
+		};
+		if (this.fullRepaint) {
+			for (let y = minY; y <= maxY; y++) {
+				for (let x = minX; x <= maxX; x++) paintAt(y * this.width + x);
+			}
+		} else {
+			this.dirty.forEach(paintAt);
+		}
+		context.restore();
+
+		if (this.fullRepaint) this.paintRulers(minX, maxX, minY, maxY);
+		if (this.fullRepaint || this.dirty.size > 0) this.paintMinimap();
+		this.fullRepaint = false;
+		this.dirty.clear();
+	}
+
+	// The whole layer, with a frame around the part in view
+	paintMinimap() {
+		if (!this.minimap || this.minimap.hidden) return;
+		const context = this.minimap.getContext("2d");
+		const { width, height } = this.minimap;
+		context.imageSmoothingEnabled = false;
+		context.drawImage(this.minimapImage, 0, 0, width, height);
+
+		const scaleX = width / (this.width * this.cellSize);
+		const scaleY = height / (this.height * this.cellSize);
+		const lineWidth = window.devicePixelRatio || 1;
+		context.strokeStyle = COLORS.minimapView;
+		context.lineWidth = lineWidth;
+		context.strokeRect(
+			this.container.scrollLeft * scaleX + lineWidth / 2,
+			this.container.scrollTop * scaleY + lineWidth / 2,
+			Math.min(width, (this.container.clientWidth - RULER_SIZE) * scaleX) -
+				lineWidth,
+			Math.min(height, (this.container.clientHeight - RULER_SIZE) * scaleY) -
+				lineWidth,
+		);
+	}
+
+	paintCell(index, left, top) {
+		const cell = this.cells[index];
+		if (!cell) return;
+		const context = this.context;
+		const size = this.cellSize;
+		const x = index % this.width;
+		const y = Math.floor(index / this.width);
+		const key = `${x},${y},${this.layer}`;
+		const hovered = index === this.hovered;
+		const selected =
+			this.selectedCell &&
+			this.selectedCell.x === x &&
+			this.selectedCell.y === y &&
+			this.selectedCell.z === this.layer;
+		const peer = this.peerMarks.get(`${x},${y}`);
+
+		context.save();
+		context.beginPath();
+		context.rect(left, top, size, size);
+		context.clip();
+
+		// Background
+		if (selected) {
+			context.fillStyle = cell.room
+				? COLORS.selectedRoom
+				: COLORS.selectedEmpty;
+		} else if (cell.dense) {
+			context.fillStyle = hovered ? COLORS.denseHover : COLORS.dense;
+		} else if (cell.room) {
+			context.fillStyle = hovered ? COLORS.roomHover : COLORS.room;
+		} else {
+			context.fillStyle = hovered ? COLORS.emptyHover : COLORS.empty;
+		}
+		context.fillRect(left, top, size, size);
+		const detailed = size >= MIN_BORDER_SIZE;
+		if (detailed) {
+			this.strokeInside(
+				left,
+				top,
+				1,
+				hovered ? COLORS.borderHover : COLORS.border,
+			);
+		}
+
+		// Onion skin: rooms on the layer above fill the top left half of the
+		// cell, rooms on the layer below the bottom right half
+		if (cell.above) {
+			this.fillTriangle(
+				[left, top, left + size, top, left, top + size],
+				cell.above === "dense" ? COLORS.onionAboveDense : COLORS.onionAbove,
+			);
+		}
+		if (cell.below) {
+			this.fillTriangle(
+				[left + size, top, left + size, top + size, left, top + size],
+				cell.below === "dense" ? COLORS.onionBelowDense : COLORS.onionBelow,
+			);
+		}
+
+		// Exit indicators, one side at a time
+		for (const side of detailed ? SIDES : []) {
+			const indicator = cell.indicators[side];
+			const style = INDICATOR_STYLES[indicator];
+			if (!style) continue;
+			if (cell.dense && indicator === "blocked") {
+				this.paintSide(left, top, side, 3, COLORS.denseBlocked);
+			} else {
+				this.paintSide(left, top, side, style.width, style.color, style.dashed);
+			}
+		}
+
+		// Diagonal exit indicators, only set where a corner means something
+		for (const corner of detailed ? CORNERS : []) {
+			const style = INDICATOR_STYLES[cell.indicators[corner]];
+			if (!style) continue;
+			this.paintCorner(
+				left,
+				top,
+				corner,
+				style.width,
+				style.color,
+				style.dashed,
+			);
+		}
+
+		// UP and DOWN exits: small arrows in the top and bottom right corners
+		if (detailed) {
+			const arrow = size * 0.3;
+			const right = left + size - size * 0.1;
+			const arrowLeft = right - arrow;
+			if (cell.up) {
+				const arrowTop = top + size * 0.1;
+				this.fillTriangle(
+					[
+						arrowLeft,
+						arrowTop + arrow * 0.8,
+						right,
+						arrowTop + arrow * 0.8,
+						arrowLeft + arrow / 2,
+						arrowTop,
+					],
+					verticalExitColor(cell.up),
+				);
+			}
+			if (cell.down) {
+				const arrowBottom = top + size - size * 0.1;
+				this.fillTriangle(
+					[
+						arrowLeft,
+						arrowBottom - arrow * 0.8,
+						right,
+						arrowBottom - arrow * 0.8,
+						arrowLeft + arrow / 2,
+						arrowBottom,
+					],
+					verticalExitColor(cell.down),
+				);
+			}
+		}
+
+		// Map text, in the cell's map color
+		if (size >= MIN_TEXT_SIZE) {
+			context.fillStyle = cell.color || COLORS.text;
+			context.font = `bold ${Math.round(size * 0.47)}px monospace`;
+			context.textAlign = "center";
+			context.textBaseline = "middle";
+			context.fillText(cell.text, left + size / 2, top + size / 2 + 1);
+		} else if (cell.color) {
+			// Too small to read, but mobs and colored rooms still stand out
+			context.fillStyle = cell.color;
+			context.fillRect(left + size / 4, top + size / 4, size / 2, size / 2);
+		}
+
+		// Problems the server reported on the last save
+		if (cell.issue) {
+			this.strokeInside(
+				left,
+				top,
+				2,
+				cell.issue === "error" ? COLORS.error : COLORS.warning,
+			);
+		}
+		if (peer?.selected) this.strokeInside(left, top, 2, peer.color);
+
+		if (this.selection.has(key)) {
+			context.fillStyle = COLORS.selection;
+			context.fillRect(left, top, size, size);
+			this.strokeInside(left, top, 2, COLORS.selectionBorder);
+		} else if (selected) {
+			this.strokeInside(left, top, 2, COLORS.selected);
+		}
+		if (peer?.cursor) this.strokeInside(left, top, 2, peer.color);
+
+		context.restore();
+	}
+
+	// A filled triangle, from its corners as [x1, y1, x2, y2, x3, y3]
+	fillTriangle(points, color) {
+		const context = this.context;
+		context.beginPath();
+		context.moveTo(points[0], points[1]);
+		context.lineTo(points[2], points[3]);
+		context.lineTo(points[4], points[5]);
+		context.closePath();
+		context.fillStyle = color;
+		context.fill();
+	}
+
+	// A border of the given width just inside the cell
+	strokeInside(left, top, width, color) {
+		width = Math.min(width, Math.ceil(this.cellSize / 4));
+		for (const side of SIDES) this.paintSide(left, top, side, width, color);
+	}
+
+	// A line across one corner of the cell, cutting off a third of each edge
+	paintCorner(left, top, corner, width, color, dashed = false) {
+		const context = this.context;
+		const size = this.cellSize;
+		const cut = size / 3;
+		const x = corner.endsWith("east") ? left + size : left;
+		const y = corner.startsWith("south") ? top + size : top;
+		const towardX = corner.endsWith("east") ? -cut : cut;
+		const towardY = corner.startsWith("south") ? -cut : cut;
+		context.strokeStyle = color;
+		context.lineWidth = Math.min(width, Math.ceil(size / 4));
+		context.setLineDash(dashed ? [4, 3] : []);
+		context.beginPath();
+		context.moveTo(x + towardX, y);
+		context.lineTo(x, y + towardY);
+		context.stroke();
+		context.setLineDash([]);
+	}
+
+	paintSide(left, top, side, width, color, dashed = false) {
+		const context = this.context;
+		const size = this.cellSize;
+		context.fillStyle = color;
+		const horizontal = side === "north" || side === "south";
+		const x = side === "east" ? left + size - width : left;
+		const y = side === "south" ? top + size - width : top;
+		if (!dashed) {
+			if (horizontal) context.fillRect(x, y, size, width);
+			else context.fillRect(x, y, width, size);
+			return;
+		}
+		for (let offset = 0; offset < size; offset += 7) {
+			const length = Math.min(4, size - offset);
+			if (horizontal) context.fillRect(x + offset, y, length, width);
+			else context.fillRect(x, y + offset, width, length);
+		}
+	}
+
+	paintRulers(minX, maxX, minY, maxY) {
+		const context = this.context;
+		const size = this.cellSize;
+		const viewWidth = this.container.clientWidth;
+		const viewHeight = this.container.clientHeight;
+		const scrollLeft = this.container.scrollLeft;
+		const scrollTop = this.container.scrollTop;
+
+		context.save();
+		context.font = "600 11px monospace";
+		context.textAlign = "center";
+		context.textBaseline = "middle";
+
+		// Rulers stop where the grid does
+		const right = Math.min(
+			viewWidth,
+			RULER_SIZE + this.width * size - scrollLeft,
+		);
+		const bottom = Math.min(
+			viewHeight,
+			RULER_SIZE + this.height * size - scrollTop,
+		);
+
+		context.fillStyle = COLORS.ruler;
+		context.fillRect(0, 0, right, RULER_SIZE);
+		context.fillRect(0, 0, RULER_SIZE, bottom);
+
+		// Zoomed out, only every few numbers fit
+		const columnStep = labelStep(size, 24);
+		const rowStep = labelStep(size, 14);
+
+		// Column numbers; labels start from a multiple of the step
+		for (let x = minX - (minX % columnStep); x <= maxX; x += columnStep) {
+			const left = RULER_SIZE + x * size - scrollLeft;
+			const span = size * Math.min(columnStep, this.width - x);
+			if (left + span <= RULER_SIZE) continue;
+			context.fillStyle = COLORS.rulerLine;
+			context.fillRect(left + span - 1, 0, 1, RULER_SIZE);
+			context.fillStyle = COLORS.rulerText;
+			context.fillText(String(x), left + span / 2, RULER_SIZE / 2);
+		}
+
+		// Rows with problems are highlighted whatever the zoom
+		for (let y = minY; y <= maxY; y++) {
+			if (!this.rowIssues[y]) continue;
+			context.fillStyle = COLORS.rulerError;
+			context.fillRect(0, RULER_SIZE + y * size - scrollTop, RULER_SIZE, size);
+		}
+
+		// Row numbers
+		for (let y = minY - (minY % rowStep); y <= maxY; y += rowStep) {
+			const top = RULER_SIZE + y * size - scrollTop;
+			const span = size * Math.min(rowStep, this.height - y);
+			if (top + span <= RULER_SIZE) continue;
+			context.fillStyle = COLORS.rulerLine;
+			context.fillRect(0, top + span - 1, RULER_SIZE, 1);
+			context.fillStyle = this.rowIssues[y] ? COLORS.error : COLORS.rulerText;
+			context.fillText(String(y), RULER_SIZE / 2, top + span / 2);
+		}
+
+		// Ruler edges and the corner they meet in
+		context.fillStyle = COLORS.ruler;
+		context.fillRect(0, 0, RULER_SIZE, RULER_SIZE);
+		context.fillStyle = COLORS.rulerLine;
+		context.fillRect(0, RULER_SIZE - 2, right, 2);
+		context.fillRect(RULER_SIZE - 2, 0, 2, bottom);
+		context.restore();
+	}
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Run the test suite
+ *
+ * Finds every compiled spec file under dist/ and runs them with Node's test
+ * runner. mud3's own specs (dist/mud3) are left to mud3. `npm test` builds
+ * first; run this directly to repeat the tests against the last build.
+ *
+ * Usage: node scripts/test.js [filter...]
+ *   Only spec files whose path contains one of the filters are run.
+ */
+
+import { spawnSync } from "child_process";
+import { existsSync, readdirSync } from "fs";
+import { join, dirname, relative } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, "..");
+const distPath = join(projectRoot, "dist");
+const filters = process.argv.slice(2);
+
+function findSpecs(dir) {
+	const specs = [];
+	for (const entry of readdirSync(dir, { withFileTypes: true })) {
+		const path = join(dir, entry.name);
+		if (entry.isDirectory()) {
+			if (path !== join(distPath, "mud3")) specs.push(...findSpecs(path));
+		} else if (entry.name.endsWith(".spec.js")) {
+			specs.push(path);
+		}
+	}
+	return specs;
+}
+
+if (!existsSync(distPath)) {
+	console.error("❌ Error: dist/ not found; run `npm run build` first");
+	process.exit(1);
+}
+
+const specs = findSpecs(distPath)
+	.map((path) => relative(projectRoot, path))
+	.filter(
+		(path) =>
+			filters.length === 0 || filters.some((filter) => path.includes(filter))
+	)
+	.sort();
+
+if (specs.length === 0) {
+	console.error(
+		filters.length === 0
+			? "❌ Error: no spec files found in dist/"
+			: `❌ Error: no spec files in dist/ match ${filters.join(", ")}`
+	);
+	process.exit(1);
+}
+
+const result = spawnSync(
+	process.execPath,
+	["--test", "--test-reporter=spec", ...specs],
+	{ cwd: projectRoot, stdio: "inherit" }
+);
+process.exit(result.status ?? 1);
@@ -0,0 +1,465 @@
+/**
+ * API Router
+ *
+ * The map editor's API as a table of routes. Each route declares its method,
+ * a path such as `/api/dungeons/{id}/revisions/{rev}`, who may call it and
+ * schemas for its path parameters, query string, headers and JSON body. The
+ * router matches requests against the table and checks them against those
+ * schemas before a handler runs, so handlers get values of the declared
+ * types. The same table is described as an OpenAPI 3.1 document.
+ *
+ * Schemas are the subset of JSON Schema the API needs; unlisted object
+ * properties are allowed.
+ */
+
+import { IncomingMessage, ServerResponse } from "http";
+import { PublicUser } from "./user-accounts.js";
+
+/** Largest request body accepted */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+type SchemaType =
+	"string" | "integer" | "number" | "boolean" | "object" | "array" | "null";
+
+export interface Schema {
+	type?: SchemaType | SchemaType[];
+	description?: string;
+	enum?: unknown[];
+	/** For strings */
+	pattern?: string;
+	minLength?: number;
+	/** For numbers */
+	minimum?: number;
+	/** For objects */
+	properties?: Record<string, Schema>;
+	required?: string[];
+	/** For arrays */
+	items?: Schema;
+}
+
+/**
+ * Who may call a route. `editor` means allowed to edit the dungeon named by
+ * the route's `id` parameter.
+ */
+export type Access = "public" | "viewer" | "editor" | "admin";
+
+export type Method = "GET" | "POST" | "PUT" | "DELETE";
+
+export interface RouteContext {
+	req: IncomingMessage;
+	res: ServerResponse;
+	/** Path parameters, decoded */
+	params: Record<string, string>;
+	/** Query parameters, converted to their schema's type */
+	query: Record<string, any>;
+	/** The JSON body; `{}` for routes without a body schema */
+	body: Record<string, any>;
+}
+
+/** A logged-in request, and the session it came with */
+export interface UserRouteContext extends RouteContext {
+	user: PublicUser;
+	token: string;
+}
+
+interface RouteBase {
+	method: Method;
+	path: string;
+	summary: string;
+	description?: string;
+	/** Groups routes in the OpenAPI document */
+	tag: string;
+	/** Schemas for the `{name}` segments of the path */
+	params?: Record<string, Schema>;
+	/** An object schema for the query string */
+	query?: Schema;
+	/** An object schema for the request headers, by their usual spelling */
+	headers?: Schema;
+	/** An object schema for the JSON body */
+	body?: Schema;
+	/** Descriptions of the responses, by status */
+	responses: Record<number, string>;
+}
+
+interface PublicRoute extends RouteBase {
+	access: "public";
+	handler(ctx: RouteContext): Promise<void> | void;
+}
+
+interface UserRoute extends RouteBase {
+	access: Exclude<Access, "public">;
+	handler(ctx: UserRouteContext): Promise<void> | void;
+}
+
+export type Route = PublicRoute | UserRoute;
+
+export interface RouteMatch {
+	route: Route;
+	/** Path parameters as they appeared in the URL, decoded */
+	params: Record<string, string>;
+}
+
+/** A request the server refuses; the server answers with `status` */
+export class RequestError extends Error {
+	constructor(
+		message: string,
+		public readonly status: number
+	) {
+		super(message);
+	}
+}
+
+export function decodeSegment(segment: string): string {
+	try {
+		return decodeURIComponent(segment);
+	} catch {
+		throw new RequestError("Malformed URL", 400);
+	}
+}
+
+export async function readBody(req: IncomingMessage): Promise<string> {
+	if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+		throw new RequestError("Request body is too large", 413);
+	}
+	const chunks: Buffer[] = [];
+	let size = 0;
+	for await (const chunk of req) {
+		size += chunk.length;
+		if (size > MAX_BODY_BYTES) {
+			throw new RequestError("Request body is too large", 413);
+		}
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks).toString("utf-8");
+}
+
+/** A request's JSON body; an empty body reads as `{}` */
+export async function readJsonBody(
+	req: IncomingMessage
+): Promise<Record<string, any>> {
+	const body = await readBody(req);
+	let data: unknown;
+	try {
+		data = JSON.parse(body || "{}");
+	} catch {
+		throw new RequestError("Request body is not valid JSON", 400);
+	}
+	if (typeof data !== "object" || data === null || Array.isArray(data)) {
+		throw new RequestError("Request body must be a JSON object", 400);
+	}
+	return data as Record<string, any>;
+}
+
+const TYPE_NAMES: Record<SchemaType, string> = {
+	string: "a string",
+	integer: "an integer",
+	number: "a number",
+	boolean: "true or false",
+	object: "an object",
+	array: "a list",
+	null: "null",
+};
+
+function typeOf(value: unknown): SchemaType {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (Number.isInteger(value)) return "integer";
+	return typeof value as SchemaType;
+}
+
+function typesOf(schema: Schema): SchemaType[] {
+	if (schema.type === undefined) return [];
+	return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Check a value against a schema.
+ *
+ * @param name What to call the value in the message, e.g. `body.ops[2]`
+ * @returns What is wrong with the value, or undefined if nothing is
+ */
+export function validate(
+	schema: Schema,
+	value: unknown,
+	name: string
+): string | undefined {
+	const types = typesOf(schema);
+	const type = typeOf(value);
+	if (
+		types.length > 0 &&
+		!types.includes(type) &&
+		!(type === "integer" && types.includes("number"))
+	) {
+		return `${name} must be ${types.map((t) => TYPE_NAMES[t]).join(" or ")}`;
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		return `${name} must be one of ${schema.enum.join(", ")}`;
+	}
+
+	if (typeof value === "string") {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			return schema.minLength === 1
+				? `${name} must not be empty`
+				: `${name} must be at least ${schema.minLength} characters`;
+		}
+		if (
+			schema.pattern !== undefined &&
+			!new RegExp(schema.pattern).test(value)
+		) {
+			return `${name} must match ${schema.pattern}`;
+		}
+	}
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			return `${name} must be at least ${schema.minimum}`;
+		}
+	}
+	if (type === "object") {
+		const record = value as Record<string, unknown>;
+		for (const key of schema.required ?? []) {
+			if (!(key in record)) return `${name}.${key} is required`;
+		}
+		for (const [key, property] of Object.entries(schema.properties ?? {})) {
+			if (record[key] === undefined) continue;
+			const problem = validate(property, record[key], `${name}.${key}`);
+			if (problem) return problem;
+		}
+	}
+	if (type === "array" && schema.items) {
+		for (const [index, item] of (value as unknown[]).entries()) {
+			const problem = validate(schema.items, item, `${name}[${index}]`);
+			if (problem) return problem;
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Convert a query string or header value to the type its schema asks for.
+ * Values that don't convert are left as strings for `validate` to reject.
+ */
+function coerce(schema: Schema, value: string): unknown {
+	const types = typesOf(schema);
+	if (types.includes("string")) return value;
+	if (
+		(types.includes("integer") || types.includes("number")) &&
+		value.trim() !== "" &&
+		!Number.isNaN(Number(value))
+	) {
+		return Number(value);
+	}
+	if (types.includes("boolean") && (value === "true" || value === "false")) {
+		return value === "true";
+	}
+	return value;
+}
+
+/** Values of an object schema's properties from a string source */
+function readStrings(
+	schema: Schema,
+	get: (name: string) => string | undefined,
+	name: string
+): Record<string, unknown> {
+	const values: Record<string, unknown> = {};
+	for (const [key, property] of Object.entries(schema.properties ?? {})) {
+		const raw = get(key);
+		if (raw !== undefined) values[key] = coerce(property, raw);
+	}
+	const problem = validate(schema, values, name);
+	if (problem) throw new RequestError(problem, 400);
+	return values;
+}
+
+function segmentsOf(path: string): string[] {
+	return path.split("/").slice(1);
+}
+
+/** The parameter name of a `{name}` segment */
+function paramName(segment: string): string | undefined {
+	return segment.startsWith("{") && segment.endsWith("}")
+		? segment.slice(1, -1)
+		: undefined;
+}
+
+export class Router {
+	constructor(private routes: Route[]) {
+		for (const route of routes) {
+			for (const segment of segmentsOf(route.path)) {
+				const param = paramName(segment);
+				if (param && !route.params?.[param]) {
+					throw new Error(`${route.path} has no schema for {${param}}`);
+				}
+			}
+		}
+	}
+
+	/**
+	 * The route for a request. Where several paths fit, literal segments win
+	 * over parameters. If the path fits but the method doesn't, `allowed`
+	 * lists the methods that would.
+	 */
+	match(
+		method: string,
+		path: string
+	): RouteMatch | { allowed: Method[] } | undefined {
+		const segments = segmentsOf(path);
+		let best: (RouteMatch & { literals: number }) | undefined;
+		const allowed: Method[] = [];
+		for (const route of this.routes) {
+			const pattern = segmentsOf(route.path);
+			if (pattern.length !== segments.length) continue;
+			const params: Record<string, string> = {};
+			let literals = 0;
+			const fits = pattern.every((segment, i) => {
+				const param = paramName(segment);
+				if (param === undefined) {
+					literals++;
+					return segment === segments[i];
+				}
+				if (!segments[i]) return false;
+				params[param] = segments[i];
+				return true;
+			});
+			if (!fits) continue;
+			if (route.method !== method) {
+				allowed.push(route.method);
+				continue;
+			}
+			if (!best || literals > best.literals) {
+				best = { route, params, literals };
+			}
+		}
+		if (best) {
+			for (const [name, value] of Object.entries(best.params)) {
+				best.params[name] = decodeSegment(value);
+			}
+			return { route: best.route, params: best.params };
+		}
+		return allowed.length > 0 ? { allowed } : undefined;
+	}
+
+	/** Check a match's path parameters against the route's schemas */
+	checkParams({ route, params }: RouteMatch): void {
+		for (const [name, schema] of Object.entries(route.params ?? {})) {
+			const problem = validate(schema, params[name], name);
+			if (problem) throw new RequestError(problem, 400);
+		}
+	}
+
+	/** The query, headers and body of a request, checked against the route */
+	async readInput(
+		route: Route,
+		req: IncomingMessage,
+		url: URL
+	): Promise<Pick<RouteContext, "query" | "body">> {
+		const query = route.query
+			? readStrings(
+					route.query,
+					(name) => url.searchParams.get(name) ?? undefined,
+					"query"
+				)
+			: {};
+		if (route.headers) {
+			readStrings(
+				route.headers,
+				(name) => {
+					const value = req.headers[name.toLowerCase()];
+					return Array.isArray(value) ? value.join(", ") : value;
+				},
+				"headers"
+			);
+		}
+		let body: Record<string, any> = {};
+		if (route.body) {
+			body = await readJsonBody(req);
+			const problem = validate(route.body, body, "body");
+			if (problem) throw new RequestError(problem, 400);
+		}
+		return { query, body };
+	}
+
+	/**
+	 * The routes as an OpenAPI 3.1 document. Logged-in routes use the
+	 * session cookie; every route that takes input can also answer 400.
+	 */
+	openApi(
+		info: { title: string; version: string; description?: string },
+		sessionCookie: string
+	): object {
+		const paths: Record<string, Record<string, object>> = {};
+		for (const route of this.routes) {
+			const parameters = [
+				...Object.entries(route.params ?? {}).map(([name, schema]) => ({
+					name,
+					in: "path",
+					required: true,
+					schema,
+				})),
+				...this.describeParameters(route.query, "query"),
+				...this.describeParameters(route.headers, "header"),
+			];
+			const responses: Record<string, { description: string }> = {};
+			for (const [status, description] of Object.entries(route.responses)) {
+				responses[status] = { description };
+			}
+			if (parameters.length > 0 || route.body) {
+				responses["400"] ??= { description: "The request is malformed" };
+			}
+			if (route.access !== "public") {
+				responses["401"] ??= { description: "Not logged in" };
+			}
+			if (route.access === "editor" || route.access === "admin") {
+				responses["403"] ??= {
+					description:
+						route.access === "admin"
+							? "Only admins may do this"
+							: "The user may not edit this dungeon",
+				};
+			}
+
+			paths[route.path] ??= {};
+			paths[route.path][route.method.toLowerCase()] = {
+				summary: route.summary,
+				...(route.description ? { description: route.description } : {}),
+				tags: [route.tag],
+				"x-access": route.access,
+				...(route.access === "public" ? { security: [] } : {}),
+				...(parameters.length > 0 ? { parameters } : {}),
+				...(route.body
+					? {
+							requestBody: {
+								required: true,
+								content: { "application/json": { schema: route.body } },
+							},
+						}
+					: {}),
+				responses,
+			};
+		}
+
+		return {
+			openapi: "3.1.0",
+			info,
+			paths,
+			components: {
+				securitySchemes: {
+					session: { type: "apiKey", in: "cookie", name: sessionCookie },
+				},
+			},
+			security: [{ session: [] }],
+		};
+	}
+
+	private describeParameters(
+		schema: Schema | undefined,
+		location: "query" | "header"
+	): object[] {
+		return Object.entries(schema?.properties ?? {}).map(([name, property]) => ({
+			name,
+			in: location,
+			required: schema?.required?.includes(name) ?? false,
+			...(property.description ? { description: property.description } : {}),
+			schema: property,
+		}));
+	}
+}
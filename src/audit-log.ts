@@ -0,0 +1,215 @@
+/**
+ * Audit Log
+ *
+ * Who changed which dungeon, when and how. Every write made through the
+ * API appends one JSON line to the log; lines are never rewritten. Each
+ * entry carries a summary worked out by comparing the file before and
+ * after: rooms placed and removed on the grid, room and mob/object
+ * templates added, removed or changed, and resets added, removed or changed.
+ */
+
+import { appendFile, mkdir, readFile } from "fs/promises";
+import { dirname } from "path";
+import YAML from "js-yaml";
+import { RawDungeon, isRecord } from "./dungeon-checks.js";
+
+export type AuditAction =
+	| "create"
+	| "update"
+	| "delete"
+	| "rename"
+	/** Restored to an earlier revision */
+	| "restore"
+	/** Brought back from the trash */
+	| "undelete";
+
+/** Keys of list entries that were added, removed or changed */
+export interface ListChanges {
+	added: string[];
+	removed: string[];
+	changed: string[];
+}
+
+export interface ChangeSummary {
+	/** Empty grid cells that now hold a room */
+	roomsAdded: number;
+	/** Grid cells that no longer hold a room */
+	roomsRemoved: number;
+	/** Grid cells switched to a different room template */
+	roomsChanged: number;
+	/** Room templates, by `#<index>` as the grid refers to them */
+	roomTemplates: ListChanges;
+	/** Mob and object templates, by id */
+	templates: ListChanges;
+	/** Resets, by `<roomRef> <templateId>` */
+	resets: ListChanges;
+	dimensionsChanged: boolean;
+	resetMessageChanged: boolean;
+}
+
+export interface AuditEntry {
+	/** ISO timestamp */
+	time: string;
+	user: string;
+	action: AuditAction;
+	dungeon: string;
+	/** For renames, the dungeon's new id */
+	newId?: string;
+	/** For restores, the revision restored */
+	rev?: string;
+	/** Extra context, e.g. why a dungeon that wasn't edited changed */
+	note?: string;
+	summary: ChangeSummary;
+}
+
+/** Longest history returned when no limit is asked for */
+const DEFAULT_LIMIT = 200;
+
+function parseDungeon(yaml?: string): RawDungeon {
+	if (yaml === undefined) return {};
+	try {
+		const data = YAML.load(yaml);
+		return isRecord(data) && isRecord(data.dungeon) ? data.dungeon : {};
+	} catch {
+		return {};
+	}
+}
+
+/** Non-empty grid cells by `x,y,z`, z counted from the bottom layer */
+function roomCells(dungeon: RawDungeon): Map<string, unknown> {
+	const cells = new Map<string, unknown>();
+	if (!Array.isArray(dungeon.grid)) return cells;
+	const layers = dungeon.grid.length;
+	dungeon.grid.forEach((layer: unknown, l: number) => {
+		if (!Array.isArray(layer)) return;
+		layer.forEach((row: unknown, y: number) => {
+			if (!Array.isArray(row)) return;
+			row.forEach((cell: unknown, x: number) => {
+				if (cell) cells.set(`${x},${y},${layers - 1 - l}`, cell);
+			});
+		});
+	});
+	return cells;
+}
+
+function keyedList(
+	list: unknown,
+	keyOf: (entry: Record<string, unknown>, index: number) => string
+): Map<string, string> {
+	const entries = new Map<string, string>();
+	if (!Array.isArray(list)) return entries;
+	list.forEach((entry: unknown, index: number) => {
+		if (isRecord(entry))
+			entries.set(keyOf(entry, index), JSON.stringify(entry));
+	});
+	return entries;
+}
+
+function listChanges(
+	before: Map<string, string>,
+	after: Map<string, string>
+): ListChanges {
+	const changes: ListChanges = { added: [], removed: [], changed: [] };
+	for (const [key, value] of after) {
+		if (!before.has(key)) changes.added.push(key);
+		else if (before.get(key) !== value) changes.changed.push(key);
+	}
+	for (const key of before.keys()) {
+		if (!after.has(key)) changes.removed.push(key);
+	}
+	return changes;
+}
+
+/**
+ * Summarize how a dungeon file changed. Pass undefined for `before` when
+ * the dungeon was created and for `after` when it was deleted.
+ */
+export function summarizeChange(
+	before?: string,
+	after?: string
+): ChangeSummary {
+	const from = parseDungeon(before);
+	const to = parseDungeon(after);
+
+	const fromCells = roomCells(from);
+	const toCells = roomCells(to);
+	let roomsAdded = 0;
+	let roomsChanged = 0;
+	for (const [key, cell] of toCells) {
+		if (!fromCells.has(key)) roomsAdded++;
+		else if (fromCells.get(key) !== cell) roomsChanged++;
+	}
+	let roomsRemoved = 0;
+	for (const key of fromCells.keys()) {
+		if (!toCells.has(key)) roomsRemoved++;
+	}
+
+	const roomKey = (_room: Record<string, unknown>, index: number) =>
+		`#${index + 1}`;
+	const templateKey = (template: Record<string, unknown>) =>
+		String(template.id);
+	const resetKey = (reset: Record<string, unknown>) =>
+		`${reset.roomRef} ${reset.templateId}`;
+
+	return {
+		roomsAdded,
+		roomsRemoved,
+		roomsChanged,
+		roomTemplates: listChanges(
+			keyedList(from.rooms, roomKey),
+			keyedList(to.rooms, roomKey)
+		),
+		templates: listChanges(
+			keyedList(from.templates, templateKey),
+			keyedList(to.templates, templateKey)
+		),
+		resets: listChanges(
+			keyedList(from.resets, resetKey),
+			keyedList(to.resets, resetKey)
+		),
+		dimensionsChanged:
+			JSON.stringify(from.dimensions) !== JSON.stringify(to.dimensions),
+		resetMessageChanged: (from.resetMessage ?? "") !== (to.resetMessage ?? ""),
+	};
+}
+
+export class AuditLog {
+	constructor(private path: string) {}
+
+	async append(entry: AuditEntry): Promise<void> {
+		await mkdir(dirname(this.path), { recursive: true });
+		await appendFile(this.path, `${JSON.stringify(entry)}\n`, "utf-8");
+	}
+
+	/**
+	 * Entries newest first. With `dungeon` set, only those about that
+	 * dungeon, including renames to or from it.
+	 */
+	async read(dungeon?: string, limit = DEFAULT_LIMIT): Promise<AuditEntry[]> {
+		let content: string;
+		try {
+			content = await readFile(this.path, "utf-8");
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+			throw error;
+		}
+
+		const entries: AuditEntry[] = [];
+		const lines = content.split("\n");
+		for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+			if (!lines[i].trim()) continue;
+			let entry: AuditEntry;
+			try {
+				entry = JSON.parse(lines[i]);
+			} catch {
+				// A line cut short by a crash; the rest of the log is still good
+				continue;
+			}
+			if (dungeon && entry.dungeon !== dungeon && entry.newId !== dungeon) {
+				continue;
+			}
+			entries.push(entry);
+		}
+		return entries;
+	}
+}
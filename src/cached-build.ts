@@ -0,0 +1,36 @@
+/**
+ * Cached Build
+ *
+ * A value derived from the dungeon files that is costly to build, such as
+ * the template catalog or the reference index. It is built on first use
+ * and kept in memory until invalidated; callers that ask while a build is
+ * running share it.
+ */
+
+export class CachedBuild<T> {
+	private cached?: Promise<T>;
+
+	constructor(private build: () => Promise<T>) {}
+
+	/**
+	 * The value, building it if it isn't cached.
+	 */
+	get(): Promise<T> {
+		if (!this.cached) {
+			const build = this.build();
+			this.cached = build;
+			// Don't keep a failed build around, so the next call retries
+			build.catch(() => {
+				if (this.cached === build) this.cached = undefined;
+			});
+		}
+		return this.cached;
+	}
+
+	/**
+	 * Drop the cached value; the next get() builds it again.
+	 */
+	invalidate(): void {
+		this.cached = undefined;
+	}
+}
@@ -0,0 +1,308 @@
+/**
+ * Collaboration Session
+ *
+ * Live editing of one dungeon by several browsers. The session holds the
+ * shared, unsaved state of the dungeon; clients send their edits as
+ * operations, the session applies them in the order they arrive and relays
+ * them to every member, so all clients converge on the same state.
+ *
+ * An operation sets one value, keyed so unrelated edits never collide:
+ * - `cell:layer,y,x` - one grid cell (raw grid indices, top layer first)
+ * - `template:<id>`, `reset:<roomRef>|<templateId>` - one template or reset;
+ *   a null value removes it
+ * - `dimensions`, `grid`, `rooms`, `resetMessage` - the whole value
+ *
+ * Concurrent sets of the same key resolve to whichever the server got last.
+ */
+
+import { isRecord } from "./dungeon-checks.js";
+
+export interface CollabOp {
+	key: string;
+	/** The new value; null removes it */
+	value: unknown;
+}
+
+export interface CollabPresence {
+	client: string;
+	name: string;
+	/** The layer the client is looking at */
+	layer?: number;
+	/** Grid cell under the pointer */
+	cursor?: { x: number; y: number; z: number } | null;
+	/** Selected cells as `x,y,z` keys */
+	selection?: string[];
+}
+
+/** A dungeon file or an operation the session can't work with */
+export class CollabError extends Error {}
+
+/** Sends one Server-Sent Event to one client */
+export type CollabSend = (client: string, event: string, data: unknown) => void;
+
+type DungeonState = Record<string, unknown>;
+
+/** Longest selection relayed to other clients */
+const MAX_SELECTION = 2000;
+
+const WHOLE_KEYS = ["dimensions", "grid", "rooms", "resetMessage"];
+
+const isRecordOrNull = (value: unknown) => value === null || isRecord(value);
+
+/** What each kind of operation may set, and what its key's name must be */
+const OP_KINDS: Record<
+	string,
+	{ value: (value: unknown) => boolean; description: string; name?: RegExp }
+> = {
+	dimensions: { value: isRecordOrNull, description: "an object or null" },
+	grid: {
+		value: (v) => v === null || Array.isArray(v),
+		description: "an array or null",
+	},
+	rooms: {
+		value: (v) => v === null || Array.isArray(v),
+		description: "an array or null",
+	},
+	resetMessage: {
+		value: (v) => v === null || typeof v === "string",
+		description: "a string or null",
+	},
+	cell: {
+		value: (v) => Number.isInteger(v) && (v as number) >= 0,
+		description: "a room index",
+		name: /^\d+,\d+,\d+$/,
+	},
+	template: {
+		value: isRecordOrNull,
+		description: "an object or null",
+		name: /./,
+	},
+	reset: { value: isRecordOrNull, description: "an object or null", name: /./ },
+};
+
+function clone<T>(value: T): T {
+	return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+/** JSON with object keys sorted, so equal states compare equal */
+function canonicalJson(value: unknown): string {
+	return JSON.stringify(value, (_key, v) =>
+		isRecord(v)
+			? Object.fromEntries(
+					Object.keys(v)
+						.sort()
+						.map((k) => [k, v[k]])
+				)
+			: v
+	);
+}
+
+/**
+ * The session state from a parsed dungeon file. Throws a CollabError if
+ * it has no `dungeon` section or the grid isn't a list.
+ */
+export function collabState(data: unknown): { dungeon: DungeonState } {
+	if (!isRecord(data) || !isRecord(data.dungeon)) {
+		throw new CollabError("The file has no dungeon section");
+	}
+	if (data.dungeon.grid !== undefined && !Array.isArray(data.dungeon.grid)) {
+		throw new CollabError("The dungeon's grid isn't a list");
+	}
+	return data as { dungeon: DungeonState };
+}
+
+/** Throws a CollabError unless `op` has a known key and a value it takes */
+export function checkCollabOp(op: CollabOp): void {
+	const separator = op.key.indexOf(":");
+	const kind = separator === -1 ? op.key : op.key.slice(0, separator);
+	const name = separator === -1 ? undefined : op.key.slice(separator + 1);
+	const rule = Object.hasOwn(OP_KINDS, kind) ? OP_KINDS[kind] : undefined;
+	if (!rule || (rule.name ? !rule.name.test(name ?? "") : name !== undefined)) {
+		throw new CollabError(`Unknown operation key "${op.key}"`);
+	}
+	if (!rule.value(op.value)) {
+		throw new CollabError(
+			`The value for "${op.key}" must be ${rule.description}`
+		);
+	}
+}
+
+/** Set, replace or (with null) remove the entry in a list matching `key` */
+function setKeyed(
+	dungeon: DungeonState,
+	list: string,
+	matches: (entry: Record<string, unknown>) => boolean,
+	value: unknown
+): void {
+	const entries = Array.isArray(dungeon[list])
+		? (dungeon[list] as Record<string, unknown>[])
+		: [];
+	const index = entries.findIndex((entry) => isRecord(entry) && matches(entry));
+	if (value === null) {
+		if (index !== -1) entries.splice(index, 1);
+	} else if (index !== -1) {
+		entries[index] = clone(value) as Record<string, unknown>;
+	} else {
+		entries.push(clone(value) as Record<string, unknown>);
+	}
+	dungeon[list] = entries;
+}
+
+/**
+ * Apply one operation to a dungeon (the `dungeon` section of the YAML).
+ * Unknown keys and cells outside the grid are ignored. The browser has its
+ * own copy of this in app.js; keep the two in step.
+ */
+export function applyCollabOp(dungeon: DungeonState, op: CollabOp): void {
+	const separator = op.key.indexOf(":");
+	const kind = separator === -1 ? op.key : op.key.slice(0, separator);
+	const name = separator === -1 ? "" : op.key.slice(separator + 1);
+
+	if (WHOLE_KEYS.includes(kind) && separator === -1) {
+		if (op.value === null) delete dungeon[kind];
+		else dungeon[kind] = clone(op.value);
+	} else if (kind === "cell") {
+		const [layer, y, x] = name.split(",").map(Number);
+		const grid = dungeon.grid as unknown[][][] | undefined;
+		const row = grid?.[layer]?.[y];
+		if (Array.isArray(row) && x >= 0 && x < row.length) row[x] = op.value;
+	} else if (kind === "template") {
+		setKeyed(dungeon, "templates", (t) => t.id === name, op.value);
+	} else if (kind === "reset") {
+		setKeyed(
+			dungeon,
+			"resets",
+			(r) => `${r.roomRef}|${r.templateId}` === name,
+			op.value
+		);
+	}
+}
+
+export class CollabSession {
+	/** Number of the last change applied; clients use it to order events */
+	private seq = 0;
+	private members = new Map<string, CollabPresence>();
+	/** The file's contents as last read or written, for `isClean` */
+	private savedJson: string;
+
+	/**
+	 * @param id The dungeon being edited
+	 * @param state The parsed dungeon file (`{dungeon: {...}}`)
+	 * @param etag The file's entity tag
+	 * @param send Delivers an event to one client's event stream
+	 */
+	constructor(
+		public readonly id: string,
+		private state: { dungeon: DungeonState },
+		public etag: string,
+		private send: CollabSend
+	) {
+		this.savedJson = canonicalJson(state);
+	}
+
+	get isEmpty(): boolean {
+		return this.members.size === 0;
+	}
+
+	/** Whether the shared state is what the file holds */
+	get isClean(): boolean {
+		return canonicalJson(this.state) === this.savedJson;
+	}
+
+	has(client: string): boolean {
+		return this.members.has(client);
+	}
+
+	/**
+	 * Add a client. Returns the current state and the other members; events
+	 * with a higher `seq` than the one returned come after it.
+	 */
+	join(
+		client: string,
+		name: string
+	): { seq: number; state: unknown; peers: CollabPresence[] } {
+		const presence: CollabPresence = { client, name };
+		this.members.set(client, presence);
+		this.broadcast("collab-presence", presence, client);
+		return {
+			seq: this.seq,
+			state: clone(this.state),
+			peers: [...this.members.values()].filter((p) => p.client !== client),
+		};
+	}
+
+	leave(client: string): void {
+		if (!this.members.delete(client)) return;
+		this.broadcast("collab-presence", { client, left: true });
+	}
+
+	/**
+	 * Apply a client's operations and relay them to every member, the sender
+	 * included, which is how it learns where they landed in the order.
+	 * Every operation is checked first, so a CollabError leaves the state as
+	 * it was.
+	 */
+	applyOps(client: string, ops: CollabOp[]): number {
+		ops.forEach(checkCollabOp);
+		for (const op of ops) applyCollabOp(this.state.dungeon, op);
+		this.seq++;
+		this.broadcast("collab-ops", { client, seq: this.seq, ops });
+		return this.seq;
+	}
+
+	updatePresence(
+		client: string,
+		update: Pick<CollabPresence, "layer" | "cursor" | "selection">
+	): void {
+		const presence = this.members.get(client);
+		if (!presence) return;
+		presence.layer = update.layer;
+		presence.cursor = update.cursor ?? null;
+		presence.selection = Array.isArray(update.selection)
+			? update.selection.slice(0, MAX_SELECTION)
+			: [];
+		this.broadcast("collab-presence", presence, client);
+	}
+
+	/**
+	 * Tell members the dungeon was saved. `clean` is true if what was written
+	 * is the session's state, so nothing is left unsaved.
+	 */
+	saved(etag: string, written: unknown): void {
+		this.etag = etag;
+		this.savedJson = canonicalJson(written);
+		this.broadcast("collab-saved", {
+			seq: this.seq,
+			etag,
+			clean: this.isClean,
+		});
+	}
+
+	/**
+	 * Replace the shared state with the file's, e.g. after a revision is
+	 * restored. Members drop theirs and take this one.
+	 */
+	reset(state: { dungeon: DungeonState }, etag: string): void {
+		this.state = state;
+		this.etag = etag;
+		this.savedJson = canonicalJson(state);
+		this.seq++;
+		this.broadcast("collab-snapshot", {
+			seq: this.seq,
+			etag,
+			state: clone(this.state),
+		});
+	}
+
+	/** End the session, e.g. because the dungeon was deleted or renamed */
+	close(reason: string): void {
+		this.broadcast("collab-closed", { reason });
+		this.members.clear();
+	}
+
+	private broadcast(event: string, data: object, except?: string): void {
+		for (const client of this.members.keys()) {
+			if (client !== except) this.send(client, event, { id: this.id, ...data });
+		}
+	}
+}
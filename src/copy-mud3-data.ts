@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Sync mud3's data directory into the project's data directory
+ *
+ * Backs up data/ first, then takes mud3's changes since the last sync,
+ * keeps local ones, three-way merges YAML files changed on both sides and
+ * reports whatever can't be merged. Local-only dungeons are never
+ * overwritten. Exits non-zero if there are conflicts.
+ *
+ * Usage: node dist/copy-mud3-data.js [--dry-run]
+ */
+
+import { cp, mkdir, rm, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import { dirname, join } from "path";
+import {
+	FileChange,
+	SyncEntry,
+	applyDataSync,
+	planDataSync,
+	readTree,
+	writeTree,
+} from "./mud3-data-sync.js";
+
+const projectRoot = process.cwd();
+const mud3DataPath = join(projectRoot, "src", "mud3", "data");
+const targetDataPath = join(projectRoot, "data");
+const syncPath = join(projectRoot, ".mud3-sync");
+const basePath = join(syncPath, "base");
+const backupsPath = join(syncPath, "backups");
+const conflictsPath = join(syncPath, "conflicts");
+
+/** Editor-only directories that mud3 knows nothing about */
+const LOCAL_ONLY = ["dungeon-history", "dungeon-trash"];
+
+const dryRun = process.argv.includes("--dry-run");
+
+function printChanges(
+	title: string,
+	entries: SyncEntry[],
+	side: "upstream" | "local"
+): void {
+	const changed = entries.filter((entry) => entry[side]);
+	console.log(`${title}:`);
+	if (changed.length === 0) console.log("  (none)");
+	for (const entry of changed) {
+		console.log(`  ${(entry[side] as FileChange).padEnd(8)} ${entry.file}`);
+	}
+	console.log("");
+}
+
+function describeEntry(entry: SyncEntry): string {
+	switch (entry.action) {
+		case "update":
+			return entry.result === undefined ? "deleted" : "updated from mud3";
+		case "merge":
+			return "merged";
+		case "keep":
+			return entry.reason ? `kept (${entry.reason})` : "kept";
+		case "conflict":
+			return `CONFLICT: ${entry.reason}`;
+	}
+}
+
+async function sync(): Promise<number> {
+	console.log("Syncing mud3 data directory into project data...\n");
+
+	if (!existsSync(mud3DataPath)) {
+		console.error(`Error: mud3 data directory not found at ${mud3DataPath}`);
+		return 1;
+	}
+
+	const firstSync = !existsSync(basePath);
+	if (firstSync) {
+		console.log(
+			"No sync base found; files that differ from mud3 will be reported as conflicts this time.\n"
+		);
+	}
+
+	const base = await readTree(basePath);
+	const local = await readTree(targetDataPath, LOCAL_ONLY);
+	const upstream = await readTree(mud3DataPath);
+	const entries = planDataSync(base, local, upstream);
+
+	printChanges("Changed in mud3 since last sync", entries, "upstream");
+	printChanges("Changed locally since last sync", entries, "local");
+
+	if (entries.length > 0) {
+		console.log(dryRun ? "Would do:" : "Result:");
+		for (const entry of entries) {
+			console.log(`  ${entry.file}: ${describeEntry(entry)}`);
+		}
+		console.log("");
+	}
+
+	const conflicts = entries.filter((entry) => entry.action === "conflict");
+	if (dryRun) {
+		console.log("Dry run; nothing was written.");
+		return conflicts.length > 0 ? 1 : 0;
+	}
+
+	// Back up before touching anything
+	if (existsSync(targetDataPath)) {
+		const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+		const backupPath = join(backupsPath, stamp);
+		try {
+			await cp(targetDataPath, backupPath, { recursive: true });
+		} catch (error) {
+			console.error(
+				`❌ Error: Failed to back up data directory: ${(error as Error).message}`
+			);
+			return 1;
+		}
+		console.log(`Backed up data directory to ${backupPath}`);
+	}
+
+	try {
+		await applyDataSync(entries, targetDataPath);
+
+		// Keep mud3's side of every conflict next to the backups for resolving
+		await rm(conflictsPath, { recursive: true, force: true });
+		for (const entry of conflicts) {
+			if (!entry.upstreamCopy) continue;
+			const path = join(conflictsPath, entry.file);
+			await mkdir(dirname(path), { recursive: true });
+			await writeFile(path, entry.upstreamCopy);
+		}
+
+		await writeTree(basePath, upstream);
+	} catch (error) {
+		console.error(
+			`\n❌ Error: Failed to sync data directory: ${(error as Error).message}`
+		);
+		console.error("Restore it from the backup above if needed.");
+		return 1;
+	}
+
+	const applied = entries.filter(
+		(entry) => entry.action === "update" || entry.action === "merge"
+	);
+	console.log(`\n✅ Applied ${applied.length} change(s) from mud3.`);
+
+	if (conflicts.length > 0) {
+		console.log(
+			`❌ ${conflicts.length} conflict(s) left as they are locally. mud3's versions are in ${conflictsPath}; resolve them by hand.`
+		);
+		return 1;
+	}
+
+	console.log("\nDone.");
+	return 0;
+}
+
+sync().then((code) => {
+	process.exitCode = code;
+});
@@ -0,0 +1,423 @@
+/**
+ * Dungeon Structure Checks
+ *
+ * Pure checks over a parsed dungeon YAML document. These don't touch the
+ * mud3 registries, so they can run against files that mud3 would refuse to
+ * load and report every problem at once instead of stopping at the first.
+ *
+ * Every issue carries a path into the document (e.g. `dungeon.grid[0][3][5]`
+ * or `dungeon.resets[2].roomRef`) so the editor can point at the cell or
+ * template it belongs to.
+ */
+
+export type IssueSeverity = "error" | "warning";
+
+export interface DungeonIssue {
+	path: string;
+	message: string;
+	severity: IssueSeverity;
+}
+
+/** Loosely typed view of a dungeon document as it comes out of the YAML parser */
+export interface RawDungeon {
+	id?: unknown;
+	dimensions?: { width?: unknown; height?: unknown; layers?: unknown };
+	grid?: unknown;
+	rooms?: unknown;
+	templates?: unknown;
+	resets?: unknown;
+	resetMessage?: unknown;
+}
+
+export interface CheckOptions {
+	/**
+	 * Other dungeons by id. When given, cross-dungeon template ids and room
+	 * links are resolved against them; otherwise they are left unchecked.
+	 */
+	otherDungeons?: Map<string, RawDungeon>;
+}
+
+export interface RoomRef {
+	dungeonId: string;
+	x: number;
+	y: number;
+	z: number;
+}
+
+export interface TemplateRef {
+	/** Undefined for local ids (no `@dungeon:` prefix) */
+	dungeonId?: string;
+	templateId: string;
+}
+
+export const ROOM_LINK_DIRECTIONS = [
+	"north",
+	"south",
+	"east",
+	"west",
+	"northeast",
+	"northwest",
+	"southeast",
+	"southwest",
+	"up",
+	"down",
+];
+
+export const TEMPLATE_TYPES = [
+	"Mob",
+	"Item",
+	"Equipment",
+	"Weapon",
+	"Armor",
+	"Prop",
+];
+
+/** Dungeon ids: the names the editor lets you create */
+export const DUNGEON_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+const ROOM_REF_PATTERN = /^@([^{}\s]+)\{(\d+),(\d+),(\d+)\}$/;
+const TEMPLATE_REF_PATTERN = /^@([^:\s]+):(.+)$/;
+
+export function isDungeonId(id: string): boolean {
+	return DUNGEON_ID_PATTERN.test(id);
+}
+
+/**
+ * Parse a room reference of the form `@dungeon{x,y,z}`.
+ * Returns undefined if the string isn't a room reference.
+ */
+export function parseRoomRef(ref: unknown): RoomRef | undefined {
+	if (typeof ref !== "string") return undefined;
+	const match = ref.match(ROOM_REF_PATTERN);
+	if (!match) return undefined;
+	return {
+		dungeonId: match[1],
+		x: parseInt(match[2]),
+		y: parseInt(match[3]),
+		z: parseInt(match[4]),
+	};
+}
+
+/**
+ * Parse a template id, which is either local (`goblin`) or
+ * global (`@dungeon:goblin`).
+ */
+export function parseTemplateRef(ref: string): TemplateRef {
+	const match = ref.match(TEMPLATE_REF_PATTERN);
+	if (!match) return { templateId: ref };
+	return { dungeonId: match[1], templateId: match[2] };
+}
+
+function isPositiveInteger(value: unknown): value is number {
+	return typeof value === "number" && Number.isInteger(value) && value > 0;
+}
+
+/** A plain object, as opposed to null, an array or a scalar */
+export function isRecord(value: unknown): value is Record<string, unknown> {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Look up the room index (1-based, 0 for empty) at a coordinate.
+ * The grid stores the top layer first, so z is flipped.
+ */
+export function getRoomIndexAt(
+	dungeon: RawDungeon,
+	x: number,
+	y: number,
+	z: number
+): number | undefined {
+	const dimensions = dungeon.dimensions;
+	if (!dimensions || !Array.isArray(dungeon.grid)) return undefined;
+	const layers = dimensions.layers as number;
+	const layer = dungeon.grid[layers - 1 - z];
+	if (!Array.isArray(layer)) return undefined;
+	const row = layer[y];
+	if (!Array.isArray(row)) return undefined;
+	const cell = row[x];
+	return typeof cell === "number" ? cell : undefined;
+}
+
+function getTemplateIds(dungeon: RawDungeon): Set<string> {
+	const ids = new Set<string>();
+	if (!Array.isArray(dungeon.templates)) return ids;
+	for (const template of dungeon.templates) {
+		if (isRecord(template) && typeof template.id === "string") {
+			ids.add(template.id);
+		}
+	}
+	return ids;
+}
+
+/**
+ * Check a parsed dungeon document.
+ *
+ * @param id The dungeon id the document is stored under
+ * @param data The parsed YAML document (the object holding `dungeon`)
+ */
+export function checkDungeon(
+	id: string,
+	data: unknown,
+	options: CheckOptions = {}
+): DungeonIssue[] {
+	const issues: DungeonIssue[] = [];
+	const error = (path: string, message: string) =>
+		issues.push({ path, message, severity: "error" });
+	const warning = (path: string, message: string) =>
+		issues.push({ path, message, severity: "warning" });
+
+	if (!isRecord(data) || !isRecord(data.dungeon)) {
+		error("dungeon", "Missing top-level `dungeon` section");
+		return issues;
+	}
+	const dungeon = data.dungeon as RawDungeon;
+
+	if (dungeon.id !== undefined && dungeon.id !== id) {
+		warning(
+			"dungeon.id",
+			`Dungeon id "${String(dungeon.id)}" does not match file id "${id}"`
+		);
+	}
+
+	// Dimensions
+	const dimensions = dungeon.dimensions;
+	if (!isRecord(dimensions)) {
+		error("dungeon.dimensions", "Missing dimensions");
+		return issues;
+	}
+	let validDimensions = true;
+	for (const key of ["width", "height", "layers"] as const) {
+		if (!isPositiveInteger(dimensions[key])) {
+			error(`dungeon.dimensions.${key}`, `${key} must be a positive integer`);
+			validDimensions = false;
+		}
+	}
+	if (!validDimensions) return issues;
+	const { width, height, layers } = dimensions as {
+		width: number;
+		height: number;
+		layers: number;
+	};
+
+	// Rooms
+	const rooms = Array.isArray(dungeon.rooms) ? dungeon.rooms : [];
+	if (dungeon.rooms !== undefined && !Array.isArray(dungeon.rooms)) {
+		error("dungeon.rooms", "rooms must be a list");
+	}
+
+	// Grid
+	if (!Array.isArray(dungeon.grid)) {
+		error("dungeon.grid", "Missing grid");
+	} else {
+		if (dungeon.grid.length !== layers) {
+			error(
+				"dungeon.grid",
+				`Grid has ${dungeon.grid.length} layers but dimensions.layers is ${layers}`
+			);
+		}
+		dungeon.grid.forEach((layer: unknown, layerIndex: number) => {
+			const layerPath = `dungeon.grid[${layerIndex}]`;
+			if (!Array.isArray(layer)) {
+				error(layerPath, "Layer must be a list of rows");
+				return;
+			}
+			if (layer.length !== height) {
+				error(
+					layerPath,
+					`Layer has ${layer.length} rows but dimensions.height is ${height}`
+				);
+			}
+			layer.forEach((row: unknown, y: number) => {
+				const rowPath = `${layerPath}[${y}]`;
+				if (!Array.isArray(row)) {
+					error(rowPath, "Row must be a list of cells");
+					return;
+				}
+				if (row.length !== width) {
+					error(
+						rowPath,
+						`Row has ${row.length} cells but dimensions.width is ${width}`
+					);
+				}
+				row.forEach((cell: unknown, x: number) => {
+					if (typeof cell !== "number" || !Number.isInteger(cell) || cell < 0) {
+						error(`${rowPath}[${x}]`, `Invalid cell value ${String(cell)}`);
+					} else if (cell > rooms.length) {
+						error(
+							`${rowPath}[${x}]`,
+							`Cell references room ${cell} but only ${rooms.length} room templates exist`
+						);
+					}
+				});
+			});
+		});
+	}
+
+	const inBounds = (ref: RoomRef) =>
+		ref.x < width && ref.y < height && ref.z < layers;
+
+	// Room templates
+	rooms.forEach((room: unknown, index: number) => {
+		const roomPath = `dungeon.rooms[${index}]`;
+		if (!isRecord(room)) {
+			error(roomPath, "Room template must be an object");
+			return;
+		}
+		if (room.roomLinks === undefined) return;
+		if (!isRecord(room.roomLinks)) {
+			error(`${roomPath}.roomLinks`, "roomLinks must be a map");
+			return;
+		}
+		for (const [direction, target] of Object.entries(room.roomLinks)) {
+			const linkPath = `${roomPath}.roomLinks.${direction}`;
+			if (!ROOM_LINK_DIRECTIONS.includes(direction)) {
+				error(linkPath, `Unknown direction "${direction}"`);
+			}
+			const ref = parseRoomRef(target);
+			if (!ref) {
+				error(linkPath, `Invalid room reference "${String(target)}"`);
+				continue;
+			}
+			const targetDungeon =
+				ref.dungeonId === id
+					? dungeon
+					: options.otherDungeons?.get(ref.dungeonId);
+			if (!targetDungeon) {
+				if (options.otherDungeons) {
+					error(linkPath, `Links to missing dungeon "${ref.dungeonId}"`);
+				}
+				continue;
+			}
+			const roomIndex = getRoomIndexAt(targetDungeon, ref.x, ref.y, ref.z);
+			if (roomIndex === undefined) {
+				error(linkPath, `Link target ${String(target)} is out of bounds`);
+			} else if (roomIndex === 0) {
+				error(linkPath, `Link target ${String(target)} is an empty cell`);
+			}
+		}
+	});
+
+	// Mob/object templates
+	const templateIds = new Set<string>();
+	const templates = Array.isArray(dungeon.templates) ? dungeon.templates : [];
+	if (dungeon.templates !== undefined && !Array.isArray(dungeon.templates)) {
+		error("dungeon.templates", "templates must be a list");
+	}
+	templates.forEach((template: unknown, index: number) => {
+		const templatePath = `dungeon.templates[${index}]`;
+		if (!isRecord(template)) {
+			error(templatePath, "Template must be an object");
+			return;
+		}
+		if (typeof template.id !== "string" || !template.id) {
+			error(`${templatePath}.id`, "Template is missing an id");
+			return;
+		}
+		if (templateIds.has(template.id)) {
+			error(`${templatePath}.id`, `Duplicate template id "${template.id}"`);
+		}
+		templateIds.add(template.id);
+		if (
+			typeof template.type !== "string" ||
+			!TEMPLATE_TYPES.includes(template.type)
+		) {
+			warning(
+				`${templatePath}.type`,
+				`Unknown template type "${String(template.type)}"`
+			);
+		}
+	});
+
+	// Resolve a template id from a reset, returning an error message if it is unknown
+	const resolveTemplate = (templateId: string): string | undefined => {
+		const ref = parseTemplateRef(templateId);
+		if (ref.dungeonId === undefined || ref.dungeonId === id) {
+			return templateIds.has(ref.templateId)
+				? undefined
+				: `Unknown template "${templateId}"`;
+		}
+		if (!options.otherDungeons) return undefined;
+		const other = options.otherDungeons.get(ref.dungeonId);
+		if (!other)
+			return `Template "${templateId}" is in missing dungeon "${ref.dungeonId}"`;
+		return getTemplateIds(other).has(ref.templateId)
+			? undefined
+			: `Unknown template "${templateId}"`;
+	};
+
+	// Resets
+	const resets = Array.isArray(dungeon.resets) ? dungeon.resets : [];
+	if (dungeon.resets !== undefined && !Array.isArray(dungeon.resets)) {
+		error("dungeon.resets", "resets must be a list");
+	}
+	resets.forEach((reset: unknown, index: number) => {
+		const resetPath = `dungeon.resets[${index}]`;
+		if (!isRecord(reset)) {
+			error(resetPath, "Reset must be an object");
+			return;
+		}
+
+		if (typeof reset.templateId !== "string" || !reset.templateId) {
+			error(`${resetPath}.templateId`, "Reset is missing a templateId");
+		} else {
+			const problem = resolveTemplate(reset.templateId);
+			if (problem) error(`${resetPath}.templateId`, problem);
+		}
+
+		const ref = parseRoomRef(reset.roomRef);
+		if (!ref) {
+			error(
+				`${resetPath}.roomRef`,
+				`Invalid room reference "${String(reset.roomRef)}"`
+			);
+		} else if (ref.dungeonId !== id) {
+			error(
+				`${resetPath}.roomRef`,
+				`Reset points into another dungeon (${ref.dungeonId})`
+			);
+		} else if (!inBounds(ref)) {
+			error(
+				`${resetPath}.roomRef`,
+				`Room ${String(reset.roomRef)} is outside the dungeon`
+			);
+		} else if (!getRoomIndexAt(dungeon, ref.x, ref.y, ref.z)) {
+			error(
+				`${resetPath}.roomRef`,
+				`Room ${String(reset.roomRef)} is an empty cell`
+			);
+		}
+
+		const minCount = reset.minCount ?? 1;
+		const maxCount = reset.maxCount ?? 1;
+		if (typeof minCount !== "number" || !Number.isInteger(minCount)) {
+			error(`${resetPath}.minCount`, "minCount must be an integer");
+		} else if (typeof maxCount !== "number" || !Number.isInteger(maxCount)) {
+			error(`${resetPath}.maxCount`, "maxCount must be an integer");
+		} else if (minCount > maxCount) {
+			error(
+				`${resetPath}.minCount`,
+				`minCount (${minCount}) is greater than maxCount (${maxCount})`
+			);
+		}
+
+		for (const list of ["equipped", "inventory"] as const) {
+			const entries = reset[list];
+			if (entries === undefined) continue;
+			if (!Array.isArray(entries)) {
+				error(`${resetPath}.${list}`, `${list} must be a list`);
+				continue;
+			}
+			entries.forEach((entry: unknown, entryIndex: number) => {
+				const entryPath = `${resetPath}.${list}[${entryIndex}]`;
+				if (typeof entry !== "string") {
+					error(entryPath, "Template id must be a string");
+					return;
+				}
+				const problem = resolveTemplate(entry);
+				if (problem) error(entryPath, problem);
+			});
+		}
+	});
+
+	return issues;
+}
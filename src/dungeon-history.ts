@@ -0,0 +1,133 @@
+/**
+ * Dungeon Revision History
+ *
+ * Keeps every overwritten version of a dungeon file as a timestamped
+ * revision, one directory per dungeon:
+ *
+ *   <historyDir>/<dungeonId>/<rev>.yaml
+ *
+ * A revision id is the UTC time the version was replaced, e.g.
+ * `20240501T134502123Z`, with a `-n` suffix if two land in the same
+ * millisecond.
+ */
+
+import { readFile, writeFile, readdir, stat, mkdir } from "fs/promises";
+import { join } from "path";
+
+/** Revision ids; the first group is the timestamp */
+export const REVISION_PATTERN = /^(\d{8}T\d{9}Z)(?:-\d+)?$/;
+
+export interface RevisionInfo {
+	/** Revision id, usable in revision URLs */
+	rev: string;
+	/** ISO timestamp of when this version was replaced */
+	timestamp: string;
+	/** Size of the YAML in bytes */
+	size: number;
+}
+
+/**
+ * Whether a string is a well-formed revision id. Anything else must not be
+ * used to build a path.
+ */
+export function isRevisionId(rev: string): boolean {
+	return REVISION_PATTERN.test(rev);
+}
+
+function revisionTimestamp(rev: string): string {
+	const stamp = rev.match(REVISION_PATTERN)![1];
+	return (
+		`${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}` +
+		`T${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}` +
+		`.${stamp.slice(15, 18)}Z`
+	);
+}
+
+/**
+ * Store a version of a dungeon file as a new revision.
+ *
+ * @returns The new revision id
+ */
+export async function saveRevision(
+	historyDir: string,
+	dungeonId: string,
+	content: string
+): Promise<string> {
+	const dir = join(historyDir, dungeonId);
+	await mkdir(dir, { recursive: true });
+
+	const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+	for (let n = 0; ; n++) {
+		const rev = n === 0 ? stamp : `${stamp}-${n}`;
+		try {
+			// "wx" fails if the file exists, so revisions are never overwritten
+			await writeFile(join(dir, `${rev}.yaml`), content, {
+				encoding: "utf-8",
+				flag: "wx",
+			});
+			return rev;
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "EEXIST") throw error;
+		}
+	}
+}
+
+/**
+ * List a dungeon's revisions, newest first.
+ */
+export async function listRevisions(
+	historyDir: string,
+	dungeonId: string
+): Promise<RevisionInfo[]> {
+	const dir = join(historyDir, dungeonId);
+	let files: string[];
+	try {
+		files = await readdir(dir);
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+		throw error;
+	}
+
+	const revisions: RevisionInfo[] = [];
+	for (const file of files) {
+		if (!file.endsWith(".yaml")) continue;
+		const rev = file.slice(0, -".yaml".length);
+		if (!isRevisionId(rev)) continue;
+		const info = await stat(join(dir, file));
+		revisions.push({
+			rev,
+			timestamp: revisionTimestamp(rev),
+			size: info.size,
+		});
+	}
+
+	// Ids sort chronologically; compare the suffix numerically
+	const order = (rev: string) => {
+		const [stamp, n] = rev.split("-");
+		return [stamp, Number(n || 0)] as const;
+	};
+	return revisions.sort((a, b) => {
+		const [stampA, nA] = order(a.rev);
+		const [stampB, nB] = order(b.rev);
+		if (stampA !== stampB) return stampA < stampB ? 1 : -1;
+		return nB - nA;
+	});
+}
+
+/**
+ * Read a revision's YAML. Throws an ENOENT error if it doesn't exist.
+ */
+export async function readRevision(
+	historyDir: string,
+	dungeonId: string,
+	rev: string
+): Promise<string> {
+	if (!isRevisionId(rev)) {
+		const error = new Error(
+			`Invalid revision id: ${rev}`
+		) as NodeJS.ErrnoException;
+		error.code = "ENOENT";
+		throw error;
+	}
+	return readFile(join(historyDir, dungeonId, `${rev}.yaml`), "utf-8");
+}
@@ -0,0 +1,224 @@
+/**
+ * Dungeon References
+ *
+ * Finds every place a dungeon file or locations.yaml points at a room or
+ * template, so the editor can tell what would break before a dungeon is
+ * deleted, renamed or edited.
+ */
+
+import { readFile, readdir } from "fs/promises";
+import { join } from "path";
+import YAML from "js-yaml";
+import {
+	RawDungeon,
+	isRecord,
+	parseRoomRef,
+	parseTemplateRef,
+} from "./dungeon-checks.js";
+import { SCRATCH_PREFIX } from "./dungeon-validation.js";
+
+export type ReferenceKind =
+	| "roomLink"
+	| "resetRoom"
+	| "resetTemplate"
+	| "resetEquipped"
+	| "resetInventory"
+	| "location";
+
+export interface DungeonReference {
+	/** Dungeon the reference is written in; undefined for locations.yaml */
+	sourceDungeon?: string;
+	/** Path to the value in the source document */
+	path: string;
+	kind: ReferenceKind;
+	/** The reference exactly as written */
+	value: string;
+	/** Dungeon the reference points into */
+	targetDungeon: string;
+	/** Template id for template references */
+	targetTemplate?: string;
+	/** For references inside a reset, the room the reset is in */
+	room?: string;
+}
+
+/**
+ * Collect the room and template references written in one dungeon.
+ * Local template ids are reported as pointing into the dungeon itself.
+ *
+ * @param id The dungeon id the document is stored under
+ * @param dungeon The `dungeon` section of the document
+ */
+export function collectDungeonReferences(
+	id: string,
+	dungeon: RawDungeon
+): DungeonReference[] {
+	const references: DungeonReference[] = [];
+
+	const addRoomRef = (path: string, kind: ReferenceKind, value: unknown) => {
+		const ref = parseRoomRef(value);
+		if (!ref) return;
+		references.push({
+			sourceDungeon: id,
+			path,
+			kind,
+			value: value as string,
+			targetDungeon: ref.dungeonId,
+		});
+	};
+
+	const addTemplateRef = (
+		path: string,
+		kind: ReferenceKind,
+		value: unknown,
+		room: unknown
+	) => {
+		if (typeof value !== "string" || !value) return;
+		const ref = parseTemplateRef(value);
+		references.push({
+			sourceDungeon: id,
+			path,
+			kind,
+			value,
+			targetDungeon: ref.dungeonId ?? id,
+			targetTemplate: ref.templateId,
+			room: typeof room === "string" ? room : undefined,
+		});
+	};
+
+	if (Array.isArray(dungeon.rooms)) {
+		dungeon.rooms.forEach((room: unknown, index: number) => {
+			if (!isRecord(room) || !isRecord(room.roomLinks)) return;
+			for (const [direction, target] of Object.entries(room.roomLinks)) {
+				addRoomRef(
+					`dungeon.rooms[${index}].roomLinks.${direction}`,
+					"roomLink",
+					target
+				);
+			}
+		});
+	}
+
+	if (Array.isArray(dungeon.resets)) {
+		dungeon.resets.forEach((reset: unknown, index: number) => {
+			if (!isRecord(reset)) return;
+			const resetPath = `dungeon.resets[${index}]`;
+			addRoomRef(`${resetPath}.roomRef`, "resetRoom", reset.roomRef);
+			addTemplateRef(
+				`${resetPath}.templateId`,
+				"resetTemplate",
+				reset.templateId,
+				reset.roomRef
+			);
+			for (const [list, kind] of [
+				["equipped", "resetEquipped"],
+				["inventory", "resetInventory"],
+			] as const) {
+				const entries = reset[list];
+				if (!Array.isArray(entries)) continue;
+				entries.forEach((entry: unknown, entryIndex: number) =>
+					addTemplateRef(
+						`${resetPath}.${list}[${entryIndex}]`,
+						kind,
+						entry,
+						reset.roomRef
+					)
+				);
+			}
+		});
+	}
+
+	return references;
+}
+
+/**
+ * Collect the room references in locations.yaml (start, recall, ...).
+ */
+export function collectLocationReferences(
+	locations: unknown
+): DungeonReference[] {
+	if (!isRecord(locations)) return [];
+	const references: DungeonReference[] = [];
+	for (const [name, value] of Object.entries(locations)) {
+		const ref = parseRoomRef(value);
+		if (!ref) continue;
+		references.push({
+			path: name,
+			kind: "location",
+			value: value as string,
+			targetDungeon: ref.dungeonId,
+		});
+	}
+	return references;
+}
+
+export interface DungeonFile {
+	id: string;
+	path: string;
+	/** The file exactly as stored */
+	content: string;
+	/** The whole parsed document */
+	data: { dungeon: RawDungeon };
+}
+
+/**
+ * Read and parse every dungeon file in a directory. Files that don't parse,
+ * or have no `dungeon` section, are skipped.
+ */
+export async function readDungeonFiles(
+	dungeonDir: string
+): Promise<DungeonFile[]> {
+	let files: string[];
+	try {
+		files = await readdir(dungeonDir);
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+		throw error;
+	}
+
+	const dungeonFiles: DungeonFile[] = [];
+	for (const file of files) {
+		if (!file.endsWith(".yaml") || file.startsWith(SCRATCH_PREFIX)) continue;
+		const path = join(dungeonDir, file);
+		try {
+			const content = await readFile(path, "utf-8");
+			const data = YAML.load(content);
+			if (isRecord(data) && isRecord(data.dungeon)) {
+				dungeonFiles.push({
+					id: file.slice(0, -".yaml".length),
+					path,
+					content,
+					data: data as { dungeon: RawDungeon },
+				});
+			}
+		} catch {
+			// Unparseable files can't reference anything
+		}
+	}
+	return dungeonFiles;
+}
+
+/**
+ * Parse every dungeon file in a directory.
+ *
+ * @returns The `dungeon` section of each file, by dungeon id
+ */
+export async function loadDungeonDocuments(
+	dungeonDir: string
+): Promise<Map<string, RawDungeon>> {
+	const dungeons = new Map<string, RawDungeon>();
+	for (const file of await readDungeonFiles(dungeonDir)) {
+		dungeons.set(file.id, file.data.dungeon);
+	}
+	return dungeons;
+}
+
+/**
+ * Parse locations.yaml, treating a missing or broken file as empty.
+ */
+export async function loadLocations(locationsPath: string): Promise<unknown> {
+	try {
+		return YAML.load(await readFile(locationsPath, "utf-8"));
+	} catch {
+		return undefined;
+	}
+}
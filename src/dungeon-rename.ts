@@ -0,0 +1,319 @@
+/**
+ * Dungeon Rename
+ *
+ * A dungeon's id is written into its own resets, into other dungeons'
+ * room links and template ids, and into locations.yaml. Renaming is done in
+ * two steps: `planDungeonRename` works out every file that has to change
+ * (which doubles as the preview), and `applyDungeonRename` writes them all
+ * or none. Only the references themselves are changed in each file's text;
+ * comments, quoting and layout are left as they were.
+ */
+
+import { readFile, writeFile, rename, unlink } from "fs/promises";
+import { join } from "path";
+import YAML from "js-yaml";
+import {
+	DungeonReference,
+	collectDungeonReferences,
+	collectLocationReferences,
+	readDungeonFiles,
+} from "./dungeon-references.js";
+import { DungeonIssue } from "./dungeon-checks.js";
+import { yamlSyntaxIssue } from "./dungeon-validation.js";
+
+export interface RenameChange {
+	/** Path to the value in the document */
+	path: string;
+	before: string;
+	after: string;
+}
+
+export interface RenameFileChange {
+	/** File name relative to the data directory, e.g. `dungeons/tower.yaml` */
+	file: string;
+	/** Dungeon the file belongs to; undefined for locations.yaml */
+	dungeonId?: string;
+	changes: RenameChange[];
+}
+
+interface PendingWrite {
+	path: string;
+	/** Undefined for the renamed dungeon's new file */
+	before?: string;
+	after: string;
+	dungeonId?: string;
+}
+
+export interface RenamePlan {
+	oldId: string;
+	newId: string;
+	files: RenameFileChange[];
+	/** Not part of the preview; used by applyDungeonRename */
+	writes: PendingWrite[];
+	/** The renamed dungeon's old file, removed once everything is written */
+	remove: string;
+}
+
+/** A file the rename would have to change can't be read as YAML */
+export class RenameFileError extends Error {
+	constructor(
+		/** File name relative to the data directory */
+		public readonly file: string,
+		public readonly issue: DungeonIssue
+	) {
+		super(`${file}: ${issue.message}`);
+	}
+}
+
+/** How YAML.dump writes a file whose text can't be edited in place */
+const DUMP_OPTIONS: YAML.DumpOptions = { lineWidth: 120, noRefs: true };
+
+/** Where a scalar is written in a YAML document's text */
+interface ScalarSpan {
+	start: number;
+	end: number;
+}
+
+/** A node of a YAML document as js-yaml's parse events describe it */
+interface ParsedNode extends ScalarSpan {
+	kind: string | null;
+	result: unknown;
+	children: ParsedNode[];
+}
+
+/**
+ * Where each scalar of a YAML document is written, by the path to it in
+ * the form DungeonReference uses (`dungeon.resets[2].equipped[0]`). Spans
+ * may include the whitespace and quotes around the value.
+ */
+function scalarSpans(content: string): Map<string, ScalarSpan> {
+	// js-yaml reports every node as it opens and closes; children close
+	// before their parent, and a mapping's are its keys and values in turn
+	const siblings: ParsedNode[][] = [[]];
+	const starts: number[] = [];
+	YAML.load(content, {
+		listener(event, state) {
+			if (event === "open") {
+				starts.push(state.position);
+				siblings.push([]);
+				return;
+			}
+			const children = siblings.pop()!;
+			siblings[siblings.length - 1].push({
+				kind: state.kind,
+				result: state.result,
+				start: starts.pop()!,
+				end: state.position,
+				children,
+			});
+		},
+	});
+
+	const spans = new Map<string, ScalarSpan>();
+	const visit = (node: ParsedNode, path: string) => {
+		if (node.kind === "scalar") {
+			spans.set(path, { start: node.start, end: node.end });
+		} else if (node.kind === "sequence") {
+			node.children.forEach((child, i) => visit(child, `${path}[${i}]`));
+		} else if (node.kind === "mapping") {
+			for (let i = 0; i + 1 < node.children.length; i += 2) {
+				const key = String(node.children[i].result);
+				visit(node.children[i + 1], path ? `${path}.${key}` : key);
+			}
+		}
+	};
+	for (const root of siblings[0]) visit(root, "");
+	return spans;
+}
+
+/**
+ * Apply changes to the source text of a YAML document, replacing each
+ * value where it is written. Returns undefined if one can't be found as
+ * written, e.g. behind an alias or an escape sequence.
+ */
+function rewriteValues(
+	content: string,
+	changes: RenameChange[]
+): string | undefined {
+	const spans = scalarSpans(content);
+	const edits: { start: number; end: number; text: string }[] = [];
+	for (const change of changes) {
+		const span = spans.get(change.path);
+		if (!span) return undefined;
+		const offset = content.slice(span.start, span.end).indexOf(change.before);
+		if (offset === -1) return undefined;
+		const start = span.start + offset;
+		edits.push({
+			start,
+			end: start + change.before.length,
+			text: change.after,
+		});
+	}
+
+	// From the end, so earlier offsets stay valid
+	let result = content;
+	for (const edit of edits.sort((a, b) => b.start - a.start)) {
+		result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+	}
+	return result;
+}
+
+/** Set a value at a path like `dungeon.resets[2].equipped[0]` */
+function setAtPath(root: unknown, path: string, value: unknown): void {
+	const keys = path
+		.split(/\.|\[(\d+)\]/)
+		.filter((key) => key !== undefined && key !== "");
+	let target = root as Record<string, unknown>;
+	for (const key of keys.slice(0, -1)) {
+		target = target[key] as Record<string, unknown>;
+	}
+	target[keys[keys.length - 1]] = value;
+}
+
+/** Point a reference written as `@oldId...` at the new id */
+function renameReference(
+	ref: DungeonReference,
+	oldId: string,
+	newId: string
+): string | undefined {
+	if (ref.targetDungeon !== oldId || !ref.value.startsWith(`@${oldId}`)) {
+		return undefined;
+	}
+	return `@${newId}${ref.value.slice(oldId.length + 1)}`;
+}
+
+/**
+ * Work out every change a rename needs. Nothing is written.
+ *
+ * @param dungeonDir Directory holding the dungeon YAML files
+ * @param locationsPath Path to locations.yaml
+ * @param oldId The dungeon to rename; must exist
+ * @param newId The new id; must not be in use
+ */
+export async function planDungeonRename(
+	dungeonDir: string,
+	locationsPath: string,
+	oldId: string,
+	newId: string
+): Promise<RenamePlan> {
+	const plan: RenamePlan = {
+		oldId,
+		newId,
+		files: [],
+		writes: [],
+		remove: join(dungeonDir, `${oldId}.yaml`),
+	};
+
+	for (const file of await readDungeonFiles(dungeonDir)) {
+		const changes: RenameChange[] = [];
+		for (const ref of collectDungeonReferences(file.id, file.data.dungeon)) {
+			const after = renameReference(ref, oldId, newId);
+			if (after === undefined) continue;
+			setAtPath(file.data, ref.path, after);
+			changes.push({ path: ref.path, before: ref.value, after });
+		}
+
+		const isRenamed = file.id === oldId;
+		if (isRenamed) {
+			changes.unshift({
+				path: "dungeon.id",
+				before: String(file.data.dungeon.id ?? oldId),
+				after: newId,
+			});
+			file.data.dungeon.id = newId;
+		}
+		if (changes.length === 0) continue;
+
+		const after =
+			rewriteValues(file.content, changes) ??
+			YAML.dump(file.data, DUMP_OPTIONS);
+		plan.files.push({
+			file: `dungeons/${file.id}.yaml`,
+			dungeonId: file.id,
+			changes,
+		});
+		plan.writes.push(
+			isRenamed
+				? { path: join(dungeonDir, `${newId}.yaml`), after, dungeonId: newId }
+				: { path: file.path, before: file.content, after, dungeonId: file.id }
+		);
+	}
+
+	// The renamed dungeon's file is removed at the end, so it must be written
+	if (!plan.writes.some((write) => write.dungeonId === newId)) {
+		throw new Error(`Dungeon "${oldId}" could not be parsed`);
+	}
+
+	// locations.yaml holds nothing but room references
+	let locationsContent: string | undefined;
+	try {
+		locationsContent = await readFile(locationsPath, "utf-8");
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+	}
+	if (locationsContent !== undefined) {
+		let locations: unknown;
+		try {
+			locations = YAML.load(locationsContent);
+		} catch (error) {
+			if (!(error instanceof YAML.YAMLException)) throw error;
+			throw new RenameFileError("locations.yaml", yamlSyntaxIssue(error));
+		}
+		const changes: RenameChange[] = [];
+		for (const ref of collectLocationReferences(locations)) {
+			const after = renameReference(ref, oldId, newId);
+			if (after === undefined) continue;
+			setAtPath(locations, ref.path, after);
+			changes.push({ path: ref.path, before: ref.value, after });
+		}
+		if (changes.length > 0) {
+			plan.files.push({ file: "locations.yaml", changes });
+			plan.writes.push({
+				path: locationsPath,
+				before: locationsContent,
+				after:
+					rewriteValues(locationsContent, changes) ??
+					YAML.dump(locations, DUMP_OPTIONS),
+			});
+		}
+	}
+
+	return plan;
+}
+
+/**
+ * Write every file in a rename plan. All new contents are written to
+ * temporary files first and only then moved into place; if anything fails
+ * part way, files already replaced are put back.
+ */
+export async function applyDungeonRename(plan: RenamePlan): Promise<void> {
+	const temps = plan.writes.map((write) => `${write.path}.tmp`);
+	try {
+		for (let i = 0; i < plan.writes.length; i++) {
+			await writeFile(temps[i], plan.writes[i].after, "utf-8");
+		}
+	} catch (error) {
+		await Promise.all(temps.map((temp) => unlink(temp).catch(() => {})));
+		throw error;
+	}
+
+	const done: PendingWrite[] = [];
+	try {
+		for (let i = 0; i < plan.writes.length; i++) {
+			await rename(temps[i], plan.writes[i].path);
+			done.push(plan.writes[i]);
+		}
+		await unlink(plan.remove);
+	} catch (error) {
+		// Put back what was already replaced
+		for (const write of done) {
+			if (write.before === undefined) {
+				await unlink(write.path).catch(() => {});
+			} else {
+				await writeFile(write.path, write.before, "utf-8").catch(() => {});
+			}
+		}
+		await Promise.all(temps.map((temp) => unlink(temp).catch(() => {})));
+		throw error;
+	}
+}
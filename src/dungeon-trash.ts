@@ -0,0 +1,91 @@
+/**
+ * Dungeon Trash
+ *
+ * Deleted dungeons are moved here instead of being removed, using the same
+ * layout as the revision history (`<trashDir>/<dungeonId>/<rev>.yaml`) so
+ * the same dungeon can be deleted more than once.
+ */
+
+import { readFile, writeFile, readdir, unlink } from "fs/promises";
+import { join } from "path";
+import {
+	RevisionInfo,
+	saveRevision,
+	listRevisions,
+	readRevision,
+} from "./dungeon-history.js";
+
+export interface TrashEntry extends RevisionInfo {
+	dungeonId: string;
+}
+
+/**
+ * Move a dungeon file into the trash. Throws an ENOENT error if the
+ * dungeon doesn't exist.
+ */
+export async function moveToTrash(
+	dungeonDir: string,
+	trashDir: string,
+	dungeonId: string
+): Promise<TrashEntry> {
+	const filePath = join(dungeonDir, `${dungeonId}.yaml`);
+	const content = await readFile(filePath, "utf-8");
+	const rev = await saveRevision(trashDir, dungeonId, content);
+	await unlink(filePath);
+
+	const entry = (await listRevisions(trashDir, dungeonId)).find(
+		(revision) => revision.rev === rev
+	)!;
+	return { ...entry, dungeonId };
+}
+
+/**
+ * List everything in the trash, most recently deleted first.
+ */
+export async function listTrash(trashDir: string): Promise<TrashEntry[]> {
+	let dungeonIds: string[];
+	try {
+		dungeonIds = await readdir(trashDir);
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+		throw error;
+	}
+
+	const entries: TrashEntry[] = [];
+	for (const dungeonId of dungeonIds) {
+		for (const revision of await listRevisions(trashDir, dungeonId)) {
+			entries.push({ ...revision, dungeonId });
+		}
+	}
+	return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Read a trashed dungeon's YAML. Throws an ENOENT error if it isn't there.
+ */
+export function readTrashed(
+	trashDir: string,
+	dungeonId: string,
+	rev: string
+): Promise<string> {
+	return readRevision(trashDir, dungeonId, rev);
+}
+
+/**
+ * Move a trashed dungeon back into the dungeon directory. Throws an EEXIST
+ * error if a dungeon with the same id has been created since.
+ */
+export async function restoreFromTrash(
+	dungeonDir: string,
+	trashDir: string,
+	dungeonId: string,
+	rev: string
+): Promise<string> {
+	const content = await readTrashed(trashDir, dungeonId, rev);
+	await writeFile(join(dungeonDir, `${dungeonId}.yaml`), content, {
+		encoding: "utf-8",
+		flag: "wx",
+	});
+	await unlink(join(trashDir, dungeonId, `${rev}.yaml`));
+	return content;
+}
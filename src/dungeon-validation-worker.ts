@@ -0,0 +1,49 @@
+/**
+ * Dungeon Validation Worker
+ *
+ * Loads one dungeon through mud3 and reports back whether it loaded. It is
+ * forked by dungeon-validation.ts with a scratch directory as its working
+ * directory, because mud3 only ever reads `data/` under the working
+ * directory; the live data and the editor's own mud3 registry are never
+ * touched.
+ *
+ * Usage (forked, with an IPC channel): dungeon-validation-worker.js <id> <file>
+ *   <file> is copied into data/dungeons/<id>.yaml once mud3's packages have
+ *   loaded the other dungeons, then loaded on its own.
+ */
+
+import { copyFile } from "fs/promises";
+import { join } from "path";
+import { loadPackage } from "package-loader";
+import archetype from "./mud3/src/package/archetype.js";
+import dungeon, { loadDungeon } from "./mud3/src/package/dungeon.js";
+
+/** What the worker sends its parent; `error` is unset if the dungeon loaded */
+export interface ValidationResult {
+	error?: string;
+}
+
+const [id, source] = process.argv.slice(2);
+
+async function validate(): Promise<ValidationResult> {
+	// The same packages the editor server loads before it serves anything
+	await loadPackage(archetype);
+	await loadPackage(dungeon);
+
+	// Only now, so the dungeon package didn't load it along with the rest
+	await copyFile(source, join(process.cwd(), "data", "dungeons", `${id}.yaml`));
+	try {
+		const loaded = await loadDungeon(id);
+		if (!loaded) return { error: "mud3 could not load this dungeon" };
+		return {};
+	} catch (error) {
+		const message = error instanceof Error ? error.message : String(error);
+		return { error: `mud3 failed to load this dungeon: ${message}` };
+	}
+}
+
+validate()
+	.catch((error): ValidationResult => ({
+		error: `mud3 failed to start: ${error instanceof Error ? error.message : error}`,
+	}))
+	.then((result) => process.send!(result));
@@ -0,0 +1,193 @@
+/**
+ * Dungeon Validation
+ *
+ * Validates dungeon YAML before the editor server writes it to disk.
+ * The structural checks from dungeon-checks.ts run first; if they pass, the
+ * document is loaded through mud3's own `loadDungeon` so anything mud3 would
+ * reject at boot is caught at save time instead. mud3 runs in a worker
+ * process for that; see dungeon-validation-worker.ts.
+ */
+
+import { fork } from "child_process";
+import { mkdir, mkdtemp, readdir, rm, symlink, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import YAML from "js-yaml";
+import logger from "./mud3/src/logger.js";
+import { checkDungeon, CheckOptions, DungeonIssue } from "./dungeon-checks.js";
+import type { ValidationResult } from "./dungeon-validation-worker.js";
+
+const WORKER = fileURLToPath(
+	new URL("./dungeon-validation-worker.js", import.meta.url)
+);
+
+/** How long mud3 gets to load a dungeon before validation gives up */
+const WORKER_TIMEOUT_MS = 60000;
+
+/**
+ * Prefix of the scratch dungeon ids older versions of the editor validated
+ * under, inside the dungeon directory itself. A crash could leave one
+ * behind, so anything listing dungeon files should skip ids with this prefix.
+ */
+export const SCRATCH_PREFIX = "__scratch_";
+
+export interface ValidationOptions extends CheckOptions {
+	/**
+	 * mud3's data directory; its packages other than dungeons are loaded
+	 * from here. Defaults to data/ in the working directory
+	 */
+	dataDir?: string;
+	/**
+	 * The dungeons the YAML is loaded alongside, so its references resolve
+	 * against them; the editor's configured dungeon directory
+	 */
+	dungeonDir: string;
+	/** YAML to use instead of files in `dungeonDir`, by dungeon id */
+	pending?: Map<string, string>;
+}
+
+export function hasErrors(issues: DungeonIssue[]): boolean {
+	return issues.some((issue) => issue.severity === "error");
+}
+
+/** The issue for YAML that doesn't parse, with the line it broke on */
+export function yamlSyntaxIssue(error: unknown): DungeonIssue {
+	const mark = (error as YAML.YAMLException).mark;
+	const reason = (error as YAML.YAMLException).reason || String(error);
+	return {
+		path: "yaml",
+		message: mark
+			? `YAML syntax error at line ${mark.line + 1}: ${reason}`
+			: `YAML syntax error: ${reason}`,
+		severity: "error",
+	};
+}
+
+/** Directory entries, or none if the directory doesn't exist */
+async function readdirOptional(dir: string): Promise<string[]> {
+	try {
+		return await readdir(dir);
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return [];
+		throw error;
+	}
+}
+
+/**
+ * Build a data directory for mud3 under `root`: links to everything in the
+ * real one, except that dungeons/ holds only the other dungeons, so the one
+ * being validated can be added once the rest have loaded.
+ */
+async function prepareScratchData(
+	root: string,
+	id: string,
+	options: ValidationOptions
+): Promise<void> {
+	const dataDir = options.dataDir ?? join(process.cwd(), "data");
+	const { dungeonDir } = options;
+	const scratchDungeons = join(root, "data", "dungeons");
+	await mkdir(scratchDungeons, { recursive: true });
+
+	for (const entry of await readdirOptional(dataDir)) {
+		if (entry === "dungeons") continue;
+		await symlink(join(dataDir, entry), join(root, "data", entry));
+	}
+	for (const file of await readdirOptional(dungeonDir)) {
+		if (!file.endsWith(".yaml") || file.startsWith(SCRATCH_PREFIX)) continue;
+		const otherId = file.slice(0, -".yaml".length);
+		if (otherId === id || options.pending?.has(otherId)) continue;
+		await symlink(join(dungeonDir, file), join(scratchDungeons, file));
+	}
+	for (const [otherId, yaml] of options.pending ?? []) {
+		if (otherId === id) continue;
+		await writeFile(join(scratchDungeons, `${otherId}.yaml`), yaml, "utf-8");
+	}
+}
+
+/** Run the validation worker in `root` and wait for its answer */
+function runWorker(
+	root: string,
+	id: string,
+	source: string
+): Promise<ValidationResult> {
+	return new Promise((resolve) => {
+		let stderr = "";
+		const child = fork(WORKER, [id, source], {
+			cwd: root,
+			stdio: ["ignore", "ignore", "pipe", "ipc"],
+		});
+		const finish = (result: ValidationResult) => {
+			clearTimeout(timer);
+			// mud3 may leave timers running that would keep it alive
+			child.kill();
+			resolve(result);
+		};
+		const timer = setTimeout(
+			() => finish({ error: "mud3 took too long to load this dungeon" }),
+			WORKER_TIMEOUT_MS
+		);
+		child.stderr!.on("data", (chunk) => (stderr += chunk));
+		child.once("message", (result) => finish(result as ValidationResult));
+		child.once("error", (error) =>
+			finish({ error: `mud3 failed to start: ${error.message}` })
+		);
+		child.once("exit", (code) =>
+			finish({
+				error: `mud3 exited while loading this dungeon (${code}): ${stderr.trim()}`,
+			})
+		);
+	});
+}
+
+/**
+ * Load the dungeon through mud3 in a separate process, against a scratch
+ * copy of the data directory, so neither the live files nor the editor's
+ * own mud3 registry are touched.
+ */
+async function loadWithMud3(
+	id: string,
+	yaml: string,
+	options: ValidationOptions
+): Promise<DungeonIssue[]> {
+	const root = await mkdtemp(join(tmpdir(), "dungeon-validation-"));
+	try {
+		await prepareScratchData(root, id, options);
+		const source = join(root, "dungeon.yaml");
+		await writeFile(source, yaml, "utf-8");
+		const { error } = await runWorker(root, id, source);
+		if (!error) return [];
+		return [{ path: "dungeon", message: error, severity: "error" }];
+	} finally {
+		await rm(root, { recursive: true, force: true }).catch((error) => {
+			logger.error(`Failed to remove validation directory ${root}: ${error}`);
+		});
+	}
+}
+
+/**
+ * Validate dungeon YAML as the editor would save it.
+ *
+ * @param id The dungeon id the YAML will be stored under
+ * @param yaml The raw YAML document
+ * @param options Where the other dungeons are, and the checks' options
+ * @returns Every issue found; the YAML is savable if none are errors
+ */
+export async function validateDungeonYaml(
+	id: string,
+	yaml: string,
+	options: ValidationOptions
+): Promise<DungeonIssue[]> {
+	let data: unknown;
+	try {
+		data = YAML.load(yaml);
+	} catch (error) {
+		return [yamlSyntaxIssue(error)];
+	}
+
+	const issues = checkDungeon(id, data, options);
+	if (hasErrors(issues)) return issues;
+
+	issues.push(...(await loadWithMud3(id, yaml, options)));
+	return issues;
+}
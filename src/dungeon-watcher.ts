@@ -0,0 +1,87 @@
+/**
+ * Dungeon Watcher
+ *
+ * Watches the dungeon directory so changes made outside the editor (a git
+ * pull, `update-mud3`, a hand edit) are noticed. Editors write through a
+ * temporary file and a rename, which shows up as several events per save,
+ * so events are debounced per file and only reported when the contents
+ * actually changed.
+ */
+
+import { FSWatcher, watch } from "fs";
+import { readFile } from "fs/promises";
+import { join } from "path";
+import logger from "./mud3/src/logger.js";
+import { SCRATCH_PREFIX } from "./dungeon-validation.js";
+
+/** How long a file has to stay quiet before it is read */
+const DEBOUNCE_MS = 100;
+
+export interface DungeonFileChange {
+	id: string;
+	/** The new file contents; undefined if the file was deleted */
+	content?: string;
+}
+
+export class DungeonWatcher {
+	private watcher?: FSWatcher;
+	private timers = new Map<string, NodeJS.Timeout>();
+	/** Last contents reported per dungeon; null once deleted */
+	private lastSeen = new Map<string, string | null>();
+
+	constructor(
+		private dungeonDir: string,
+		private onChange: (change: DungeonFileChange) => void
+	) {}
+
+	start(): void {
+		if (this.watcher) return;
+		try {
+			this.watcher = watch(this.dungeonDir, (_event, filename) => {
+				if (filename) this.schedule(filename.toString());
+			});
+			this.watcher.on("error", (error) => {
+				logger.error(`Dungeon watcher failed: ${error}`);
+			});
+		} catch (error) {
+			logger.warn(`Cannot watch ${this.dungeonDir}: ${error}`);
+		}
+	}
+
+	stop(): void {
+		this.watcher?.close();
+		this.watcher = undefined;
+		for (const timer of this.timers.values()) clearTimeout(timer);
+		this.timers.clear();
+	}
+
+	private schedule(filename: string): void {
+		// Validation scratch copies and half-written .tmp files aren't dungeons
+		if (!filename.endsWith(".yaml") || filename.startsWith(SCRATCH_PREFIX)) {
+			return;
+		}
+		const id = filename.slice(0, -".yaml".length);
+		clearTimeout(this.timers.get(id));
+		this.timers.set(
+			id,
+			setTimeout(() => {
+				this.timers.delete(id);
+				this.check(id).catch((error) => {
+					logger.error(`Failed to read changed dungeon ${id}: ${error}`);
+				});
+			}, DEBOUNCE_MS)
+		);
+	}
+
+	private async check(id: string): Promise<void> {
+		let content: string | null = null;
+		try {
+			content = await readFile(join(this.dungeonDir, `${id}.yaml`), "utf-8");
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+		}
+		if (this.lastSeen.get(id) === content) return;
+		this.lastSeen.set(id, content);
+		this.onChange({ id, content: content ?? undefined });
+	}
+}
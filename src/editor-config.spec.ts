@@ -0,0 +1,113 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join, resolve } from "path";
+import { loadEditorOptions } from "./editor-config.js";
+
+describe("editor config", () => {
+	let dir: string;
+	let configPath: string;
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), "editor-config-"));
+		configPath = join(dir, "config.yaml");
+	});
+
+	after(async () => {
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	/** Write config.yaml with mud3's settings and the given editor section */
+	async function writeConfig(editor: string): Promise<void> {
+		await writeFile(configPath, `server:\n  port: 23\neditor:\n${editor}`);
+	}
+
+	it("leaves everything to the defaults without a config file", async () => {
+		const options = await loadEditorOptions([], {}, join(dir, "missing.yaml"));
+		assert.deepEqual(options, {});
+	});
+
+	it("leaves everything to the defaults without an editor section", async () => {
+		await writeFile(configPath, "server:\n  port: 23\n");
+		assert.deepEqual(await loadEditorOptions([], {}, configPath), {});
+	});
+
+	it("takes flags over variables over the config file", async () => {
+		await writeConfig(
+			"  port: 3001\n  host: file.test\n  data_dir: /file/data\n  static_dir: /file/static\n"
+		);
+		const options = await loadEditorOptions(
+			["--port", "3003"],
+			{
+				MAP_EDITOR_PORT: "3002",
+				MAP_EDITOR_HOST: "env.test",
+				MAP_EDITOR_DATA_DIR: "/env/data",
+			},
+			configPath
+		);
+		assert.deepEqual(options, {
+			port: 3003,
+			host: "env.test",
+			dataDir: "/env/data",
+			staticDir: "/file/static",
+		});
+	});
+
+	it("ignores empty variables", async () => {
+		await writeConfig("  port: 3001\n");
+		const options = await loadEditorOptions(
+			[],
+			{ MAP_EDITOR_PORT: "" },
+			configPath
+		);
+		assert.equal(options.port, 3001);
+	});
+
+	it("resolves the config file's directories against its own directory", async () => {
+		await writeConfig("  data_dir: world\n  static_dir: ../editor\n");
+		const options = await loadEditorOptions([], {}, configPath);
+		assert.equal(options.dataDir, join(dir, "world"));
+		assert.equal(options.staticDir, resolve(dir, "..", "editor"));
+	});
+
+	it("resolves other directories against the working directory", async () => {
+		const options = await loadEditorOptions(
+			["--static-dir", "editor"],
+			{ MAP_EDITOR_DATA_DIR: "world" },
+			join(dir, "missing.yaml")
+		);
+		assert.equal(options.dataDir, resolve("world"));
+		assert.equal(options.staticDir, resolve("editor"));
+	});
+
+	it("names the source of a bad port", async () => {
+		await writeConfig("  port: nope\n");
+		await assert.rejects(loadEditorOptions([], {}, configPath), {
+			message: `${configPath}: port must be a number from 0 to 65535`,
+		});
+
+		const noFile = join(dir, "missing.yaml");
+		await assert.rejects(
+			loadEditorOptions([], { MAP_EDITOR_PORT: "70000" }, noFile),
+			{ message: "environment: port must be a number from 0 to 65535" }
+		);
+		await assert.rejects(loadEditorOptions(["--port", "3.5"], {}, noFile), {
+			message: "command line: port must be a number from 0 to 65535",
+		});
+	});
+
+	it("refuses an editor section that isn't a mapping", async () => {
+		await writeConfig("  - port\n");
+		await assert.rejects(loadEditorOptions([], {}, configPath), {
+			message: `${configPath}: editor must be a mapping`,
+		});
+	});
+
+	it("refuses unknown flags", async () => {
+		await assert.rejects(
+			loadEditorOptions(["--prot", "3000"], {}, join(dir, "missing.yaml")),
+			/--prot/
+		);
+	});
+});
@@ -0,0 +1,150 @@
+/**
+ * Editor Configuration
+ *
+ * Where the map editor server listens and which directories it serves,
+ * from (highest precedence first) command-line flags, environment
+ * variables and the `editor` section of data/config.yaml:
+ *
+ *   | Flag           | Variable              | config.yaml         |
+ *   | -------------- | --------------------- | ------------------- |
+ *   | `--port`       | MAP_EDITOR_PORT       | `editor.port`       |
+ *   | `--host`       | MAP_EDITOR_HOST       | `editor.host`       |
+ *   | `--data-dir`   | MAP_EDITOR_DATA_DIR   | `editor.data_dir`   |
+ *   | `--static-dir` | MAP_EDITOR_STATIC_DIR | `editor.static_dir` |
+ *
+ * Relative directories are resolved against the working directory, or
+ * against the directory config.yaml is in for those set there.
+ * Anything left unset falls back to the server's defaults.
+ */
+
+import { readFile } from "fs/promises";
+import { dirname, join, resolve } from "path";
+import { parseArgs } from "util";
+import YAML from "js-yaml";
+import { MapEditorServerOptions } from "./map-editor-server.js";
+
+/** Holds the `editor` section; mud3's own settings live alongside it */
+export const CONFIG_PATH = join(process.cwd(), "data", "config.yaml");
+
+/** Settings by source, each as the strings or values that source gives */
+interface RawOptions {
+	port?: unknown;
+	host?: unknown;
+	dataDir?: unknown;
+	staticDir?: unknown;
+}
+
+function parsePort(value: unknown, source: string): number {
+	const port = typeof value === "string" ? Number(value) : value;
+	if (
+		typeof port !== "number" ||
+		!Number.isInteger(port) ||
+		port < 0 ||
+		port > 65535
+	) {
+		throw new Error(`${source}: port must be a number from 0 to 65535`);
+	}
+	return port;
+}
+
+function parseString(value: unknown, source: string, name: string): string {
+	if (typeof value !== "string" || !value) {
+		throw new Error(`${source}: ${name} must be a non-empty string`);
+	}
+	return value;
+}
+
+/** Check one source's settings and resolve its directories against `base` */
+function toOptions(
+	raw: RawOptions,
+	source: string,
+	base = process.cwd()
+): MapEditorServerOptions {
+	const options: MapEditorServerOptions = {};
+	if (raw.port !== undefined) options.port = parsePort(raw.port, source);
+	if (raw.host !== undefined) {
+		options.host = parseString(raw.host, source, "host");
+	}
+	if (raw.dataDir !== undefined) {
+		options.dataDir = resolve(
+			base,
+			parseString(raw.dataDir, source, "data dir")
+		);
+	}
+	if (raw.staticDir !== undefined) {
+		options.staticDir = resolve(
+			base,
+			parseString(raw.staticDir, source, "static dir")
+		);
+	}
+	return options;
+}
+
+/** The `editor` section of config.yaml; empty if there is none */
+async function readConfigFile(path: string): Promise<RawOptions> {
+	let content: string;
+	try {
+		content = await readFile(path, "utf-8");
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return {};
+		throw error;
+	}
+	const config = YAML.load(content) as { editor?: Record<string, unknown> };
+	const editor = config?.editor;
+	if (editor === undefined || editor === null) return {};
+	if (typeof editor !== "object" || Array.isArray(editor)) {
+		throw new Error(`${path}: editor must be a mapping`);
+	}
+	return {
+		port: editor.port,
+		host: editor.host,
+		dataDir: editor.data_dir,
+		staticDir: editor.static_dir,
+	};
+}
+
+/**
+ * Server options from the command line, the environment and config.yaml.
+ * Throws with a message fit for the user if any setting is malformed.
+ */
+export async function loadEditorOptions(
+	argv: string[] = process.argv.slice(2),
+	env: NodeJS.ProcessEnv = process.env,
+	configPath: string = CONFIG_PATH
+): Promise<MapEditorServerOptions> {
+	// Unknown flags throw, with a message naming them
+	const flags = parseArgs({
+		args: argv,
+		options: {
+			port: { type: "string" },
+			host: { type: "string" },
+			"data-dir": { type: "string" },
+			"static-dir": { type: "string" },
+		},
+	}).values;
+
+	const fromFile = toOptions(
+		await readConfigFile(configPath),
+		configPath,
+		dirname(configPath)
+	);
+	const fromEnv = toOptions(
+		{
+			port: env.MAP_EDITOR_PORT || undefined,
+			host: env.MAP_EDITOR_HOST || undefined,
+			dataDir: env.MAP_EDITOR_DATA_DIR || undefined,
+			staticDir: env.MAP_EDITOR_STATIC_DIR || undefined,
+		},
+		"environment"
+	);
+	const fromFlags = toOptions(
+		{
+			port: flags.port,
+			host: flags.host,
+			dataDir: flags["data-dir"],
+			staticDir: flags["static-dir"],
+		},
+		"command line"
+	);
+	return { ...fromFile, ...fromEnv, ...fromFlags };
+}
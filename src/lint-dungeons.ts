@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Lint every dungeon file in the data directory
+ *
+ * Runs the same structural checks the editor server runs on save, with
+ * cross-dungeon room links and template ids resolved against the other
+ * files, so files edited by hand or copied in from mud3 get checked too.
+ * Exits non-zero if any file has errors.
+ *
+ * Usage: node dist/lint-dungeons.js [dungeon directory]
+ */
+
+import { readFile, readdir } from "fs/promises";
+import { join, relative } from "path";
+import YAML from "js-yaml";
+import {
+	checkDungeon,
+	DungeonIssue,
+	RawDungeon,
+	isRecord,
+} from "./dungeon-checks.js";
+import { SCRATCH_PREFIX, yamlSyntaxIssue } from "./dungeon-validation.js";
+
+const dungeonDir = process.argv[2] ?? join(process.cwd(), "data", "dungeons");
+
+async function lint(): Promise<number> {
+	let files: string[];
+	try {
+		files = (await readdir(dungeonDir)).filter(
+			(file) => file.endsWith(".yaml") && !file.startsWith(SCRATCH_PREFIX)
+		);
+	} catch (error) {
+		console.error(`Error: cannot read dungeon directory ${dungeonDir}`);
+		console.error(String(error));
+		return 1;
+	}
+
+	console.log(`Linting ${files.length} dungeon(s) in ${dungeonDir}...\n`);
+
+	// Parse everything first so links and templates can resolve across files
+	const documents = new Map<string, unknown>();
+	const otherDungeons = new Map<string, RawDungeon>();
+	const issuesByFile = new Map<string, DungeonIssue[]>();
+	for (const file of files) {
+		const id = file.slice(0, -".yaml".length);
+		try {
+			const data = YAML.load(await readFile(join(dungeonDir, file), "utf-8"));
+			documents.set(id, data);
+			if (isRecord(data) && isRecord(data.dungeon)) {
+				otherDungeons.set(id, data.dungeon as RawDungeon);
+			}
+		} catch (error) {
+			issuesByFile.set(file, [yamlSyntaxIssue(error)]);
+		}
+	}
+
+	for (const [id, data] of documents) {
+		const issues = checkDungeon(id, data, { otherDungeons });
+		if (issues.length > 0) issuesByFile.set(`${id}.yaml`, issues);
+	}
+
+	let errors = 0;
+	let warnings = 0;
+	for (const file of [...issuesByFile.keys()].sort()) {
+		const displayPath = relative(process.cwd(), join(dungeonDir, file));
+		console.log(displayPath);
+		for (const issue of issuesByFile.get(file)!) {
+			if (issue.severity === "error") errors++;
+			else warnings++;
+			console.log(
+				`  ${issue.severity.padEnd(7)} ${issue.path}: ${issue.message}`
+			);
+		}
+		console.log("");
+	}
+
+	if (errors === 0 && warnings === 0) {
+		console.log(`✅ No problems found in ${files.length} dungeon(s).`);
+	} else {
+		const summary = `${errors} error(s), ${warnings} warning(s) in ${issuesByFile.size} of ${files.length} dungeon(s)`;
+		console.log(errors > 0 ? `❌ ${summary}` : `⚠️  ${summary}`);
+	}
+
+	return errors > 0 ? 1 : 0;
+}
+
+lint().then((code) => {
+	process.exitCode = code;
+});
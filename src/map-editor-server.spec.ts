@@ -0,0 +1,1409 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+	cp,
+	mkdtemp,
+	mkdir,
+	readdir,
+	rm,
+	stat,
+	writeFile,
+	readFile,
+} from "fs/promises";
+import { tmpdir } from "os";
+import { join, relative } from "path";
+import { createHash } from "crypto";
+import { get, IncomingMessage } from "http";
+import { AddressInfo } from "net";
+import { brotliDecompressSync, gunzipSync } from "zlib";
+import { loadPackage } from "package-loader";
+import archetype from "./mud3/src/package/archetype.js";
+import dungeon from "./mud3/src/package/dungeon.js";
+import { createMapEditorServer } from "./map-editor-server.js";
+import { UserStore } from "./user-accounts.js";
+
+const TOWER = `dungeon:
+  id: tower
+  dimensions: {width: 2, height: 1, layers: 1}
+  grid: [[[1, 1]]]
+  rooms:
+    - display: Hall
+      description: A draughty hall.
+      allowedExits: 15
+  templates:
+    - id: lamp
+      type: Item
+      display: a brass lamp
+      description: A brass lamp sits here.
+  resets:
+    - roomRef: "@tower{0,0,0}"
+      templateId: lamp
+`;
+
+const CAVES = `dungeon:
+  id: caves
+  dimensions: {width: 1, height: 1, layers: 1}
+  grid: [[[1]]]
+  rooms:
+    - display: Cave Mouth
+      description: Daylight fades behind you.
+      allowedExits: 15
+      roomLinks:
+        east: "@tower{0,0,0}"
+  templates: []
+  resets: []
+`;
+
+const EMPTY = (id: string) => `dungeon:
+  id: ${id}
+  dimensions: {width: 1, height: 1, layers: 1}
+  grid: [[[0]]]
+  rooms: []
+  templates: []
+  resets: []
+`;
+
+const PASSWORD = "correct horse";
+
+/** Long enough to be worth compressing */
+const APP_JS = `export const rooms = [];\n`.repeat(100);
+
+/** A PNG signature, which isn't valid UTF-8 */
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff]);
+
+interface Reply {
+	status: number;
+	headers: Headers;
+	body: any;
+}
+
+interface Call {
+	cookie?: string;
+	body?: unknown;
+	headers?: Record<string, string>;
+}
+
+/** The repo's own data, which mud3 reads and the tests must leave alone */
+const REPO_DATA_DIR = join(process.cwd(), "data");
+
+/** Every file under a directory, with a hash of its contents */
+async function snapshot(dir: string): Promise<Record<string, string>> {
+	const files: Record<string, string> = {};
+	for (const entry of await readdir(dir, {
+		recursive: true,
+		withFileTypes: true,
+	})) {
+		const path = join(entry.parentPath, entry.name);
+		files[relative(dir, path)] = entry.isFile()
+			? createHash("sha1")
+					.update(await readFile(path))
+					.digest("hex")
+			: entry.isDirectory()
+				? "directory"
+				: "other";
+	}
+	return files;
+}
+
+describe("map editor server", () => {
+	let repoData: Record<string, string>;
+	let dataDir: string;
+	let staticDir: string;
+	let server: ReturnType<typeof createMapEditorServer>;
+	let base: string;
+	let admin: string;
+	let builder: string;
+	let viewer: string;
+
+	async function call(
+		method: string,
+		path: string,
+		{ cookie, body, headers = {} }: Call = {}
+	): Promise<Reply> {
+		const response = await fetch(base + path, {
+			method,
+			headers: {
+				...(cookie ? { Cookie: cookie } : {}),
+				...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+				...headers,
+			},
+			body:
+				body === undefined
+					? undefined
+					: typeof body === "string"
+						? body
+						: JSON.stringify(body),
+		});
+		const text = await response.text();
+		let parsed: unknown = text;
+		try {
+			parsed = JSON.parse(text);
+		} catch {
+			// Static files and plain-text 404s
+		}
+		return { status: response.status, headers: response.headers, body: parsed };
+	}
+
+	async function login(username: string): Promise<string> {
+		const reply = await call("POST", "/api/login", {
+			body: { username, password: PASSWORD },
+		});
+		assert.equal(reply.status, 200);
+		return reply.headers.get("set-cookie")!.split(";")[0];
+	}
+
+	async function etagOf(id: string): Promise<string> {
+		const reply = await call("GET", `/api/dungeons/${id}`, { cookie: admin });
+		assert.equal(reply.status, 200);
+		return reply.headers.get("etag")!;
+	}
+
+	/** A GET without fetch's transparent decompression */
+	function rawGet(
+		path: string,
+		headers: Record<string, string>
+	): Promise<{ headers: IncomingMessage["headers"]; body: Buffer }> {
+		return new Promise((resolve, reject) => {
+			get(base + path, { headers }, (response) => {
+				const chunks: Buffer[] = [];
+				response.on("data", (chunk: Buffer) => chunks.push(chunk));
+				response.on("end", () =>
+					resolve({ headers: response.headers, body: Buffer.concat(chunks) })
+				);
+			}).on("error", reject);
+		});
+	}
+
+	/** An /api/events stream, collecting everything it receives */
+	function openEvents(
+		cookie: string,
+		client: string
+	): Promise<{
+		waitFor(event: string): Promise<void>;
+		/** Settles when the server ends the stream */
+		closed: Promise<void>;
+		close(): void;
+	}> {
+		return new Promise((resolve, reject) => {
+			const request = get(
+				`${base}/api/events?client=${client}`,
+				{ headers: { Cookie: cookie } },
+				(res: IncomingMessage) => {
+					let received = "";
+					const waiting: { event: string; done: () => void }[] = [];
+					res.setEncoding("utf-8");
+					res.on("data", (chunk: string) => {
+						received += chunk;
+						for (const wait of [...waiting]) {
+							if (received.includes(`event: ${wait.event}\n`)) {
+								waiting.splice(waiting.indexOf(wait), 1);
+								wait.done();
+							}
+						}
+					});
+					resolve({
+						closed: new Promise((done) => res.on("end", done)),
+						waitFor: (event) =>
+							new Promise((done) => {
+								if (received.includes(`event: ${event}\n`)) done();
+								else waiting.push({ event, done });
+							}),
+						close: () => request.destroy(),
+					});
+				}
+			);
+			request.on("error", reject);
+		});
+	}
+
+	/**
+	 * Give the enclosing describe a server of its own, over a fresh copy of
+	 * the test data in a temporary directory, with admin, bob and val logged
+	 * in. With `each`, every test gets a new one.
+	 */
+	function useServer({ each = false } = {}): void {
+		(each ? beforeEach : before)(async () => {
+			dataDir = await mkdtemp(join(tmpdir(), "map-editor-"));
+			await mkdir(join(dataDir, "dungeons"));
+			// mud3 loads the races and jobs from here to validate a dungeon
+			for (const dir of ["races", "jobs"]) {
+				await cp(join(REPO_DATA_DIR, dir), join(dataDir, dir), {
+					recursive: true,
+				});
+			}
+			await writeFile(join(dataDir, "dungeons", "tower.yaml"), TOWER);
+			await writeFile(join(dataDir, "dungeons", "caves.yaml"), CAVES);
+			await writeFile(
+				join(dataDir, "locations.yaml"),
+				'start: "@tower{1,0,0}"\n'
+			);
+			staticDir = join(dataDir, "editor");
+			await mkdir(join(staticDir, "static"), { recursive: true });
+			await writeFile(join(staticDir, "index.html"), "<!doctype html>\n");
+			await writeFile(join(staticDir, "static", "app.js"), APP_JS);
+			await writeFile(join(staticDir, "static", "logo.png"), PNG);
+			const users = new UserStore(join(dataDir, "users.yaml"));
+			await users.add("admin", PASSWORD, "admin");
+			await users.add("bob", PASSWORD, "builder", ["caves"]);
+			await users.add("val", PASSWORD, "viewer");
+
+			server = createMapEditorServer({
+				dataDir,
+				staticDir,
+				port: 0,
+				host: "127.0.0.1",
+			});
+			await server.start();
+			const { port } = server.server.address() as AddressInfo;
+			base = `http://127.0.0.1:${port}`;
+
+			admin = await login("admin");
+			builder = await login("bob");
+			viewer = await login("val");
+		});
+
+		(each ? afterEach : after)(async () => {
+			await server.stop();
+			await rm(dataDir, { recursive: true, force: true });
+		});
+	}
+
+	before(async () => {
+		await loadPackage(archetype);
+		await loadPackage(dungeon);
+		repoData = await snapshot(REPO_DATA_DIR);
+	});
+
+	describe("static files", () => {
+		useServer();
+
+		it("serves the editor page and its scripts", async () => {
+			const page = await call("GET", "/");
+			assert.equal(page.status, 200);
+			assert.match(page.headers.get("content-type")!, /text\/html/);
+			const script = await call("GET", "/static/app.js");
+			assert.equal(script.status, 200);
+			assert.match(script.headers.get("content-type")!, /text\/javascript/);
+			assert.equal(script.body, APP_JS);
+		});
+
+		it("serves binary files byte for byte", async () => {
+			const response = await fetch(base + "/static/logo.png");
+			assert.equal(response.status, 200);
+			assert.equal(response.headers.get("content-type"), "image/png");
+			assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG);
+		});
+
+		it("answers 304 when the client's copy is current", async () => {
+			const first = await call("GET", "/static/logo.png");
+			const etag = first.headers.get("etag")!;
+			const lastModified = first.headers.get("last-modified")!;
+			assert.ok(etag);
+			assert.ok(lastModified);
+
+			const byTag = await call("GET", "/static/logo.png", {
+				headers: { "If-None-Match": etag },
+			});
+			assert.equal(byTag.status, 304);
+			const byDate = await call("GET", "/static/logo.png", {
+				headers: { "If-Modified-Since": lastModified },
+			});
+			assert.equal(byDate.status, 304);
+			const stale = await call("GET", "/static/logo.png", {
+				headers: { "If-None-Match": '"something-else"' },
+			});
+			assert.equal(stale.status, 200);
+		});
+
+		it("picks up files changed on disk", async () => {
+			const path = join(staticDir, "static", "notes.txt");
+			await writeFile(path, "first");
+			const first = await call("GET", "/static/notes.txt");
+			await writeFile(path, "second, and longer");
+			const second = await call("GET", "/static/notes.txt", {
+				headers: { "If-None-Match": first.headers.get("etag")! },
+			});
+			assert.equal(second.status, 200);
+			assert.equal(second.body, "second, and longer");
+		});
+
+		for (const [encoding, decode] of [
+			["br", brotliDecompressSync],
+			["gzip", gunzipSync],
+		] as const) {
+			it(`compresses text with ${encoding} when accepted`, async () => {
+				const response = await rawGet("/static/app.js", {
+					"Accept-Encoding": `${encoding}, identity;q=0.5`,
+				});
+				assert.equal(response.headers["content-encoding"], encoding);
+				assert.equal(response.headers.vary, "Accept-Encoding");
+				assert.ok(response.body.length < APP_JS.length);
+				assert.equal(decode(response.body).toString(), APP_JS);
+			});
+		}
+
+		it("sends text uncompressed to clients that don't accept it", async () => {
+			const response = await rawGet("/static/app.js", {
+				"Accept-Encoding": "br;q=0, gzip;q=0",
+			});
+			assert.equal(response.headers["content-encoding"], undefined);
+			assert.equal(response.body.toString(), APP_JS);
+		});
+
+		it("serves browser builds of dependencies from node_modules", async () => {
+			const reply = await call("GET", "/vendor/js-yaml.mjs");
+			assert.equal(reply.status, 200);
+			assert.match(reply.headers.get("content-type")!, /text\/javascript/);
+			assert.match(reply.body, /export default/);
+			assert.equal((await call("GET", "/vendor/argparse.js")).status, 404);
+			assert.equal((await call("GET", "/vendor/toString")).status, 404);
+		});
+
+		it("only answers GET and HEAD", async () => {
+			const head = await fetch(base + "/static/app.js", { method: "HEAD" });
+			assert.equal(head.status, 200);
+			const post = await call("POST", "/static/app.js");
+			assert.equal(post.status, 405);
+			assert.equal(post.headers.get("allow"), "GET, HEAD");
+		});
+
+		it("refuses paths outside the static directory", async () => {
+			const reply = await call("GET", "/static/..%2f..%2fpackage.json");
+			assert.equal(reply.status, 400);
+		});
+
+		it("answers 404 for unknown paths", async () => {
+			assert.equal((await call("GET", "/nowhere")).status, 404);
+			assert.equal((await call("GET", "/static/missing.js")).status, 404);
+			assert.equal(
+				(await call("GET", "/api/nowhere", { cookie: admin })).status,
+				404
+			);
+		});
+	});
+
+	describe("API description", () => {
+		useServer();
+
+		it("serves an OpenAPI document without a login", async () => {
+			const reply = await call("GET", "/api/openapi.json");
+			assert.equal(reply.status, 200);
+			assert.equal(reply.body.openapi, "3.1.0");
+			assert.ok(reply.body.paths["/api/dungeons/{id}"].put);
+			assert.ok(reply.body.paths["/api/calculate-attributes"].post);
+		});
+
+		it("answers 405 with the allowed methods", async () => {
+			const reply = await call("PUT", "/api/dungeons", { cookie: admin });
+			assert.equal(reply.status, 405);
+			assert.equal(reply.headers.get("allow"), "GET");
+		});
+	});
+
+	describe("sessions", () => {
+		useServer();
+
+		it("rejects a wrong password", async () => {
+			const reply = await call("POST", "/api/login", {
+				body: { username: "admin", password: "wrong password" },
+			});
+			assert.equal(reply.status, 401);
+		});
+
+		it("rejects a login without a password", async () => {
+			const reply = await call("POST", "/api/login", {
+				body: { username: "admin" },
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("needs a login for the API", async () => {
+			assert.equal((await call("GET", "/api/dungeons")).status, 401);
+			assert.equal((await call("GET", "/api/session")).status, 401);
+		});
+
+		it("reports the logged-in user", async () => {
+			const reply = await call("GET", "/api/session", { cookie: builder });
+			assert.equal(reply.status, 200);
+			assert.deepEqual(reply.body, {
+				username: "bob",
+				role: "builder",
+				dungeons: ["caves"],
+			});
+		});
+
+		it("ends the session on logout", async () => {
+			const cookie = await login("val");
+			assert.equal((await call("POST", "/api/logout", { cookie })).status, 204);
+			assert.equal((await call("GET", "/api/session", { cookie })).status, 401);
+		});
+	});
+
+	describe("users", () => {
+		useServer({ each: true });
+
+		it("is for admins only", async () => {
+			assert.equal(
+				(await call("GET", "/api/users", { cookie: viewer })).status,
+				403
+			);
+			assert.equal(
+				(await call("GET", "/api/users", { cookie: builder })).status,
+				403
+			);
+		});
+
+		it("lists accounts without their passwords", async () => {
+			const reply = await call("GET", "/api/users", { cookie: admin });
+			assert.equal(reply.status, 200);
+			assert.deepEqual(
+				reply.body.users.map((user: { username: string }) => user.username),
+				["admin", "bob", "val"]
+			);
+			assert.ok(
+				reply.body.users.every((user: object) => !("password" in user))
+			);
+		});
+
+		it("adds, changes and removes an account", async () => {
+			const added = await call("POST", "/api/users", {
+				cookie: admin,
+				body: { username: "eve", password: PASSWORD, role: "viewer" },
+			});
+			assert.equal(added.status, 201);
+			assert.deepEqual(added.body, { username: "eve", role: "viewer" });
+
+			const changed = await call("PUT", "/api/users/eve", {
+				cookie: admin,
+				body: { role: "builder", dungeons: ["tower"] },
+			});
+			assert.equal(changed.status, 200);
+			assert.deepEqual(changed.body.dungeons, ["tower"]);
+
+			const cookie = await login("eve");
+			assert.equal(
+				(await call("DELETE", "/api/users/eve", { cookie: admin })).status,
+				204
+			);
+			assert.equal((await call("GET", "/api/session", { cookie })).status, 401);
+		});
+
+		it("refuses a taken username", async () => {
+			const reply = await call("POST", "/api/users", {
+				cookie: admin,
+				body: { username: "bob", password: PASSWORD, role: "viewer" },
+			});
+			assert.equal(reply.status, 409);
+		});
+
+		it("refuses an unknown role", async () => {
+			const reply = await call("POST", "/api/users", {
+				cookie: admin,
+				body: { username: "mallory", password: PASSWORD, role: "owner" },
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("answers 404 for unknown accounts", async () => {
+			const reply = await call("PUT", "/api/users/nobody", {
+				cookie: admin,
+				body: { role: "viewer" },
+			});
+			assert.equal(reply.status, 404);
+		});
+
+		it("keeps the last admin", async () => {
+			const reply = await call("DELETE", "/api/users/admin", {
+				cookie: admin,
+			});
+			assert.equal(reply.status, 409);
+		});
+
+		it("logs a user out elsewhere when their password changes", async () => {
+			const added = await call("POST", "/api/users", {
+				cookie: admin,
+				body: { username: "carol", password: PASSWORD, role: "admin" },
+			});
+			assert.equal(added.status, 201);
+			const here = await login("carol");
+			const elsewhere = await login("carol");
+			const events = await openEvents(elsewhere, "carol-elsewhere");
+
+			// Changing their own password keeps the session it was changed in
+			const changed = await call("PUT", "/api/users/carol", {
+				cookie: here,
+				body: { password: PASSWORD },
+			});
+			assert.equal(changed.status, 200);
+			await events.closed;
+			assert.equal(
+				(await call("GET", "/api/session", { cookie: here })).status,
+				200
+			);
+			assert.equal(
+				(await call("GET", "/api/session", { cookie: elsewhere })).status,
+				401
+			);
+
+			// An admin changing it logs them out everywhere
+			await call("PUT", "/api/users/carol", {
+				cookie: admin,
+				body: { password: PASSWORD },
+			});
+			assert.equal(
+				(await call("GET", "/api/session", { cookie: here })).status,
+				401
+			);
+		});
+	});
+
+	describe("first start", () => {
+		it("writes the new admin password to a file only its owner can read", async () => {
+			const emptyDir = await mkdtemp(join(tmpdir(), "map-editor-"));
+			const fresh = createMapEditorServer({
+				dataDir: emptyDir,
+				staticDir: emptyDir,
+				port: 0,
+				host: "127.0.0.1",
+			});
+			try {
+				await fresh.start();
+				const path = join(emptyDir, "admin-password.txt");
+				assert.equal((await stat(path)).mode & 0o777, 0o600);
+				const password = (await readFile(path, "utf-8")).trim();
+				const users = new UserStore(join(emptyDir, "users.yaml"));
+				assert.ok(await users.authenticate("admin", password));
+			} finally {
+				await fresh.stop();
+				await rm(emptyDir, { recursive: true, force: true });
+			}
+		});
+	});
+
+	describe("dungeons", () => {
+		useServer({ each: true });
+
+		it("lists dungeons", async () => {
+			const reply = await call("GET", "/api/dungeons", { cookie: viewer });
+			assert.equal(reply.status, 200);
+			assert.deepEqual(reply.body.dungeons, ["caves", "tower"]);
+		});
+
+		it("returns a dungeon's YAML with its ETag", async () => {
+			const reply = await call("GET", "/api/dungeons/tower", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(reply.body.yaml, TOWER);
+			assert.match(reply.headers.get("etag")!, /^"[0-9a-f]{40}"$/);
+		});
+
+		it("answers 404 for a missing dungeon", async () => {
+			const reply = await call("GET", "/api/dungeons/nowhere", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 404);
+		});
+
+		it("answers 400 for an invalid dungeon id", async () => {
+			const reply = await call("GET", "/api/dungeons/Tower", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("creates a dungeon", async () => {
+			const reply = await call("POST", "/api/dungeons/keep", {
+				cookie: admin,
+				body: { yaml: EMPTY("keep") },
+			});
+			assert.equal(reply.status, 201);
+			assert.equal(
+				await readFile(join(dataDir, "dungeons", "keep.yaml"), "utf-8"),
+				EMPTY("keep")
+			);
+		});
+
+		it("refuses to create a dungeon that exists", async () => {
+			const reply = await call("POST", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml: EMPTY("tower") },
+			});
+			assert.equal(reply.status, 409);
+		});
+
+		it("needs YAML to create a dungeon", async () => {
+			const reply = await call("POST", "/api/dungeons/fort", {
+				cookie: admin,
+				body: {},
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("rejects a dungeon that fails validation", async () => {
+			const reply = await call("POST", "/api/dungeons/fort", {
+				cookie: admin,
+				body: { yaml: "dungeon:\n  id: fort\n" },
+			});
+			assert.equal(reply.status, 422);
+			assert.ok(reply.body.issues.length > 0);
+		});
+
+		it("rejects bodies that aren't JSON objects", async () => {
+			const headers = { "If-Match": "*" };
+			for (const body of ["{not json", "[1, 2]"]) {
+				const reply = await call("PUT", "/api/dungeons/keep", {
+					cookie: admin,
+					body,
+					headers,
+				});
+				assert.equal(reply.status, 400);
+			}
+		});
+
+		it("needs If-Match to save", async () => {
+			const reply = await call("PUT", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml: TOWER },
+			});
+			assert.equal(reply.status, 428);
+		});
+
+		it("refuses a save based on an old version", async () => {
+			const reply = await call("PUT", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml: TOWER },
+				headers: { "If-Match": '"stale"' },
+			});
+			assert.equal(reply.status, 409);
+			assert.equal(reply.body.yaml, TOWER);
+		});
+
+		it("saves a dungeon", async () => {
+			const yaml = TOWER.replace("A draughty hall.", "A warm hall.");
+			const reply = await call("PUT", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(reply.headers.get("etag"), await etagOf("tower"));
+		});
+
+		it("lets only one of two saves based on the same version through", async () => {
+			const etag = await etagOf("caves");
+			const replies = await Promise.all(
+				["Dark.", "Damp."].map((text) =>
+					call("PUT", "/api/dungeons/caves", {
+						cookie: admin,
+						body: { yaml: CAVES.replace("Daylight fades behind you.", text) },
+						headers: { "If-Match": etag },
+					})
+				)
+			);
+			assert.deepEqual(replies.map((reply) => reply.status).sort(), [200, 409]);
+		});
+
+		it("only lets builders edit their own dungeons", async () => {
+			const tower = await call("PUT", "/api/dungeons/tower", {
+				cookie: builder,
+				body: { yaml: TOWER },
+				headers: { "If-Match": "*" },
+			});
+			assert.equal(tower.status, 403);
+			const caves = await call("PUT", "/api/dungeons/caves", {
+				cookie: builder,
+				body: { yaml: CAVES },
+				headers: { "If-Match": "*" },
+			});
+			assert.equal(caves.status, 200);
+		});
+
+		it("doesn't let viewers edit", async () => {
+			const reply = await call("PUT", "/api/dungeons/caves", {
+				cookie: viewer,
+				body: { yaml: CAVES },
+				headers: { "If-Match": "*" },
+			});
+			assert.equal(reply.status, 403);
+		});
+
+		it("lists every template", async () => {
+			const reply = await call("GET", "/api/templates", { cookie: viewer });
+			assert.equal(reply.status, 200);
+			assert.ok(
+				reply.body.templates.some(
+					(template: { globalId: string }) =>
+						template.globalId === "@tower:lamp"
+				)
+			);
+		});
+	});
+
+	describe("revisions", () => {
+		let rev: string;
+
+		useServer({ each: true });
+
+		// One save, so the original tower is a revision
+		beforeEach(async () => {
+			const saved = await call("PUT", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml: TOWER.replace("A draughty hall.", "A warm hall.") },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(saved.status, 200);
+			const reply = await call("GET", "/api/dungeons/tower/revisions", {
+				cookie: viewer,
+			});
+			rev = reply.body.revisions[0].rev;
+		});
+
+		it("lists the versions a save replaced", async () => {
+			const reply = await call("GET", "/api/dungeons/tower/revisions", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(reply.body.revisions.length, 1);
+		});
+
+		it("answers 404 for the revisions of a missing dungeon", async () => {
+			const reply = await call("GET", "/api/dungeons/nowhere/revisions", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 404);
+		});
+
+		it("returns a revision", async () => {
+			const reply = await call("GET", `/api/dungeons/tower/revisions/${rev}`, {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(reply.body.yaml, TOWER);
+		});
+
+		it("answers 404 for a missing revision and 400 for a malformed one", async () => {
+			const missing = await call(
+				"GET",
+				"/api/dungeons/tower/revisions/20000101T000000000Z",
+				{ cookie: viewer }
+			);
+			assert.equal(missing.status, 404);
+			const malformed = await call(
+				"GET",
+				"/api/dungeons/tower/revisions/yesterday",
+				{ cookie: viewer }
+			);
+			assert.equal(malformed.status, 400);
+		});
+
+		it("diffs a revision against the current file", async () => {
+			const reply = await call(
+				"GET",
+				`/api/dungeons/tower/revisions/${rev}/diff`,
+				{ cookie: viewer }
+			);
+			assert.equal(reply.status, 200);
+			assert.ok(
+				reply.body.lines.some(
+					(line: { type: string; text: string }) =>
+						line.type === "added" && line.text.includes("A warm hall.")
+				)
+			);
+		});
+
+		it("restores a revision", async () => {
+			const reply = await call(
+				"POST",
+				`/api/dungeons/tower/revisions/${rev}/restore`,
+				{ cookie: admin, headers: { "If-Match": await etagOf("tower") } }
+			);
+			assert.equal(reply.status, 200);
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).body.yaml,
+				TOWER
+			);
+		});
+
+		it("needs If-Match to restore", async () => {
+			const reply = await call(
+				"POST",
+				`/api/dungeons/tower/revisions/${rev}/restore`,
+				{ cookie: admin }
+			);
+			assert.equal(reply.status, 428);
+		});
+
+		it("refuses a restore based on an old version", async () => {
+			const reply = await call(
+				"POST",
+				`/api/dungeons/tower/revisions/${rev}/restore`,
+				{ cookie: admin, headers: { "If-Match": '"stale"' } }
+			);
+			assert.equal(reply.status, 409);
+		});
+	});
+
+	describe("references", () => {
+		useServer();
+
+		it("finds references into a dungeon from elsewhere", async () => {
+			const reply = await call("GET", "/api/dungeons/tower/references", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 200);
+			const sources = reply.body.references.map(
+				(ref: { sourceDungeon?: string }) => ref.sourceDungeon ?? "locations"
+			);
+			assert.deepEqual(sources.sort(), ["caves", "locations"]);
+		});
+
+		it("finds references to a room", async () => {
+			const reply = await call(
+				"GET",
+				`/api/references?target=${encodeURIComponent("@tower{0,0,0}")}`,
+				{ cookie: viewer }
+			);
+			assert.equal(reply.status, 200);
+			assert.ok(reply.body.references.length >= 2);
+		});
+
+		it("needs a target", async () => {
+			const reply = await call("GET", "/api/references", { cookie: viewer });
+			assert.equal(reply.status, 400);
+		});
+	});
+
+	describe("rename", () => {
+		useServer({ each: true });
+
+		it("previews the files a rename changes", async () => {
+			const reply = await call("POST", "/api/dungeons/tower/rename", {
+				cookie: admin,
+				body: { newId: "spire", dryRun: true },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 200);
+			assert.ok(reply.body.files.length >= 3);
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).status,
+				200
+			);
+		});
+
+		it("refuses a taken, unchanged or malformed id", async () => {
+			const cases: [unknown, number][] = [
+				["caves", 409],
+				["tower", 400],
+				["Spire!", 400],
+			];
+			for (const [newId, status] of cases) {
+				const reply = await call("POST", "/api/dungeons/tower/rename", {
+					cookie: admin,
+					body: { newId },
+					headers: { "If-Match": await etagOf("tower") },
+				});
+				assert.equal(reply.status, status, `newId ${newId}`);
+			}
+		});
+
+		it("refuses a rename that rewrites dungeons the user can't edit", async () => {
+			// A dungeon bob may not edit that leads into his caves
+			const mine = await call("POST", "/api/dungeons/mine", {
+				cookie: admin,
+				body: {
+					yaml: CAVES.replace("id: caves", "id: mine").replace(
+						"@tower{0,0,0}",
+						"@caves{0,0,0}"
+					),
+				},
+			});
+			assert.equal(mine.status, 201);
+			const reply = await call("POST", "/api/dungeons/caves/rename", {
+				cookie: builder,
+				body: { newId: "grotto" },
+				headers: { "If-Match": await etagOf("caves") },
+			});
+			assert.equal(reply.status, 403);
+			assert.match(reply.body.error, /mine/);
+		});
+
+		it("lets a builder keep editing a dungeon they renamed", async () => {
+			const reply = await call("POST", "/api/dungeons/caves/rename", {
+				cookie: builder,
+				body: { newId: "grotto" },
+				headers: { "If-Match": await etagOf("caves") },
+			});
+			assert.equal(reply.status, 200);
+			const session = await call("GET", "/api/session", { cookie: builder });
+			assert.deepEqual(session.body.dungeons, ["grotto"]);
+			const saved = await call("PUT", "/api/dungeons/grotto", {
+				cookie: builder,
+				body: {
+					yaml: CAVES.replace("id: caves", "id: grotto").replace(
+						"Daylight fades behind you.",
+						"Dark."
+					),
+				},
+				headers: { "If-Match": reply.headers.get("etag")! },
+			});
+			assert.equal(saved.status, 200);
+		});
+
+		it("needs If-Match to rename", async () => {
+			const reply = await call("POST", "/api/dungeons/tower/rename", {
+				cookie: admin,
+				body: { newId: "spire" },
+			});
+			assert.equal(reply.status, 428);
+		});
+
+		it("refuses an id a deleted dungeon's history still uses", async () => {
+			await mkdir(join(dataDir, "dungeon-history", "ruins"), {
+				recursive: true,
+			});
+			const reply = await call("POST", "/api/dungeons/tower/rename", {
+				cookie: admin,
+				body: { newId: "ruins" },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 409);
+			await rm(join(dataDir, "dungeon-history", "ruins"), { recursive: true });
+		});
+
+		it("renames a dungeon and the references to it", async () => {
+			const before = await call("GET", "/api/dungeons/caves", {
+				cookie: admin,
+			});
+			const reply = await call("POST", "/api/dungeons/tower/rename", {
+				cookie: admin,
+				body: { newId: "spire" },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).status,
+				404
+			);
+			// Only the references change; the rest of each file is left as written
+			const caves = await call("GET", "/api/dungeons/caves", { cookie: admin });
+			assert.equal(
+				caves.body.yaml,
+				before.body.yaml.replace("@tower{0,0,0}", "@spire{0,0,0}")
+			);
+			assert.equal(
+				await readFile(join(dataDir, "locations.yaml"), "utf-8"),
+				'start: "@spire{1,0,0}"\n'
+			);
+		});
+
+		it("reports a locations.yaml that isn't valid YAML", async () => {
+			await writeFile(join(dataDir, "locations.yaml"), "start: [\n");
+			for (const dryRun of [true, false]) {
+				const reply = await call("POST", "/api/dungeons/tower/rename", {
+					cookie: admin,
+					body: { newId: "spire", dryRun },
+					headers: { "If-Match": await etagOf("tower") },
+				});
+				assert.equal(reply.status, 422, `dryRun ${dryRun}`);
+				assert.equal(reply.body.file, "locations.yaml");
+				assert.match(reply.body.error, /^locations\.yaml: YAML syntax error/);
+			}
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).status,
+				200
+			);
+		});
+
+		it("answers 404 when renaming a missing dungeon", async () => {
+			const reply = await call("POST", "/api/dungeons/nowhere/rename", {
+				cookie: admin,
+				body: { newId: "somewhere" },
+				headers: { "If-Match": "*" },
+			});
+			assert.equal(reply.status, 404);
+		});
+	});
+
+	describe("delete", () => {
+		useServer({ each: true });
+
+		it("needs If-Match to delete", async () => {
+			const reply = await call("DELETE", "/api/dungeons/tower?force=true", {
+				cookie: admin,
+			});
+			assert.equal(reply.status, 428);
+		});
+
+		it("refuses to delete a referenced dungeon without force", async () => {
+			const reply = await call("DELETE", "/api/dungeons/tower", {
+				cookie: admin,
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 409);
+			assert.ok(reply.body.references.length > 0);
+		});
+
+		it("moves a dungeon to the trash", async () => {
+			const reply = await call("DELETE", "/api/dungeons/tower?force=true", {
+				cookie: admin,
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 200);
+			assert.ok(reply.body.trash.rev);
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).status,
+				404
+			);
+		});
+
+		it("answers 404 when deleting a missing dungeon", async () => {
+			const reply = await call("DELETE", "/api/dungeons/nowhere", {
+				cookie: admin,
+				headers: { "If-Match": "*" },
+			});
+			assert.equal(reply.status, 404);
+		});
+	});
+
+	describe("trash", () => {
+		let rev: string;
+
+		useServer({ each: true });
+
+		beforeEach(async () => {
+			const reply = await call("DELETE", "/api/dungeons/tower?force=true", {
+				cookie: admin,
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(reply.status, 200);
+			rev = reply.body.trash.rev;
+		});
+
+		it("lists the trash", async () => {
+			const reply = await call("GET", "/api/trash", { cookie: viewer });
+			assert.equal(reply.status, 200);
+			assert.deepEqual(
+				reply.body.trash.map((entry: { dungeonId: string }) => entry.dungeonId),
+				["tower"]
+			);
+		});
+
+		it("restores a dungeon from the trash, once", async () => {
+			const reply = await call("POST", `/api/trash/tower/${rev}/restore`, {
+				cookie: admin,
+			});
+			assert.equal(reply.status, 200);
+			assert.equal(
+				(await call("GET", "/api/dungeons/tower", { cookie: admin })).status,
+				200
+			);
+			const again = await call("POST", `/api/trash/tower/${rev}/restore`, {
+				cookie: admin,
+			});
+			assert.equal(again.status, 404);
+		});
+
+		it("answers 404 for a dungeon that isn't in the trash", async () => {
+			const reply = await call("POST", `/api/trash/nowhere/${rev}/restore`, {
+				cookie: admin,
+			});
+			assert.equal(reply.status, 404);
+		});
+	});
+
+	describe("audit log", () => {
+		useServer();
+
+		// A save, then a rename, a delete and a restore under the new id
+		before(async () => {
+			const saved = await call("PUT", "/api/dungeons/tower", {
+				cookie: admin,
+				body: { yaml: TOWER.replace("A draughty hall.", "A warm hall.") },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(saved.status, 200);
+			const renamed = await call("POST", "/api/dungeons/tower/rename", {
+				cookie: admin,
+				body: { newId: "spire" },
+				headers: { "If-Match": await etagOf("tower") },
+			});
+			assert.equal(renamed.status, 200);
+			const deleted = await call("DELETE", "/api/dungeons/spire?force=true", {
+				cookie: admin,
+				headers: { "If-Match": await etagOf("spire") },
+			});
+			assert.equal(deleted.status, 200);
+			const restored = await call(
+				"POST",
+				`/api/trash/spire/${deleted.body.trash.rev}/restore`,
+				{ cookie: admin }
+			);
+			assert.equal(restored.status, 200);
+		});
+
+		it("records who changed what, newest first", async () => {
+			// The save happened while the dungeon was still "tower"
+			const reply = await call("GET", "/api/audit?dungeon=spire", {
+				cookie: viewer,
+			});
+			assert.equal(reply.status, 200);
+			assert.deepEqual(
+				reply.body.entries.map((entry: { action: string }) => entry.action),
+				["undelete", "delete", "rename"]
+			);
+			assert.ok(
+				reply.body.entries.every(
+					(entry: { user: string }) => entry.user === "admin"
+				)
+			);
+		});
+
+		it("limits the number of entries", async () => {
+			const reply = await call("GET", "/api/audit?limit=2", { cookie: viewer });
+			assert.equal(reply.status, 200);
+			assert.equal(reply.body.entries.length, 2);
+		});
+
+		it("rejects a limit that isn't a positive integer", async () => {
+			for (const limit of ["0", "ten"]) {
+				const reply = await call("GET", `/api/audit?limit=${limit}`, {
+					cookie: viewer,
+				});
+				assert.equal(reply.status, 400);
+			}
+		});
+	});
+
+	describe("game data", () => {
+		useServer();
+
+		it("lists races and jobs", async () => {
+			const races = await call("GET", "/api/races", { cookie: viewer });
+			assert.equal(races.status, 200);
+			assert.ok(
+				races.body.races.some((race: { id: string }) => race.id === "human")
+			);
+			const jobs = await call("GET", "/api/jobs", { cookie: viewer });
+			assert.equal(jobs.status, 200);
+			assert.ok(
+				jobs.body.jobs.some((job: { id: string }) => job.id === "warrior")
+			);
+		});
+
+		it("lists hit types", async () => {
+			const reply = await call("GET", "/api/hit-types", { cookie: viewer });
+			assert.equal(reply.status, 200);
+			assert.ok(Object.keys(reply.body.hitTypes).length > 0);
+		});
+
+		it("calculates a mob's attributes", async () => {
+			const attributes = async (level: number) => {
+				const reply = await call("POST", "/api/calculate-attributes", {
+					cookie: viewer,
+					body: { raceId: "human", jobId: "warrior", level },
+				});
+				assert.equal(reply.status, 200);
+				return reply.body;
+			};
+			const novice = await attributes(1);
+			const veteran = await attributes(10);
+			assert.equal(typeof novice.primary.strength, "number");
+			assert.equal(typeof novice.resourceCaps.maxHealth, "number");
+			assert.ok(veteran.primary.strength > novice.primary.strength);
+			assert.ok(veteran.resourceCaps.maxHealth > novice.resourceCaps.maxHealth);
+		});
+
+		it("rejects an unknown race or job", async () => {
+			const reply = await call("POST", "/api/calculate-attributes", {
+				cookie: viewer,
+				body: { raceId: "human", jobId: "juggler", level: 1 },
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("needs a race, job and level", async () => {
+			const reply = await call("POST", "/api/calculate-attributes", {
+				cookie: viewer,
+				body: { raceId: "human", jobId: "warrior" },
+			});
+			assert.equal(reply.status, 400);
+		});
+	});
+
+	describe("live editing", () => {
+		useServer();
+
+		it("needs an open event stream", async () => {
+			const reply = await call("POST", "/api/dungeons/caves/collab/join", {
+				cookie: builder,
+				body: { client: "not-open" },
+			});
+			assert.equal(reply.status, 400);
+		});
+
+		it("relays edits to every member", async () => {
+			const bob = await openEvents(builder, "bob-tab");
+			const val = await openEvents(viewer, "val-tab");
+			try {
+				const joined = await call("POST", "/api/dungeons/caves/collab/join", {
+					cookie: builder,
+					body: { client: "bob-tab" },
+				});
+				assert.equal(joined.status, 200);
+				assert.equal(joined.body.state.dungeon.id, "caves");
+
+				const watching = await call("POST", "/api/dungeons/caves/collab/join", {
+					cookie: viewer,
+					body: { client: "val-tab" },
+				});
+				assert.equal(watching.status, 200);
+				assert.deepEqual(
+					watching.body.peers.map((peer: { name: string }) => peer.name),
+					["bob"]
+				);
+
+				const presence = await call(
+					"POST",
+					"/api/dungeons/caves/collab/presence",
+					{
+						cookie: viewer,
+						body: { client: "val-tab", layer: 0, cursor: { x: 0, y: 0, z: 0 } },
+					}
+				);
+				assert.equal(presence.status, 204);
+				await bob.waitFor("collab-presence");
+
+				const ops = await call("POST", "/api/dungeons/caves/collab/ops", {
+					cookie: builder,
+					body: {
+						client: "bob-tab",
+						ops: [{ key: "resetMessage", value: "The caves rumble." }],
+					},
+				});
+				assert.equal(ops.status, 200);
+				assert.ok(ops.body.seq > 0);
+				await val.waitFor("collab-ops");
+
+				const viewerOps = await call("POST", "/api/dungeons/caves/collab/ops", {
+					cookie: viewer,
+					body: { client: "val-tab", ops: [] },
+				});
+				assert.equal(viewerOps.status, 403);
+
+				const badOps = await call("POST", "/api/dungeons/caves/collab/ops", {
+					cookie: builder,
+					body: { client: "bob-tab", ops: [{ key: "grid" }] },
+				});
+				assert.equal(badOps.status, 400);
+
+				const left = await call("POST", "/api/dungeons/caves/collab/leave", {
+					cookie: builder,
+					body: { client: "bob-tab" },
+				});
+				assert.equal(left.status, 204);
+
+				const afterLeaving = await call(
+					"POST",
+					"/api/dungeons/caves/collab/ops",
+					{ cookie: builder, body: { client: "bob-tab", ops: [] } }
+				);
+				assert.equal(afterLeaving.status, 409);
+			} finally {
+				bob.close();
+				val.close();
+			}
+		});
+
+		it("answers 404 when joining a missing dungeon", async () => {
+			const stream = await openEvents(admin, "admin-tab");
+			try {
+				const reply = await call("POST", "/api/dungeons/nowhere/collab/join", {
+					cookie: admin,
+					body: { client: "admin-tab" },
+				});
+				assert.equal(reply.status, 404);
+			} finally {
+				stream.close();
+			}
+		});
+
+		it("answers 422 when the dungeon file can't be edited live", async () => {
+			const stream = await openEvents(admin, "admin-tab");
+			const files = {
+				broken: "dungeon: [\n",
+				bare: "templates: []\n",
+			};
+			try {
+				for (const [id, yaml] of Object.entries(files)) {
+					await writeFile(join(dataDir, "dungeons", `${id}.yaml`), yaml);
+					const reply = await call("POST", `/api/dungeons/${id}/collab/join`, {
+						cookie: admin,
+						body: { client: "admin-tab" },
+					});
+					assert.equal(reply.status, 422, id);
+					assert.match(reply.body.error, /^Can't edit this dungeon live: /);
+				}
+			} finally {
+				stream.close();
+				for (const id of Object.keys(files)) {
+					await rm(join(dataDir, "dungeons", `${id}.yaml`), { force: true });
+				}
+			}
+		});
+
+		it("rejects operations it can't apply without changing anything", async () => {
+			const bob = await openEvents(builder, "bob-tab");
+			try {
+				const joined = await call("POST", "/api/dungeons/caves/collab/join", {
+					cookie: builder,
+					body: { client: "bob-tab" },
+				});
+				assert.equal(joined.status, 200);
+
+				for (const op of [
+					{ key: "walls", value: [] },
+					{ key: "grid:0", value: [] },
+					{ key: "cell:0,0", value: 1 },
+					{ key: "cell:0,0,0", value: "room" },
+					{ key: "template:", value: null },
+					{ key: "reset:a|b", value: "gone" },
+					{ key: "resetMessage", value: 5 },
+				]) {
+					const reply = await call("POST", "/api/dungeons/caves/collab/ops", {
+						cookie: builder,
+						body: {
+							client: "bob-tab",
+							ops: [{ key: "resetMessage", value: "Changed" }, op],
+						},
+					});
+					assert.equal(reply.status, 400, op.key);
+				}
+
+				const rejoined = await call("POST", "/api/dungeons/caves/collab/join", {
+					cookie: builder,
+					body: { client: "bob-tab" },
+				});
+				assert.deepEqual(rejoined.body.state, joined.body.state);
+			} finally {
+				bob.close();
+			}
+		});
+
+		it("won't hand another user's stream id out", async () => {
+			const stream = await openEvents(admin, "shared-tab");
+			try {
+				const reply = await call("GET", "/api/events?client=shared-tab", {
+					cookie: viewer,
+				});
+				assert.equal(reply.status, 409);
+			} finally {
+				stream.close();
+			}
+		});
+	});
+
+	it("leaves the repo's data directory alone", async () => {
+		assert.deepEqual(await snapshot(REPO_DATA_DIR), repoData);
+	});
+});
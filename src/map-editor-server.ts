@@ -10,14 +10,15 @@
  */
 
 import { createServer, IncomingMessage, ServerResponse } from "http";
-import { readFile, writeFile, readdir, access } from "fs/promises";
-import { join } from "path";
+import { AddressInfo } from "net";
+import { readFile, writeFile, readdir, access, rm } from "fs/promises";
+import { join, resolve, sep } from "path";
 import { constants as FS_CONSTANTS } from "fs";
+import { createHash, randomUUID } from "crypto";
 import YAML from "js-yaml";
 import {
 	loadDungeon,
 	saveDungeon,
-	getAllDungeonIds,
 	SerializedDungeonFormat,
 } from "./mud3/src/package/dungeon.js";
 import {
@@ -33,20 +34,152 @@ import {
 	MAGICAL_DAMAGE_TYPE,
 } from "./mud3/src/damage-types.js";
 import logger from "./mud3/src/logger.js";
+import {
+	DUNGEON_ID_PATTERN,
+	DungeonIssue,
+	isDungeonId,
+} from "./dungeon-checks.js";
+import {
+	validateDungeonYaml,
+	hasErrors,
+	SCRATCH_PREFIX,
+	yamlSyntaxIssue,
+} from "./dungeon-validation.js";
+import {
+	REVISION_PATTERN,
+	saveRevision,
+	listRevisions,
+	readRevision,
+} from "./dungeon-history.js";
+import { diffLines } from "./text-diff.js";
+import { moveToTrash, listTrash, restoreFromTrash } from "./dungeon-trash.js";
+import {
+	planDungeonRename,
+	applyDungeonRename,
+	RenameFileError,
+	RenamePlan,
+} from "./dungeon-rename.js";
+import { TemplateCatalog } from "./template-catalog.js";
+import { ReferenceIndex } from "./reference-index.js";
+import { DungeonReference } from "./dungeon-references.js";
+import { DungeonFileChange, DungeonWatcher } from "./dungeon-watcher.js";
+import { CollabError, CollabSession, collabState } from "./collab-session.js";
+import { StaticFiles, vendorPath } from "./static-files.js";
+import {
+	AuditAction,
+	AuditEntry,
+	AuditLog,
+	summarizeChange,
+} from "./audit-log.js";
+import {
+	ROLES,
+	PublicUser,
+	SESSION_MAX_AGE_MS,
+	SessionStore,
+	UserAccountError,
+	UserChanges,
+	UserStore,
+	canEditDungeon,
+	hasRole,
+	publicUser,
+} from "./user-accounts.js";
+import {
+	RequestError,
+	Route,
+	Router,
+	Schema,
+	decodeSegment,
+} from "./api-router.js";
+
+const DEFAULT_PORT = 3000;
 
-const PORT = 3000;
-const DUNGEON_DIR = join(process.cwd(), "data", "dungeons");
-const MAP_EDITOR_DIR = join(process.cwd(), "map-editor");
+/** Comment line sent to event stream clients so idle proxies keep them open */
+const EVENT_HEARTBEAT_MS = 30000;
 
-// Verify map editor directory exists at startup (async check)
-access(MAP_EDITOR_DIR, FS_CONSTANTS.F_OK)
-	.then(() => {
-		logger.debug(`Map editor directory found: ${MAP_EDITOR_DIR}`);
-	})
-	.catch((error) => {
-		logger.error(`Map editor directory not found: ${MAP_EDITOR_DIR}`);
-		logger.error(`Current working directory: ${process.cwd()}`);
-	});
+const SESSION_COOKIE = "map_editor_session";
+
+const DUNGEON_ID: Schema = {
+	type: "string",
+	pattern: DUNGEON_ID_PATTERN.source,
+	description: "Lowercase letters, numbers, hyphens and underscores",
+};
+
+const REVISION_ID: Schema = {
+	type: "string",
+	pattern: REVISION_PATTERN.source,
+	description:
+		"The UTC time the version was replaced, e.g. 20240501T134502123Z",
+};
+
+/** Body of a dungeon create or save */
+const DUNGEON_BODY: Schema = {
+	type: "object",
+	required: ["yaml"],
+	properties: { yaml: { type: "string", minLength: 1 } },
+};
+
+const USER_DUNGEONS: Schema = {
+	type: ["array", "null"],
+	items: { type: "string" },
+	description: "Dungeons a builder may edit; null for every dungeon",
+};
+
+/** An open /api/events stream and who opened it */
+interface EventClient {
+	res: ServerResponse;
+	username: string;
+	/** The session the stream was opened with */
+	token: string;
+}
+
+/**
+ * Entity tag for a dungeon file's contents. Saves must send the tag they
+ * loaded in `If-Match`, so two editors can't silently overwrite each other.
+ */
+function dungeonEtag(content: string): string {
+	return `"${createHash("sha1").update(content).digest("hex")}"`;
+}
+
+/** Whether an If-Match header value matches the given entity tag */
+function etagMatches(ifMatch: string, etag: string): boolean {
+	return ifMatch
+		.split(",")
+		.map((tag) => tag.trim())
+		.some((tag) => tag === "*" || tag === etag);
+}
+
+/** Resolve a path under a root directory, refusing anything outside it */
+function resolveInside(root: string, ...segments: string[]): string {
+	const path = resolve(root, ...segments);
+	if (path !== root && !path.startsWith(root + sep)) {
+		throw new RequestError("Invalid path", 400);
+	}
+	return path;
+}
+
+/** The session token from a request's cookie, if any */
+function sessionToken(req: IncomingMessage): string | undefined {
+	for (const cookie of (req.headers.cookie ?? "").split(";")) {
+		const [name, ...value] = cookie.trim().split("=");
+		if (name === SESSION_COOKIE) return value.join("=");
+	}
+	return undefined;
+}
+
+export interface MapEditorServerOptions {
+	/** Port to listen on; 0 picks a free one. Defaults to 3000 */
+	port?: number;
+	/** Address to bind to, e.g. 127.0.0.1; defaults to every interface */
+	host?: string;
+	/**
+	 * Directory holding dungeons/, locations.yaml, the revision history,
+	 * the trash, accounts and the audit log. Defaults to data/ in the
+	 * working directory
+	 */
+	dataDir?: string;
+	/** Directory holding index.html and static/; defaults to map-editor/ */
+	staticDir?: string;
+}
 
 interface MapEditorServer {
 	server: ReturnType<typeof createServer>;
@@ -56,137 +189,899 @@ interface MapEditorServer {
 
 class MapEditorServerImpl implements MapEditorServer {
 	public server = createServer(this.handleRequest.bind(this));
+	private port: number;
+	private host?: string;
+	/** The game data the editor works on; validation loads mud3 from it */
+	private dataDir: string;
+	private dungeonDir: string;
+	private historyDir: string;
+	private trashDir: string;
+	private locationsPath: string;
+	private usersPath: string;
+	/** Where the generated admin password goes; see start() */
+	private adminPasswordPath: string;
+	private staticDir: string;
+	private templateCatalog: TemplateCatalog;
+	private referenceIndex: ReferenceIndex;
+	private watcher: DungeonWatcher;
+	private users: UserStore;
+	private sessions = new SessionStore();
+	private auditLog: AuditLog;
+	/** Open /api/events streams by client id */
+	private eventClients = new Map<string, EventClient>();
+	/** Live editing sessions by dungeon id */
+	private collabSessions = new Map<string, CollabSession>();
+	/** The last write queued for each dungeon; see withDungeonLock */
+	private dungeonLocks = new Map<string, Promise<void>>();
+	private heartbeat?: NodeJS.Timeout;
+
+	private router = new Router(this.routes());
+	private staticFiles = new StaticFiles();
+
+	constructor(options: MapEditorServerOptions) {
+		const dataDir = resolve(options.dataDir ?? join(process.cwd(), "data"));
+		this.dataDir = dataDir;
+		this.port = options.port ?? DEFAULT_PORT;
+		this.host = options.host;
+		this.dungeonDir = join(dataDir, "dungeons");
+		this.historyDir = join(dataDir, "dungeon-history");
+		this.trashDir = join(dataDir, "dungeon-trash");
+		this.locationsPath = join(dataDir, "locations.yaml");
+		this.usersPath = join(dataDir, "users.yaml");
+		this.adminPasswordPath = join(dataDir, "admin-password.txt");
+		this.staticDir = resolve(
+			options.staticDir ?? join(process.cwd(), "map-editor")
+		);
+		this.templateCatalog = new TemplateCatalog(this.dungeonDir);
+		this.referenceIndex = new ReferenceIndex(
+			this.dungeonDir,
+			this.locationsPath
+		);
+		this.watcher = new DungeonWatcher(this.dungeonDir, (change) =>
+			this.onDungeonFileChange(change)
+		);
+		this.users = new UserStore(this.usersPath);
+		this.auditLog = new AuditLog(join(dataDir, "audit.jsonl"));
+	}
+
+	/** The YAML file of a dungeon, for a valid dungeon id */
+	private dungeonPath(id: string): string {
+		if (!isDungeonId(id)) throw new RequestError("Invalid dungeon id", 400);
+		return resolveInside(this.dungeonDir, `${id}.yaml`);
+	}
+
+	/**
+	 * Every API endpoint. Handlers only run for requests that fit the
+	 * route's schemas and access level; see api-router.ts.
+	 */
+	private routes(): Route[] {
+		const dungeonParams = { id: DUNGEON_ID };
+		const revisionParams = { id: DUNGEON_ID, rev: REVISION_ID };
+		const ifMatch: Schema = {
+			type: "object",
+			properties: {
+				"If-Match": {
+					type: "string",
+					description:
+						"The ETag the client loaded; required, and a different one gets 409",
+				},
+			},
+		};
+		const conflict = "The dungeon was changed since it was loaded";
+		const collabBody = (properties: Record<string, Schema> = {}): Schema => ({
+			type: "object",
+			required: ["client", ...Object.keys(properties)],
+			properties: {
+				client: {
+					type: "string",
+					description: "The id the client opened /api/events with",
+				},
+				...properties,
+			},
+		});
+
+		return [
+			{
+				method: "GET",
+				path: "/api/openapi.json",
+				tag: "meta",
+				summary: "This API as an OpenAPI document",
+				access: "public",
+				responses: { 200: "OpenAPI 3.1 document" },
+				handler: ({ res }) => this.getOpenApi(res),
+			},
+			{
+				method: "POST",
+				path: "/api/login",
+				tag: "session",
+				summary: "Log in",
+				description: "Sets the session cookie.",
+				access: "public",
+				body: {
+					type: "object",
+					required: ["username", "password"],
+					properties: {
+						username: { type: "string" },
+						password: { type: "string" },
+					},
+				},
+				responses: {
+					200: "The user",
+					401: "Wrong username or password",
+				},
+				handler: ({ res, body }) =>
+					this.login(res, body.username, body.password),
+			},
+			{
+				method: "GET",
+				path: "/api/session",
+				tag: "session",
+				summary: "The logged-in user",
+				access: "viewer",
+				responses: { 200: "The user" },
+				handler: ({ res, user }) => {
+					res.writeHead(200, { "Content-Type": "application/json" });
+					res.end(JSON.stringify(user));
+				},
+			},
+			{
+				method: "POST",
+				path: "/api/logout",
+				tag: "session",
+				summary: "Log out",
+				access: "viewer",
+				responses: { 204: "Logged out" },
+				handler: ({ res, token }) => {
+					this.sessions.delete(token);
+					res.writeHead(204, {
+						"Set-Cookie": `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`,
+					});
+					res.end();
+				},
+			},
+			{
+				method: "GET",
+				path: "/api/users",
+				tag: "users",
+				summary: "List accounts",
+				access: "admin",
+				responses: { 200: "`{users}`" },
+				handler: ({ res }) => this.listUsers(res),
+			},
+			{
+				method: "POST",
+				path: "/api/users",
+				tag: "users",
+				summary: "Add an account",
+				access: "admin",
+				body: {
+					type: "object",
+					required: ["username", "password", "role"],
+					properties: {
+						username: { type: "string" },
+						password: { type: "string" },
+						role: { type: "string", enum: [...ROLES] },
+						dungeons: USER_DUNGEONS,
+					},
+				},
+				responses: { 201: "The new user", 409: "The username is taken" },
+				handler: ({ res, body, user }) => this.addUser(res, body, user),
+			},
+			{
+				method: "PUT",
+				path: "/api/users/{username}",
+				tag: "users",
+				summary: "Change an account's role, dungeons or password",
+				description:
+					"A new password ends the user's sessions and event streams, except the caller's own.",
+				access: "admin",
+				params: { username: { type: "string" } },
+				body: {
+					type: "object",
+					properties: {
+						role: { type: "string", enum: [...ROLES] },
+						dungeons: USER_DUNGEONS,
+						password: { type: "string" },
+					},
+				},
+				responses: {
+					200: "The changed user",
+					404: "No such user",
+					409: "It would leave no admin",
+				},
+				handler: ({ res, params, body, user, token }) =>
+					this.updateUser(res, params.username, body, user, token),
+			},
+			{
+				method: "DELETE",
+				path: "/api/users/{username}",
+				tag: "users",
+				summary: "Remove an account",
+				description: "Also ends the user's sessions and event streams.",
+				access: "admin",
+				params: { username: { type: "string" } },
+				responses: {
+					204: "Removed",
+					404: "No such user",
+					409: "It would leave no admin",
+				},
+				handler: ({ res, params, user }) =>
+					this.removeUser(res, params.username, user),
+			},
+			{
+				method: "GET",
+				path: "/api/events",
+				tag: "events",
+				summary: "Server-Sent Events stream of dungeon changes",
+				access: "viewer",
+				query: {
+					type: "object",
+					properties: {
+						client: {
+							type: "string",
+							description:
+								"An id of the client's choosing; live editing reaches it through this",
+						},
+					},
+				},
+				responses: {
+					200: "`text/event-stream`",
+					409: "Another user has a stream with this client id",
+				},
+				handler: ({ req, res, query, user, token }) =>
+					this.openEventStream(
+						req,
+						res,
+						query.client || randomUUID(),
+						user,
+						token
+					),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/collab/join",
+				tag: "collab",
+				summary: "Join the live editing session of a dungeon",
+				access: "viewer",
+				params: dungeonParams,
+				body: collabBody(),
+				responses: {
+					200: "`{seq, state, peers}`",
+					404: "Dungeon not found",
+					422: "The dungeon file can't be edited live",
+				},
+				handler: ({ res, params, body, user }) =>
+					this.handleCollab(res, params.id, "join", body, user),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/collab/leave",
+				tag: "collab",
+				summary: "Leave a live editing session",
+				access: "viewer",
+				params: dungeonParams,
+				body: collabBody(),
+				responses: { 204: "Left" },
+				handler: ({ res, params, body, user }) =>
+					this.handleCollab(res, params.id, "leave", body, user),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/collab/ops",
+				tag: "collab",
+				summary: "Apply edits to a live editing session",
+				access: "editor",
+				params: dungeonParams,
+				body: collabBody({
+					ops: {
+						type: "array",
+						items: {
+							type: "object",
+							required: ["key", "value"],
+							properties: { key: { type: "string" } },
+						},
+					},
+				}),
+				responses: {
+					200: "`{seq}`",
+					400: "An operation has an unknown key or a value it can't take",
+					409: "Not in a session for this dungeon",
+				},
+				handler: ({ res, params, body, user }) =>
+					this.handleCollab(res, params.id, "ops", body, user),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/collab/presence",
+				tag: "collab",
+				summary: "Share the layer, cursor and selection of a member",
+				access: "viewer",
+				params: dungeonParams,
+				body: collabBody(),
+				responses: {
+					204: "Shared",
+					409: "Not in a session for this dungeon",
+				},
+				handler: ({ res, params, body, user }) =>
+					this.handleCollab(res, params.id, "presence", body, user),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons",
+				tag: "dungeons",
+				summary: "List dungeon ids",
+				access: "viewer",
+				responses: { 200: "`{dungeons}`" },
+				handler: ({ res }) => this.listDungeons(res),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons/{id}/revisions",
+				tag: "history",
+				summary: "List a dungeon's earlier versions",
+				access: "viewer",
+				params: dungeonParams,
+				responses: { 200: "`{revisions}`", 404: "Dungeon not found" },
+				handler: ({ res, params }) => this.listDungeonRevisions(res, params.id),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons/{id}/revisions/{rev}",
+				tag: "history",
+				summary: "An earlier version of a dungeon",
+				access: "viewer",
+				params: revisionParams,
+				responses: { 200: "`{id, rev, yaml}`", 404: "Revision not found" },
+				handler: ({ res, params }) =>
+					this.getDungeonRevision(res, params.id, params.rev),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons/{id}/revisions/{rev}/diff",
+				tag: "history",
+				summary: "Line diff from an earlier version to the current file",
+				access: "viewer",
+				params: revisionParams,
+				responses: { 200: "`{id, rev, lines}`", 404: "Revision not found" },
+				handler: ({ res, params }) =>
+					this.diffDungeonRevision(res, params.id, params.rev),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/revisions/{rev}/restore",
+				tag: "history",
+				summary: "Put an earlier version back",
+				access: "editor",
+				params: revisionParams,
+				headers: ifMatch,
+				responses: {
+					200: "Restored; the new ETag is in the header",
+					404: "Dungeon or revision not found",
+					409: conflict,
+					422: "The revision no longer passes validation",
+					428: "If-Match is missing",
+				},
+				handler: ({ req, res, params, user }) =>
+					this.withDungeonLock([params.id], () =>
+						this.restoreDungeonRevision(req, res, params.id, params.rev, user)
+					),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons/{id}/references",
+				tag: "references",
+				summary: "References into a dungeon from elsewhere",
+				access: "viewer",
+				params: dungeonParams,
+				responses: { 200: "`{references}`" },
+				handler: ({ res, params }) => this.getDungeonReferences(res, params.id),
+			},
+			{
+				method: "GET",
+				path: "/api/dungeons/{id}",
+				tag: "dungeons",
+				summary: "A dungeon's YAML",
+				access: "viewer",
+				params: dungeonParams,
+				responses: {
+					200: "`{id, yaml}`, with the ETag in the header",
+					404: "Dungeon not found",
+				},
+				handler: ({ res, params }) => this.getDungeon(res, params.id),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}/rename",
+				tag: "dungeons",
+				summary: "Rename a dungeon and every reference to it",
+				description:
+					"Builders limited to the dungeon keep it under the new id.",
+				access: "editor",
+				params: dungeonParams,
+				headers: ifMatch,
+				body: {
+					type: "object",
+					required: ["newId"],
+					properties: {
+						newId: DUNGEON_ID,
+						dryRun: {
+							type: "boolean",
+							description: "Only list the files that would change",
+						},
+					},
+				},
+				responses: {
+					200: "`{oldId, newId, files}`",
+					403: "Renaming would change dungeons the user may not edit",
+					404: "Dungeon not found",
+					409: `${conflict}, or the new id is taken or has a history`,
+					422: "A file the rename has to change isn't valid YAML",
+					428: "If-Match is missing",
+				},
+				// A rename can rewrite any dungeon that refers to this one
+				handler: async ({ req, res, params, body, user }) =>
+					this.withDungeonLock([...(await this.dungeonIds()), body.newId], () =>
+						this.renameDungeon(
+							req,
+							res,
+							params.id,
+							body.newId,
+							body.dryRun === true,
+							user
+						)
+					),
+			},
+			{
+				method: "POST",
+				path: "/api/dungeons/{id}",
+				tag: "dungeons",
+				summary: "Create a dungeon",
+				access: "editor",
+				params: dungeonParams,
+				body: DUNGEON_BODY,
+				responses: {
+					201: "Created; the ETag is in the header",
+					409: "Dungeon already exists",
+					422: "The dungeon failed validation",
+				},
+				handler: ({ res, params, body, user }) =>
+					this.withDungeonLock([params.id], () =>
+						this.createDungeon(res, params.id, body.yaml, user)
+					),
+			},
+			{
+				method: "PUT",
+				path: "/api/dungeons/{id}",
+				tag: "dungeons",
+				summary: "Save a dungeon",
+				description: "The previous version is kept as a revision.",
+				access: "editor",
+				params: dungeonParams,
+				headers: ifMatch,
+				body: DUNGEON_BODY,
+				responses: {
+					200: "Saved; the new ETag is in the header",
+					404: "Dungeon not found",
+					409: conflict,
+					422: "The dungeon failed validation",
+					428: "If-Match is missing",
+				},
+				handler: ({ req, res, params, body, user }) =>
+					this.withDungeonLock([params.id], () =>
+						this.updateDungeon(req, res, params.id, body.yaml, user)
+					),
+			},
+			{
+				method: "DELETE",
+				path: "/api/dungeons/{id}",
+				tag: "dungeons",
+				summary: "Move a dungeon to the trash",
+				access: "editor",
+				params: dungeonParams,
+				query: {
+					type: "object",
+					properties: {
+						force: {
+							type: "boolean",
+							description: "Delete even if other files refer to it",
+						},
+					},
+				},
+				headers: ifMatch,
+				responses: {
+					200: "`{trash, references}`",
+					404: "Dungeon not found",
+					409: `${conflict}, or it is referenced and force isn't set`,
+					428: "If-Match is missing",
+				},
+				handler: ({ req, res, params, query, user }) =>
+					this.withDungeonLock([params.id], () =>
+						this.deleteDungeon(req, res, params.id, query.force === true, user)
+					),
+			},
+			{
+				method: "GET",
+				path: "/api/trash",
+				tag: "trash",
+				summary: "List deleted dungeons",
+				access: "viewer",
+				responses: { 200: "`{trash}`" },
+				handler: ({ res }) => this.listTrashedDungeons(res),
+			},
+			{
+				method: "POST",
+				path: "/api/trash/{id}/{rev}/restore",
+				tag: "trash",
+				summary: "Bring a deleted dungeon back",
+				access: "editor",
+				params: revisionParams,
+				responses: {
+					200: "`{id}`, with the ETag in the header",
+					404: "Trashed dungeon not found",
+					409: "A dungeon with this id exists",
+				},
+				handler: ({ res, params, user }) =>
+					this.withDungeonLock([params.id], () =>
+						this.restoreTrashedDungeon(res, params.id, params.rev, user)
+					),
+			},
+			{
+				method: "GET",
+				path: "/api/audit",
+				tag: "history",
+				summary: "Audit log entries, newest first",
+				access: "viewer",
+				query: {
+					type: "object",
+					properties: {
+						dungeon: {
+							type: "string",
+							description: "Only entries about this dungeon",
+						},
+						limit: { type: "integer", minimum: 1 },
+					},
+				},
+				responses: { 200: "`{entries}`" },
+				handler: ({ res, query }) =>
+					this.getAudit(res, query.dungeon, query.limit),
+			},
+			{
+				method: "GET",
+				path: "/api/references",
+				tag: "references",
+				summary: "Everything that points at a dungeon, room or template",
+				access: "viewer",
+				query: {
+					type: "object",
+					required: ["target"],
+					properties: {
+						target: {
+							type: "string",
+							minLength: 1,
+							description: "`tower`, `@tower{1,2,0}` or `@tower:goblin`",
+						},
+					},
+				},
+				responses: { 200: "`{target, references}`" },
+				handler: ({ res, query }) => this.getReferences(res, query.target),
+			},
+			{
+				method: "GET",
+				path: "/api/templates",
+				tag: "game data",
+				summary: "Every template from every dungeon",
+				access: "viewer",
+				responses: { 200: "`{templates}`" },
+				handler: ({ res }) => this.getTemplates(res),
+			},
+			{
+				method: "GET",
+				path: "/api/races",
+				tag: "game data",
+				summary: "List races",
+				access: "viewer",
+				responses: { 200: "`{races}`" },
+				handler: ({ res }) => this.getRaces(res),
+			},
+			{
+				method: "GET",
+				path: "/api/jobs",
+				tag: "game data",
+				summary: "List jobs",
+				access: "viewer",
+				responses: { 200: "`{jobs}`" },
+				handler: ({ res }) => this.getJobs(res),
+			},
+			{
+				method: "POST",
+				path: "/api/calculate-attributes",
+				tag: "game data",
+				summary: "A mob's attributes for a race, job and level",
+				access: "viewer",
+				body: {
+					type: "object",
+					required: ["raceId", "jobId", "level"],
+					properties: {
+						raceId: { type: "string" },
+						jobId: { type: "string" },
+						level: { type: ["integer", "string"] },
+					},
+				},
+				responses: { 200: "`{primary, secondary, resourceCaps}`" },
+				handler: ({ res, body }) =>
+					this.calculateAttributes(res, body.raceId, body.jobId, body.level),
+			},
+			{
+				method: "GET",
+				path: "/api/hit-types",
+				tag: "game data",
+				summary: "Hit types and damage types",
+				access: "viewer",
+				responses: {
+					200: "`{hitTypes, physicalDamageTypes, magicalDamageTypes}`",
+				},
+				handler: ({ res }) => this.getHitTypes(res),
+			},
+		];
+	}
 
 	private async handleRequest(
 		req: IncomingMessage,
 		res: ServerResponse
 	): Promise<void> {
-		const url = new URL(req.url || "/", `http://${req.headers.host}`);
+		// The Host header is the client's to choose; don't let it break parsing
+		const url = new URL(req.url || "/", "http://localhost");
 		const path = url.pathname;
 
-		// CORS headers
-		res.setHeader("Access-Control-Allow-Origin", "*");
-		res.setHeader(
-			"Access-Control-Allow-Methods",
-			"GET, POST, PUT, DELETE, OPTIONS"
-		);
-		res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-		if (req.method === "OPTIONS") {
-			res.writeHead(200);
-			res.end();
-			return;
-		}
-
 		try {
 			// Serve static files
-			if (path === "/" || path === "/index.html") {
-				const filePath = join(MAP_EDITOR_DIR, "index.html");
-				logger.debug(`Serving index.html from: ${filePath}`);
-				await this.serveFile(res, filePath, "text/html");
-				return;
-			}
-
-			if (path.startsWith("/static/")) {
-				const filePath = path.replace("/static/", "");
-				const fullPath = join(MAP_EDITOR_DIR, "static", filePath);
-				logger.debug(`Serving static file: ${fullPath}`);
-				const ext = filePath.split(".").pop()?.toLowerCase();
-				const contentType =
-					ext === "css"
-						? "text/css"
-						: ext === "js"
-						? "application/javascript"
-						: "text/plain";
-				await this.serveFile(res, fullPath, contentType);
-				return;
-			}
-
-			// API endpoints
-			if (path === "/api/dungeons" && req.method === "GET") {
-				await this.listDungeons(res);
+			if (
+				path === "/" ||
+				path === "/index.html" ||
+				path.startsWith("/static/") ||
+				path.startsWith("/vendor/")
+			) {
+				if (req.method !== "GET" && req.method !== "HEAD") {
+					res.writeHead(405, {
+						"Content-Type": "application/json",
+						Allow: "GET, HEAD",
+					});
+					res.end(JSON.stringify({ error: "Method not allowed" }));
+					return;
+				}
+				const filePath = path.startsWith("/static/")
+					? resolveInside(
+							join(this.staticDir, "static"),
+							decodeSegment(path.slice("/static/".length))
+						)
+					: path.startsWith("/vendor/")
+						? vendorPath(decodeSegment(path.slice("/vendor/".length)))
+						: join(this.staticDir, "index.html");
+				if (!filePath) {
+					res.writeHead(404, { "Content-Type": "text/plain" });
+					res.end("Not Found");
+					return;
+				}
+				logger.debug(`Serving static file: ${filePath}`);
+				await this.staticFiles.serve(req, res, filePath);
 				return;
 			}
 
-			if (path.startsWith("/api/dungeons/") && req.method === "GET") {
-				const id = path.split("/")[3];
-				await this.getDungeon(res, id);
+			// API endpoints; see routes()
+			const match = this.router.match(req.method ?? "GET", path);
+			if (!match) {
+				res.writeHead(404, { "Content-Type": "text/plain" });
+				res.end("Not Found");
 				return;
 			}
-
-			if (path.startsWith("/api/dungeons/") && req.method === "POST") {
-				const id = path.split("/")[3];
-				await this.createDungeon(req, res, id);
+			if (!("route" in match)) {
+				res.writeHead(405, {
+					"Content-Type": "application/json",
+					Allow: match.allowed.join(", "),
+				});
+				res.end(JSON.stringify({ error: "Method not allowed" }));
 				return;
 			}
+			const { route, params } = match;
 
-			if (path.startsWith("/api/dungeons/") && req.method === "PUT") {
-				const id = path.split("/")[3];
-				await this.updateDungeon(req, res, id);
+			if (route.access === "public") {
+				this.router.checkParams(match);
+				const input = await this.router.readInput(route, req, url);
+				await route.handler({ req, res, params, ...input });
 				return;
 			}
 
-			if (path === "/api/races" && req.method === "GET") {
-				await this.getRaces(res);
+			// Everything else needs a login
+			const token = sessionToken(req);
+			const username = token ? this.sessions.get(token) : undefined;
+			const account = username ? await this.users.find(username) : undefined;
+			if (!account) {
+				res.writeHead(401, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ error: "Not logged in" }));
 				return;
 			}
+			const user = publicUser(account);
 
-			if (path === "/api/jobs" && req.method === "GET") {
-				await this.getJobs(res);
-				return;
-			}
-
-			if (path === "/api/calculate-attributes" && req.method === "POST") {
-				await this.calculateAttributes(req, res);
+			this.router.checkParams(match);
+			if (
+				route.access === "admin"
+					? !hasRole(user, "admin")
+					: route.access === "editor" && !canEditDungeon(user, params.id)
+			) {
+				res.writeHead(403, { "Content-Type": "application/json" });
+				res.end(
+					JSON.stringify({ error: "You don't have permission to do that" })
+				);
 				return;
 			}
 
-			if (path === "/api/hit-types" && req.method === "GET") {
-				await this.getHitTypes(res);
+			const input = await this.router.readInput(route, req, url);
+			await route.handler({ req, res, params, ...input, user, token: token! });
+		} catch (error) {
+			if (error instanceof RequestError || error instanceof UserAccountError) {
+				res.writeHead(error.status, {
+					"Content-Type": "application/json",
+					// Don't wait for the rest of an oversized body
+					...(error.status === 413 ? { Connection: "close" } : {}),
+				});
+				res.end(JSON.stringify({ error: error.message }));
 				return;
 			}
-
-			// 404
-			res.writeHead(404, { "Content-Type": "text/plain" });
-			res.end("Not Found");
-		} catch (error) {
 			logger.error(`Map editor server error: ${error}`);
 			res.writeHead(500, { "Content-Type": "application/json" });
 			res.end(JSON.stringify({ error: String(error) }));
 		}
 	}
 
-	private async serveFile(
-		res: ServerResponse,
-		filePath: string,
-		contentType: string
-	): Promise<void> {
+	/** The route table as an OpenAPI document, at the project's version */
+	private async getOpenApi(res: ServerResponse): Promise<void> {
+		const { version } = JSON.parse(
+			await readFile(new URL("../package.json", import.meta.url), "utf-8")
+		);
+		const document = this.router.openApi(
+			{
+				title: "Map Editor API",
+				version,
+				description:
+					"Everything the map editor does goes through this API. Log in with POST /api/login; the session cookie it sets authorizes the rest.",
+			},
+			SESSION_COOKIE
+		);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify(document));
+	}
+
+	/** Ids of every dungeon file, sorted */
+	private async dungeonIds(): Promise<string[]> {
+		let files: string[] = [];
 		try {
-			// Check if file exists first
-			await access(filePath, FS_CONSTANTS.F_OK);
-			const content = await readFile(filePath, "utf-8");
-			res.writeHead(200, { "Content-Type": contentType });
-			res.end(content);
+			files = await readdir(this.dungeonDir);
 		} catch (error) {
-			logger.error(`Failed to serve file: ${filePath}`);
-			logger.error(`Error details: ${error}`);
-			logger.error(`Current working directory: ${process.cwd()}`);
-			res.writeHead(404, { "Content-Type": "text/plain" });
-			res.end(
-				`File not found: ${filePath}\n\nCurrent directory: ${process.cwd()}`
-			);
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
 		}
+		return files
+			.filter((file) => file.endsWith(".yaml"))
+			.map((file) => file.slice(0, -".yaml".length))
+			.filter((id) => !id.startsWith(SCRATCH_PREFIX))
+			.sort();
 	}
 
 	private async listDungeons(res: ServerResponse): Promise<void> {
-		const ids = await getAllDungeonIds();
+		const ids = await this.dungeonIds();
 		res.writeHead(200, { "Content-Type": "application/json" });
 		res.end(JSON.stringify({ dungeons: ids }));
 	}
 
+	/**
+	 * Run `task` once every write queued earlier for any of these dungeons
+	 * has finished. Writes check the file, validate and then replace it;
+	 * two running side by side could both pass the check, and the later
+	 * would silently overwrite the earlier.
+	 */
+	private withDungeonLock<T>(
+		ids: string[],
+		task: () => Promise<T>
+	): Promise<T> {
+		const earlier = ids.map((id) => this.dungeonLocks.get(id));
+		const run = Promise.allSettled(earlier).then(task);
+		const done = run.then(
+			() => undefined,
+			() => undefined
+		);
+		for (const id of ids) this.dungeonLocks.set(id, done);
+		done.then(() => {
+			for (const id of ids) {
+				if (this.dungeonLocks.get(id) === done) this.dungeonLocks.delete(id);
+			}
+		});
+		return run;
+	}
+
+	/**
+	 * The If-Match header of a write, sending a 428 and returning undefined
+	 * if there isn't one: writes must say which version they were based on.
+	 */
+	private requireIfMatch(
+		req: IncomingMessage,
+		res: ServerResponse
+	): string | undefined {
+		const ifMatch = req.headers["if-match"];
+		if (!ifMatch) {
+			res.writeHead(428, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "If-Match header is required" }));
+			return undefined;
+		}
+		return ifMatch;
+	}
+
+	/**
+	 * Read a dungeon file, sending a 404 and returning undefined if it's
+	 * missing.
+	 */
+	private async readDungeonOr404(
+		res: ServerResponse,
+		id: string
+	): Promise<string | undefined> {
+		try {
+			return await readFile(this.dungeonPath(id), "utf-8");
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+				res.writeHead(404, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ error: "Dungeon not found" }));
+				return undefined;
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Whether a write based on `ifMatch` may replace `currentContent`.
+	 * If not, sends a 409 with the current version so the client can merge.
+	 */
+	private checkIfMatch(
+		res: ServerResponse,
+		id: string,
+		ifMatch: string,
+		currentContent: string
+	): boolean {
+		const currentEtag = dungeonEtag(currentContent);
+		if (etagMatches(ifMatch, currentEtag)) return true;
+
+		logger.debug(`Rejected stale write to dungeon ${id}`);
+		res.writeHead(409, {
+			"Content-Type": "application/json",
+			ETag: currentEtag,
+		});
+		res.end(
+			JSON.stringify({
+				error: "Dungeon was changed since it was loaded",
+				etag: currentEtag,
+				yaml: currentContent,
+			})
+		);
+		return false;
+	}
+
+	/**
+	 * Check, just before writing, that a dungeon file still holds what the
+	 * write was checked against. Other writes from the editor wait their
+	 * turn, but the file can still be changed outside it (a git pull, a hand
+	 * edit) while mud3 validates; that gets the same 409 or 404 as if it
+	 * had happened first.
+	 */
+	private async stillCurrent(
+		res: ServerResponse,
+		id: string,
+		checkedContent: string
+	): Promise<boolean> {
+		const content = await this.readDungeonOr404(res, id);
+		if (content === undefined) return false;
+		return this.checkIfMatch(res, id, dungeonEtag(checkedContent), content);
+	}
+
 	private async getDungeon(res: ServerResponse, id: string): Promise<void> {
 		// Read the raw YAML file directly (don't load into registry)
-		const filePath = join(DUNGEON_DIR, `${id}.yaml`);
+		const filePath = this.dungeonPath(id);
 		try {
 			const yamlContent = await readFile(filePath, "utf-8");
 
@@ -199,7 +1094,10 @@ class MapEditorServerImpl implements MapEditorServer {
 				return;
 			}
 
-			res.writeHead(200, { "Content-Type": "application/json" });
+			res.writeHead(200, {
+				"Content-Type": "application/json",
+				ETag: dungeonEtag(yamlContent),
+			});
 			res.end(
 				JSON.stringify({
 					id: data.dungeon.id || id,
@@ -221,19 +1119,13 @@ class MapEditorServerImpl implements MapEditorServer {
 	}
 
 	private async createDungeon(
-		req: IncomingMessage,
 		res: ServerResponse,
-		id: string
+		id: string,
+		yaml: string,
+		user: PublicUser
 	): Promise<void> {
-		let body = "";
-		for await (const chunk of req) {
-			body += chunk;
-		}
-
-		const data = JSON.parse(body);
-
 		// Check if dungeon already exists
-		const filePath = join(DUNGEON_DIR, `${id}.yaml`);
+		const filePath = this.dungeonPath(id);
 		try {
 			await access(filePath, FS_CONSTANTS.F_OK);
 			// File exists
@@ -250,90 +1142,870 @@ class MapEditorServerImpl implements MapEditorServer {
 			}
 		}
 
-		// If YAML is provided, save it directly
-		if (data.yaml) {
-			const tempPath = `${filePath}.tmp`;
+		const issues = await validateDungeonYaml(id, yaml, {
+			dataDir: this.dataDir,
+			dungeonDir: this.dungeonDir,
+		});
+		if (hasErrors(issues)) {
+			this.sendValidationFailure(res, issues);
+			return;
+		}
+
+		const tempPath = `${filePath}.tmp`;
+
+		try {
+			// Ensure directory exists
+			const { mkdir } = await import("fs/promises");
+			await mkdir(this.dungeonDir, { recursive: true });
 
+			// Write to temporary file first (atomic write)
+			await writeFile(tempPath, yaml, "utf-8");
+			// Atomically rename
+			const { rename } = await import("fs/promises");
+			await rename(tempPath, filePath);
+			this.invalidateCaches();
+			await this.audit(user, "create", id, undefined, yaml);
+
+			logger.debug(`Created dungeon YAML: ${id}`);
+			res.writeHead(201, {
+				"Content-Type": "application/json",
+				ETag: dungeonEtag(yaml),
+			});
+			res.end(JSON.stringify({ success: true, id, issues }));
+		} catch (error) {
+			// Clean up temp file
 			try {
-				// Ensure directory exists
-				const { mkdir } = await import("fs/promises");
-				await mkdir(DUNGEON_DIR, { recursive: true });
-
-				// Write to temporary file first (atomic write)
-				await writeFile(tempPath, data.yaml, "utf-8");
-				// Atomically rename
-				const { rename } = await import("fs/promises");
-				await rename(tempPath, filePath);
-
-				logger.debug(`Created dungeon YAML: ${id}`);
-				res.writeHead(201, { "Content-Type": "application/json" });
-				res.end(JSON.stringify({ success: true, id }));
-				return;
-			} catch (error) {
-				// Clean up temp file
-				try {
-					const { unlink } = await import("fs/promises");
-					await unlink(tempPath);
-				} catch {
-					// Ignore cleanup errors
-				}
-				logger.error(`Failed to create dungeon ${id}: ${error}`);
-				res.writeHead(500, { "Content-Type": "application/json" });
-				res.end(JSON.stringify({ error: String(error) }));
-				return;
+				const { unlink } = await import("fs/promises");
+				await unlink(tempPath);
+			} catch {
+				// Ignore cleanup errors
+			}
+			logger.error(`Failed to create dungeon ${id}: ${error}`);
+			res.writeHead(500, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: String(error) }));
+		}
+	}
+
+	private async updateDungeon(
+		req: IncomingMessage,
+		res: ServerResponse,
+		id: string,
+		yaml: string,
+		user: PublicUser
+	): Promise<void> {
+		const ifMatch = this.requireIfMatch(req, res);
+		if (ifMatch === undefined) return;
+
+		const currentContent = await this.readDungeonOr404(res, id);
+		if (currentContent === undefined) return;
+
+		// Someone else saved since this editor loaded the dungeon
+		if (!this.checkIfMatch(res, id, ifMatch, currentContent)) return;
+
+		const issues = await validateDungeonYaml(id, yaml, {
+			dataDir: this.dataDir,
+			dungeonDir: this.dungeonDir,
+		});
+		if (hasErrors(issues)) {
+			this.sendValidationFailure(res, issues);
+			return;
+		}
+
+		if (!(await this.stillCurrent(res, id, currentContent))) return;
+		await this.replaceDungeonFile(id, currentContent, yaml);
+		await this.audit(user, "update", id, currentContent, yaml);
+		this.collabSessions.get(id)?.saved(dungeonEtag(yaml), YAML.load(yaml));
+
+		logger.debug(`Saved dungeon YAML: ${id}`);
+		res.writeHead(200, {
+			"Content-Type": "application/json",
+			ETag: dungeonEtag(yaml),
+		});
+		res.end(JSON.stringify({ success: true, issues }));
+	}
+
+	/**
+	 * Overwrite an existing dungeon file, keeping the old contents as a
+	 * revision first so a bad save can always be undone.
+	 */
+	private async replaceDungeonFile(
+		id: string,
+		previousContent: string,
+		content: string
+	): Promise<void> {
+		const filePath = this.dungeonPath(id);
+		const tempPath = `${filePath}.tmp`;
+
+		if (previousContent !== content) {
+			const rev = await saveRevision(this.historyDir, id, previousContent);
+			logger.debug(`Stored revision ${rev} of dungeon ${id}`);
+		}
+
+		try {
+			// Write to temporary file first (atomic write)
+			await writeFile(tempPath, content, "utf-8");
+			// Atomically rename
+			const { rename } = await import("fs/promises");
+			await rename(tempPath, filePath);
+			this.invalidateCaches();
+		} catch (error) {
+			// Clean up temp file
+			try {
+				const { unlink } = await import("fs/promises");
+				await unlink(tempPath);
+			} catch {
+				// Ignore cleanup errors
+			}
+			throw error;
+		}
+	}
+
+	private async listDungeonRevisions(
+		res: ServerResponse,
+		id: string
+	): Promise<void> {
+		try {
+			await access(this.dungeonPath(id), FS_CONSTANTS.F_OK);
+		} catch {
+			res.writeHead(404, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "Dungeon not found" }));
+			return;
+		}
+
+		const revisions = await listRevisions(this.historyDir, id);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ revisions }));
+	}
+
+	/**
+	 * Read a revision, sending a 404 and returning undefined if it's missing.
+	 */
+	private async readRevisionOr404(
+		res: ServerResponse,
+		id: string,
+		rev: string
+	): Promise<string | undefined> {
+		try {
+			return await readRevision(this.historyDir, id, rev);
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+				res.writeHead(404, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ error: "Revision not found" }));
+				return undefined;
 			}
+			throw error;
+		}
+	}
+
+	private async getDungeonRevision(
+		res: ServerResponse,
+		id: string,
+		rev: string
+	): Promise<void> {
+		const yaml = await this.readRevisionOr404(res, id, rev);
+		if (yaml === undefined) return;
+
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ id, rev, yaml }));
+	}
+
+	private async diffDungeonRevision(
+		res: ServerResponse,
+		id: string,
+		rev: string
+	): Promise<void> {
+		const yaml = await this.readRevisionOr404(res, id, rev);
+		if (yaml === undefined) return;
+
+		// Compare against the current file; a deleted dungeon diffs against nothing
+		let currentContent = "";
+		try {
+			currentContent = await readFile(this.dungeonPath(id), "utf-8");
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
 		}
 
-		// Fallback: if no YAML provided, return error (YAML is required)
-		res.writeHead(400, { "Content-Type": "application/json" });
+		res.writeHead(200, { "Content-Type": "application/json" });
 		res.end(
-			JSON.stringify({ error: "YAML data is required for dungeon creation" })
+			JSON.stringify({ id, rev, lines: diffLines(yaml, currentContent) })
 		);
 	}
 
-	private async updateDungeon(
+	private async restoreDungeonRevision(
 		req: IncomingMessage,
 		res: ServerResponse,
-		id: string
+		id: string,
+		rev: string,
+		user: PublicUser
+	): Promise<void> {
+		const ifMatch = this.requireIfMatch(req, res);
+		if (ifMatch === undefined) return;
+
+		const yaml = await this.readRevisionOr404(res, id, rev);
+		if (yaml === undefined) return;
+
+		const currentContent = await this.readDungeonOr404(res, id);
+		if (currentContent === undefined) return;
+		if (!this.checkIfMatch(res, id, ifMatch, currentContent)) return;
+
+		// mud3 may have moved on since this revision was saved
+		const issues = await validateDungeonYaml(id, yaml, {
+			dataDir: this.dataDir,
+			dungeonDir: this.dungeonDir,
+		});
+		if (hasErrors(issues)) {
+			this.sendValidationFailure(res, issues);
+			return;
+		}
+
+		if (!(await this.stillCurrent(res, id, currentContent))) return;
+		await this.replaceDungeonFile(id, currentContent, yaml);
+		await this.audit(user, "restore", id, currentContent, yaml, { rev });
+		// Everyone editing the dungeon live switches to the restored version
+		this.collabSessions
+			.get(id)
+			?.reset(collabState(YAML.load(yaml)), dungeonEtag(yaml));
+
+		logger.debug(`Restored dungeon ${id} to revision ${rev}`);
+		res.writeHead(200, {
+			"Content-Type": "application/json",
+			ETag: dungeonEtag(yaml),
+		});
+		res.end(JSON.stringify({ success: true, issues }));
+	}
+
+	/**
+	 * Record a write in the audit log. The write has already happened, so a
+	 * failure here is logged rather than failing the request.
+	 */
+	private async audit(
+		user: PublicUser,
+		action: AuditAction,
+		dungeon: string,
+		before: string | undefined,
+		after: string | undefined,
+		details: Pick<AuditEntry, "newId" | "rev" | "note"> = {}
 	): Promise<void> {
-		let body = "";
-		for await (const chunk of req) {
-			body += chunk;
+		try {
+			await this.auditLog.append({
+				time: new Date().toISOString(),
+				user: user.username,
+				action,
+				dungeon,
+				...details,
+				summary: summarizeChange(before, after),
+			});
+		} catch (error) {
+			logger.error(`Failed to write audit log entry for ${dungeon}: ${error}`);
 		}
+	}
+
+	/** Audit log entries, newest first, optionally for one dungeon */
+	private async getAudit(
+		res: ServerResponse,
+		dungeon?: string,
+		limit?: number
+	): Promise<void> {
+		const entries = await this.auditLog.read(dungeon || undefined, limit);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ entries }));
+	}
+
+	/** Drop everything derived from the dungeon files */
+	private invalidateCaches(): void {
+		this.templateCatalog.invalidate();
+		this.referenceIndex.invalidate();
+	}
 
-		const data = JSON.parse(body);
+	/**
+	 * Server-Sent Events stream. Sends a `dungeon` event with
+	 * `{id, etag}` whenever a dungeon file changes on disk, whoever changed
+	 * it; `etag` is null once the file is deleted. Clients pass `?client=`
+	 * with an id of their own, which is how live editing sessions reach them.
+	 */
+	private openEventStream(
+		req: IncomingMessage,
+		res: ServerResponse,
+		client: string,
+		user: PublicUser,
+		token: string
+	): void {
+		const existing = this.eventClients.get(client);
+		if (existing && existing.username !== user.username) {
+			res.writeHead(409, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "Client id is in use" }));
+			return;
+		}
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+		});
+		res.write("retry: 3000\n\n");
+		// A reconnect replaces the old stream, which may close afterwards
+		existing?.res.end();
+		this.eventClients.set(client, { res, username: user.username, token });
+		req.on("close", () => {
+			if (this.eventClients.get(client)?.res === res) {
+				this.closeEventStream(client);
+			}
+		});
+	}
 
-		// If YAML is provided, save it directly (preferred method)
-		if (data.yaml) {
-			const filePath = join(DUNGEON_DIR, `${id}.yaml`);
-			const tempPath = `${filePath}.tmp`;
+	private closeEventStream(client: string): void {
+		const stream = this.eventClients.get(client);
+		if (!stream) return;
+		this.eventClients.delete(client);
+		stream.res.end();
+		for (const session of this.collabSessions.values()) {
+			this.leaveCollabSession(session, client);
+		}
+	}
 
+	private sendEvent(client: string, event: string, data: unknown): void {
+		this.eventClients
+			.get(client)
+			?.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+	}
+
+	private broadcast(event: string, data: unknown): void {
+		for (const client of this.eventClients.keys()) {
+			this.sendEvent(client, event, data);
+		}
+	}
+
+	/**
+	 * Live editing of a dungeon by several clients; see collab-session.ts.
+	 * Every request names the client's event stream id in `client`, and
+	 * members are shown by their account name.
+	 */
+	private async handleCollab(
+		res: ServerResponse,
+		id: string,
+		action: "join" | "leave" | "ops" | "presence",
+		data: Record<string, any>,
+		user: PublicUser
+	): Promise<void> {
+		const client: string = data.client;
+
+		if (this.eventClients.get(client)?.username !== user.username) {
+			res.writeHead(400, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({ error: "client must name an open event stream" })
+			);
+			return;
+		}
+
+		if (action === "join") {
+			let session = this.collabSessions.get(id);
+			if (!session) {
+				let content: string;
+				try {
+					content = await readFile(this.dungeonPath(id), "utf-8");
+				} catch (error) {
+					if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+						res.writeHead(404, { "Content-Type": "application/json" });
+						res.end(JSON.stringify({ error: "Dungeon not found" }));
+						return;
+					}
+					throw error;
+				}
+				let state: ReturnType<typeof collabState>;
+				try {
+					state = collabState(YAML.load(content));
+				} catch (error) {
+					if (
+						!(error instanceof YAML.YAMLException) &&
+						!(error instanceof CollabError)
+					) {
+						throw error;
+					}
+					const reason =
+						error instanceof CollabError
+							? error.message
+							: yamlSyntaxIssue(error).message;
+					res.writeHead(422, { "Content-Type": "application/json" });
+					res.end(
+						JSON.stringify({ error: `Can't edit this dungeon live: ${reason}` })
+					);
+					return;
+				}
+				// Another join may have started the session while we read
+				session = this.collabSessions.get(id);
+				if (!session) {
+					session = new CollabSession(
+						id,
+						state,
+						dungeonEtag(content),
+						(to, event, payload) => this.sendEvent(to, event, payload)
+					);
+					this.collabSessions.set(id, session);
+				}
+			}
+			// A client edits one dungeon at a time
+			for (const other of this.collabSessions.values()) {
+				if (other !== session) this.leaveCollabSession(other, client);
+			}
+			res.writeHead(200, { "Content-Type": "application/json" });
+			res.end(JSON.stringify(session.join(client, user.username)));
+			return;
+		}
+
+		const session = this.collabSessions.get(id);
+		if (action === "leave") {
+			if (session) this.leaveCollabSession(session, client);
+			res.writeHead(204);
+			res.end();
+			return;
+		}
+
+		if (!session || !session.has(client)) {
+			res.writeHead(409, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "Not in a session for this dungeon" }));
+			return;
+		}
+
+		if (action === "ops") {
+			let seq: number;
 			try {
-				// Write to temporary file first (atomic write)
-				await writeFile(tempPath, data.yaml, "utf-8");
-				// Atomically rename
-				const { rename } = await import("fs/promises");
-				await rename(tempPath, filePath);
-
-				logger.debug(`Saved dungeon YAML: ${id}`);
-				res.writeHead(200, { "Content-Type": "application/json" });
-				res.end(JSON.stringify({ success: true }));
+				seq = session.applyOps(client, data.ops);
+			} catch (error) {
+				if (!(error instanceof CollabError)) throw error;
+				res.writeHead(400, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ error: error.message }));
 				return;
+			}
+			res.writeHead(200, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ seq }));
+			return;
+		}
+
+		session.updatePresence(client, data);
+		res.writeHead(204);
+		res.end();
+	}
+
+	private leaveCollabSession(session: CollabSession, client: string): void {
+		session.leave(client);
+		if (session.isEmpty) this.collabSessions.delete(session.id);
+	}
+
+	/** End a session whose dungeon went away */
+	private closeCollabSession(id: string, reason: string): void {
+		this.collabSessions.get(id)?.close(reason);
+		this.collabSessions.delete(id);
+	}
+
+	private onDungeonFileChange(change: DungeonFileChange): void {
+		logger.debug(
+			`Dungeon ${change.id} ${change.content === undefined ? "deleted" : "changed"} on disk`
+		);
+		// Covers edits made outside the editor; our own writes already did this
+		this.invalidateCaches();
+
+		// A live session with nothing unsaved follows the file; one with
+		// unsaved edits keeps them, and its members get the event below
+		const session = this.collabSessions.get(change.id);
+		if (session && change.content !== undefined && session.isClean) {
+			const etag = dungeonEtag(change.content);
+			try {
+				if (etag !== session.etag) {
+					session.reset(collabState(YAML.load(change.content)), etag);
+				}
 			} catch (error) {
-				// Clean up temp file
-				try {
-					const { unlink } = await import("fs/promises");
-					await unlink(tempPath);
-				} catch {
-					// Ignore cleanup errors
+				logger.debug(`Not resetting session for ${change.id}: ${error}`);
+			}
+		}
+
+		this.broadcast("dungeon", {
+			id: change.id,
+			etag: change.content === undefined ? null : dungeonEtag(change.content),
+		});
+	}
+
+	/** References from other dungeons and locations.yaml into a dungeon */
+	private async externalReferencesInto(
+		id: string
+	): Promise<DungeonReference[]> {
+		return (await this.referenceIndex.find(id)).filter(
+			(ref) => ref.sourceDungeon !== id
+		);
+	}
+
+	/**
+	 * Everything that points at a dungeon (`tower`), a room
+	 * (`@tower{1,2,0}`) or a template (`@tower:goblin`).
+	 */
+	private async getReferences(
+		res: ServerResponse,
+		target: string
+	): Promise<void> {
+		const references = await this.referenceIndex.find(target);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ target, references }));
+	}
+
+	private async getDungeonReferences(
+		res: ServerResponse,
+		id: string
+	): Promise<void> {
+		const references = await this.externalReferencesInto(id);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ references }));
+	}
+
+	private async deleteDungeon(
+		req: IncomingMessage,
+		res: ServerResponse,
+		id: string,
+		force: boolean,
+		user: PublicUser
+	): Promise<void> {
+		const ifMatch = this.requireIfMatch(req, res);
+		if (ifMatch === undefined) return;
+
+		const currentContent = await this.readDungeonOr404(res, id);
+		if (currentContent === undefined) return;
+		if (!this.checkIfMatch(res, id, ifMatch, currentContent)) return;
+
+		// Deleting a dungeon other things point into needs ?force=true
+		const references = await this.externalReferencesInto(id);
+		if (references.length > 0 && !force) {
+			res.writeHead(409, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({
+					error: `Dungeon is referenced ${references.length} time(s) elsewhere`,
+					references,
+				})
+			);
+			return;
+		}
+
+		if (!(await this.stillCurrent(res, id, currentContent))) return;
+		const entry = await moveToTrash(this.dungeonDir, this.trashDir, id);
+		this.invalidateCaches();
+		await this.audit(user, "delete", id, currentContent, undefined);
+		this.closeCollabSession(id, "The dungeon was deleted");
+		logger.debug(`Moved dungeon ${id} to trash as ${entry.rev}`);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ success: true, trash: entry, references }));
+	}
+
+	/**
+	 * Rename a dungeon and rewrite every reference to it. With `dryRun`
+	 * set, only returns the files that would change.
+	 */
+	private async renameDungeon(
+		req: IncomingMessage,
+		res: ServerResponse,
+		id: string,
+		newId: string,
+		dryRun: boolean,
+		user: PublicUser
+	): Promise<void> {
+		if (newId === id) {
+			res.writeHead(400, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "New id is the same as the old one" }));
+			return;
+		}
+
+		const ifMatch = this.requireIfMatch(req, res);
+		if (ifMatch === undefined) return;
+
+		const currentContent = await this.readDungeonOr404(res, id);
+		if (currentContent === undefined) return;
+
+		try {
+			await access(this.dungeonPath(newId), FS_CONSTANTS.F_OK);
+			res.writeHead(409, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({ error: `A dungeon named "${newId}" already exists` })
+			);
+			return;
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+		}
+
+		// The history moves with the dungeon, and a deleted dungeon's stays
+		try {
+			await access(join(this.historyDir, newId), FS_CONSTANTS.F_OK);
+			res.writeHead(409, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({
+					error: `A deleted dungeon named "${newId}" still has a revision history`,
+				})
+			);
+			return;
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+		}
+
+		if (!this.checkIfMatch(res, id, ifMatch, currentContent)) return;
+
+		let plan: RenamePlan;
+		try {
+			plan = await planDungeonRename(
+				this.dungeonDir,
+				this.locationsPath,
+				id,
+				newId
+			);
+		} catch (error) {
+			if (!(error instanceof RenameFileError)) throw error;
+			res.writeHead(422, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({
+					error: error.message,
+					file: error.file,
+					issues: [error.issue],
+				})
+			);
+			return;
+		}
+		const preview = { oldId: id, newId, files: plan.files };
+
+		// Builders keep the dungeons they had under the new id (see below),
+		// so what they may edit is judged as it will be after the rename
+		const renamedUser: PublicUser = user.dungeons
+			? {
+					...user,
+					dungeons: user.dungeons.map((dungeonId) =>
+						dungeonId === id ? newId : dungeonId
+					),
 				}
-				throw error;
+			: user;
+		const touched = new Set([newId]);
+		for (const write of plan.writes) {
+			if (write.dungeonId) touched.add(write.dungeonId);
+		}
+		const forbidden = [...touched].filter(
+			(dungeonId) => !canEditDungeon(renamedUser, dungeonId)
+		);
+		if (forbidden.length > 0) {
+			res.writeHead(403, { "Content-Type": "application/json" });
+			res.end(
+				JSON.stringify({
+					error: `Renaming would change dungeons you can't edit: ${forbidden.join(", ")}`,
+				})
+			);
+			return;
+		}
+
+		if (dryRun) {
+			res.writeHead(200, { "Content-Type": "application/json" });
+			res.end(JSON.stringify(preview));
+			return;
+		}
+
+		if (!(await this.stillCurrent(res, id, currentContent))) return;
+
+		// Other dungeons being rewritten keep their old version as a revision
+		for (const write of plan.writes) {
+			if (write.before !== undefined && write.dungeonId) {
+				await saveRevision(this.historyDir, write.dungeonId, write.before);
+			}
+		}
+
+		await applyDungeonRename(plan);
+		const builders = await this.users.renameDungeon(id, newId);
+		this.invalidateCaches();
+		for (const write of plan.writes) {
+			if (!write.dungeonId) continue;
+			if (write.dungeonId === newId) {
+				await this.audit(user, "rename", id, currentContent, write.after, {
+					newId,
+				});
+			} else {
+				await this.audit(
+					user,
+					"update",
+					write.dungeonId,
+					write.before,
+					write.after,
+					{ note: `References to "${id}" renamed to "${newId}"` }
+				);
+			}
+		}
+		this.closeCollabSession(id, `The dungeon was renamed to "${newId}"`);
+
+		// The renamed dungeon's history moves with it; the target was free above
+		try {
+			const { rename } = await import("fs/promises");
+			await rename(join(this.historyDir, id), join(this.historyDir, newId));
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+		}
+
+		const newContent = plan.writes.find(
+			(write) => write.dungeonId === newId
+		)!.after;
+		logger.debug(
+			`Renamed dungeon ${id} to ${newId} (${plan.files.length} files changed${
+				builders.length > 0 ? `; dungeon lists of ${builders.join(", ")}` : ""
+			})`
+		);
+		res.writeHead(200, {
+			"Content-Type": "application/json",
+			ETag: dungeonEtag(newContent),
+		});
+		res.end(JSON.stringify({ success: true, ...preview }));
+	}
+
+	private async listTrashedDungeons(res: ServerResponse): Promise<void> {
+		const entries = await listTrash(this.trashDir);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ trash: entries }));
+	}
+
+	private async restoreTrashedDungeon(
+		res: ServerResponse,
+		id: string,
+		rev: string,
+		user: PublicUser
+	): Promise<void> {
+		let content: string;
+		try {
+			content = await restoreFromTrash(this.dungeonDir, this.trashDir, id, rev);
+		} catch (error) {
+			const code = (error as NodeJS.ErrnoException).code;
+			if (code === "ENOENT") {
+				res.writeHead(404, { "Content-Type": "application/json" });
+				res.end(JSON.stringify({ error: "Trashed dungeon not found" }));
+				return;
+			}
+			if (code === "EEXIST") {
+				res.writeHead(409, { "Content-Type": "application/json" });
+				res.end(
+					JSON.stringify({ error: `A dungeon named "${id}" already exists` })
+				);
+				return;
+			}
+			throw error;
+		}
+
+		this.invalidateCaches();
+		await this.audit(user, "undelete", id, undefined, content);
+		logger.debug(`Restored dungeon ${id} from trash (${rev})`);
+		res.writeHead(200, {
+			"Content-Type": "application/json",
+			ETag: dungeonEtag(content),
+		});
+		res.end(JSON.stringify({ success: true, id }));
+	}
+
+	private async login(
+		res: ServerResponse,
+		username: string,
+		password: string
+	): Promise<void> {
+		const account = await this.users.authenticate(username, password);
+		if (!account) {
+			logger.warn(`Failed login for "${username}"`);
+			res.writeHead(401, { "Content-Type": "application/json" });
+			res.end(JSON.stringify({ error: "Wrong username or password" }));
+			return;
+		}
+
+		const token = this.sessions.create(account.username);
+		res.writeHead(200, {
+			"Content-Type": "application/json",
+			"Set-Cookie": `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_MAX_AGE_MS / 1000}`,
+		});
+		res.end(JSON.stringify(publicUser(account)));
+	}
+
+	private async listUsers(res: ServerResponse): Promise<void> {
+		const users = (await this.users.list()).map(publicUser);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ users }));
+	}
+
+	private async addUser(
+		res: ServerResponse,
+		data: Record<string, any>,
+		user: PublicUser
+	): Promise<void> {
+		const account = await this.users.add(
+			data.username,
+			data.password,
+			data.role,
+			data.dungeons
+		);
+		logger.info(`${user.username} added user ${account.username}`);
+		res.writeHead(201, { "Content-Type": "application/json" });
+		res.end(JSON.stringify(publicUser(account)));
+	}
+
+	private async updateUser(
+		res: ServerResponse,
+		name: string,
+		changes: UserChanges,
+		user: PublicUser,
+		token: string
+	): Promise<void> {
+		const account = await this.users.update(name, changes);
+		if (changes.password !== undefined) {
+			// Whoever had the old password is logged out; an admin changing
+			// their own stays logged in here
+			this.endSessions(name, name === user.username ? token : undefined);
+		}
+		logger.info(`${user.username} changed user ${name}`);
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify(publicUser(account)));
+	}
+
+	/** Remove an account and end its sessions and event streams */
+	private async removeUser(
+		res: ServerResponse,
+		name: string,
+		user: PublicUser
+	): Promise<void> {
+		await this.users.remove(name);
+		this.endSessions(name);
+		logger.info(`${user.username} removed user ${name}`);
+		res.writeHead(204);
+		res.end();
+	}
+
+	/** End a user's sessions and event streams, except those of `keepToken` */
+	private endSessions(username: string, keepToken?: string): void {
+		this.sessions.deleteUser(username, keepToken);
+		for (const [client, stream] of this.eventClients) {
+			if (stream.username === username && stream.token !== keepToken) {
+				this.closeEventStream(client);
 			}
 		}
+	}
+
+	/**
+	 * Every template from every dungeon, for pickers that can reference
+	 * templates across dungeons.
+	 */
+	private async getTemplates(res: ServerResponse): Promise<void> {
+		const templates = await this.templateCatalog.get();
+		res.writeHead(200, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ templates }));
+	}
 
-		// Fallback: if no YAML provided, return error (YAML is required)
-		res.writeHead(400, { "Content-Type": "application/json" });
-		res.end(JSON.stringify({ error: "YAML data is required for updates" }));
+	/**
+	 * Reject a dungeon that failed validation, listing every issue so the
+	 * editor can mark the cells and templates they point at.
+	 */
+	private sendValidationFailure(
+		res: ServerResponse,
+		issues: DungeonIssue[]
+	): void {
+		const errorCount = issues.filter((i) => i.severity === "error").length;
+		logger.debug(`Rejected dungeon with ${errorCount} validation error(s)`);
+		res.writeHead(422, { "Content-Type": "application/json" });
+		res.end(
+			JSON.stringify({
+				error: `Dungeon failed validation (${errorCount} error${
+					errorCount !== 1 ? "s" : ""
+				})`,
+				issues,
+			})
+		);
 	}
 
 	private async getRaces(res: ServerResponse): Promise<void> {
@@ -369,26 +2041,12 @@ class MapEditorServerImpl implements MapEditorServer {
 	}
 
 	private async calculateAttributes(
-		req: IncomingMessage,
-		res: ServerResponse
+		res: ServerResponse,
+		raceId: string,
+		jobId: string,
+		level: number | string
 	): Promise<void> {
-		let body = "";
-		for await (const chunk of req) {
-			body += chunk;
-		}
-
 		try {
-			const data = JSON.parse(body);
-			const { raceId, jobId, level } = data;
-
-			if (!raceId || !jobId || level === undefined) {
-				res.writeHead(400, { "Content-Type": "application/json" });
-				res.end(
-					JSON.stringify({ error: "raceId, jobId, and level are required" })
-				);
-				return;
-			}
-
 			const race = getRaceById(raceId);
 			const job = getJobById(jobId);
 
@@ -402,7 +2060,7 @@ class MapEditorServerImpl implements MapEditorServer {
 			const mob = new Mob({
 				race,
 				job,
-				level: parseInt(level) || 1,
+				level: parseInt(String(level)) || 1,
 			});
 
 			// Get calculated attributes
@@ -462,9 +2120,39 @@ class MapEditorServerImpl implements MapEditorServer {
 	}
 
 	public async start(): Promise<void> {
+		try {
+			await access(this.staticDir, FS_CONSTANTS.F_OK);
+			logger.debug(`Map editor directory found: ${this.staticDir}`);
+		} catch {
+			logger.error(`Map editor directory not found: ${this.staticDir}`);
+		}
+		const password = await this.users.bootstrap();
+		if (password) {
+			// Not in the log, which may be kept or shipped elsewhere
+			await rm(this.adminPasswordPath, { force: true });
+			await writeFile(this.adminPasswordPath, `${password}\n`, {
+				encoding: "utf-8",
+				mode: 0o600,
+			});
+			logger.warn(
+				`Created account "admin" in ${this.usersPath}; its password is in ${this.adminPasswordPath}. Log in, change it from the Users dialog and delete that file`
+			);
+		}
 		return new Promise((resolve, reject) => {
-			this.server.listen(PORT, () => {
-				logger.info(`Map editor server listening on http://localhost:${PORT}`);
+			this.server.listen(this.port, this.host, () => {
+				// With port 0 the system chose one
+				const { port } = this.server.address() as AddressInfo;
+				const host = this.host ?? "localhost";
+				logger.info(
+					`Map editor server listening on http://${host.includes(":") ? `[${host}]` : host}:${port}`
+				);
+				this.watcher.start();
+				this.heartbeat = setInterval(() => {
+					for (const client of this.eventClients.values()) {
+						client.res.write(": ping\n\n");
+					}
+				}, EVENT_HEARTBEAT_MS);
+				this.heartbeat.unref();
 				resolve();
 			});
 			this.server.once("error", reject);
@@ -472,6 +2160,11 @@ class MapEditorServerImpl implements MapEditorServer {
 	}
 
 	public async stop(): Promise<void> {
+		this.watcher.stop();
+		clearInterval(this.heartbeat);
+		// Open event streams would keep close() waiting forever
+		for (const client of this.eventClients.values()) client.res.end();
+		this.eventClients.clear();
 		return new Promise((resolve) => {
 			this.server.close(() => {
 				logger.info("Map editor server stopped");
@@ -481,6 +2174,8 @@ class MapEditorServerImpl implements MapEditorServer {
 	}
 }
 
-export function createMapEditorServer(): MapEditorServer {
-	return new MapEditorServerImpl();
+export function createMapEditorServer(
+	options: MapEditorServerOptions = {}
+): MapEditorServer {
+	return new MapEditorServerImpl(options);
 }
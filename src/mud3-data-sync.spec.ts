@@ -0,0 +1,213 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, mkdir, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FileTree, planDataSync, readTree } from "./mud3-data-sync.js";
+
+const ROOMS = "rooms:\n  - one\n  - two\n  - three\n  - four\n";
+
+/** A tree from file names and their text */
+function tree(files: Record<string, string>): FileTree {
+	return new Map(
+		Object.entries(files).map(([file, text]) => [file, Buffer.from(text)])
+	);
+}
+
+describe("mud3 data sync", () => {
+	describe("planDataSync", () => {
+		it("leaves out files nobody changed", () => {
+			const files = tree({ "help/a.txt": "a" });
+			assert.deepEqual(planDataSync(files, files, files), []);
+		});
+
+		it("takes files only mud3 changed, added or deleted", () => {
+			const base = tree({ "a.yaml": "a: 1\n", "b.yaml": "b: 1\n" });
+			const upstream = tree({ "a.yaml": "a: 2\n", "c.yaml": "c: 1\n" });
+			const entries = planDataSync(base, base, upstream);
+			assert.deepEqual(
+				entries.map(({ file, upstream, action, result }) => ({
+					file,
+					upstream,
+					action,
+					result: result?.toString(),
+				})),
+				[
+					{
+						file: "a.yaml",
+						upstream: "changed",
+						action: "update",
+						result: "a: 2\n",
+					},
+					{
+						file: "b.yaml",
+						upstream: "deleted",
+						action: "update",
+						result: undefined,
+					},
+					{
+						file: "c.yaml",
+						upstream: "added",
+						action: "update",
+						result: "c: 1\n",
+					},
+				]
+			);
+		});
+
+		it("keeps files only we changed", () => {
+			const base = tree({ "a.yaml": "a: 1\n" });
+			const local = tree({
+				"a.yaml": "a: 2\n",
+				"dungeons/mine.yaml": "x: 1\n",
+			});
+			const entries = planDataSync(base, local, base);
+			assert.deepEqual(
+				entries.map(({ file, local, action, reason }) => ({
+					file,
+					local,
+					action,
+					reason,
+				})),
+				[
+					{
+						file: "a.yaml",
+						local: "changed",
+						action: "keep",
+						reason: undefined,
+					},
+					{
+						file: "dungeons/mine.yaml",
+						local: "added",
+						action: "keep",
+						reason: "local-only dungeon",
+					},
+				]
+			);
+		});
+
+		it("merges YAML both sides changed in different places", () => {
+			const base = tree({ "rooms.yaml": ROOMS });
+			const local = tree({ "rooms.yaml": ROOMS.replace("one", "ONE") });
+			const upstream = tree({ "rooms.yaml": ROOMS.replace("four", "FOUR") });
+			const [entry] = planDataSync(base, local, upstream);
+			assert.equal(entry.action, "merge");
+			assert.equal(
+				entry.result?.toString(),
+				"rooms:\n  - ONE\n  - two\n  - three\n  - FOUR\n"
+			);
+		});
+
+		it("keeps a change made identically on both sides", () => {
+			const base = tree({ "rooms.yaml": ROOMS });
+			const changed = tree({ "rooms.yaml": ROOMS.replace("two", "TWO") });
+			const [entry] = planDataSync(base, changed, changed);
+			assert.equal(entry.action, "keep");
+			assert.equal(entry.reason, "same change on both sides");
+		});
+
+		it("reports lines changed differently, with mud3's side marked up", () => {
+			const base = tree({ "rooms.yaml": ROOMS });
+			const local = tree({ "rooms.yaml": ROOMS.replace("two", "ours") });
+			const upstream = tree({ "rooms.yaml": ROOMS.replace("two", "theirs") });
+			const [entry] = planDataSync(base, local, upstream);
+			assert.equal(entry.action, "conflict");
+			assert.equal(entry.reason, "1 conflicting change(s)");
+			assert.equal(entry.result, undefined);
+			assert.match(
+				entry.upstreamCopy!.toString(),
+				/<<<<<<< local\n {2}- ours\n=======\n {2}- theirs\n>>>>>>> mud3/
+			);
+		});
+
+		it("doesn't merge files that aren't YAML", () => {
+			const base = tree({ "help/a.txt": "one\ntwo\n" });
+			const local = tree({ "help/a.txt": "ONE\ntwo\n" });
+			const upstream = tree({ "help/a.txt": "one\nTWO\n" });
+			const [entry] = planDataSync(base, local, upstream);
+			assert.equal(entry.action, "conflict");
+			assert.equal(
+				entry.reason,
+				"changed on both sides; only YAML files are merged"
+			);
+		});
+
+		it("reports files that differ from mud3 as conflicts on the first sync", () => {
+			const local = tree({ "a.yaml": "a: 1\n", "b.yaml": "b: 1\n" });
+			const upstream = tree({ "a.yaml": "a: 1\n", "b.yaml": "b: 2\n" });
+			const entries = planDataSync(new Map(), local, upstream);
+			assert.deepEqual(
+				entries.map(({ file, action, reason }) => ({ file, action, reason })),
+				[
+					{
+						file: "a.yaml",
+						action: "keep",
+						reason: "same change on both sides",
+					},
+					{
+						file: "b.yaml",
+						action: "conflict",
+						reason: "added on both sides with different contents",
+					},
+				]
+			);
+			assert.equal(entries[1].upstreamCopy?.toString(), "b: 2\n");
+		});
+
+		it("won't overwrite a local-only dungeon mud3 adds a file for", () => {
+			const local = tree({ "dungeons/tower.yaml": "dungeon: {id: tower}\n" });
+			const upstream = tree({
+				"dungeons/tower.yaml": "dungeon: {id: other}\n",
+			});
+			const [entry] = planDataSync(new Map(), local, upstream);
+			assert.equal(entry.action, "conflict");
+			assert.equal(entry.result, undefined);
+			assert.equal(
+				entry.reason,
+				"local-only dungeon; mud3 added a different file with the same name"
+			);
+		});
+
+		it("reports a file deleted on one side and changed on the other", () => {
+			const base = tree({ "a.yaml": "a: 1\n" });
+			const changed = tree({ "a.yaml": "a: 2\n" });
+			const [deletedLocally] = planDataSync(base, new Map(), changed);
+			assert.equal(deletedLocally.action, "conflict");
+			assert.equal(deletedLocally.reason, "deleted locally, changed in mud3");
+			const [deletedUpstream] = planDataSync(base, changed, new Map());
+			assert.equal(deletedUpstream.action, "conflict");
+			assert.equal(deletedUpstream.reason, "changed locally, deleted in mud3");
+		});
+
+		it("reports a clean merge that isn't valid YAML", () => {
+			const base = tree({ "a.yaml": "a: 1\nb: 2\nc: 3\n" });
+			const local = tree({ "a.yaml": "a: [\nb: 2\nc: 3\n" });
+			const upstream = tree({ "a.yaml": "a: 1\nb: 2\nc: 4\n" });
+			const [entry] = planDataSync(base, local, upstream);
+			assert.equal(entry.action, "conflict");
+			assert.equal(entry.reason, "merged file is not valid YAML");
+		});
+	});
+
+	describe("readTree", () => {
+		it("skips the ignored directories and half-written files", async () => {
+			const dir = await mkdtemp(join(tmpdir(), "mud3-data-sync-"));
+			try {
+				await mkdir(join(dir, "dungeons"));
+				await mkdir(join(dir, "dungeon-history", "tower"), { recursive: true });
+				await writeFile(join(dir, "dungeons", "tower.yaml"), "a: 1\n");
+				await writeFile(join(dir, "dungeons", "tower.yaml.tmp"), "a: 2\n");
+				await writeFile(join(dir, "dungeon-history", "tower", "r.yaml"), "");
+				const files = await readTree(dir, ["dungeon-history"]);
+				assert.deepEqual([...files.keys()], ["dungeons/tower.yaml"]);
+			} finally {
+				await rm(dir, { recursive: true, force: true });
+			}
+		});
+
+		it("reads a missing directory as empty", async () => {
+			const files = await readTree(join(tmpdir(), "mud3-data-sync-missing"));
+			assert.equal(files.size, 0);
+		});
+	});
+});
@@ -0,0 +1,259 @@
+/**
+ * mud3 Data Sync
+ *
+ * Brings mud3's data directory into ours without losing local work. A copy
+ * of what mud3 shipped at the last sync is kept as the merge base, so each
+ * file can be classified as changed upstream, changed locally or both:
+ * upstream-only changes are taken, local-only changes are kept, and YAML
+ * files changed on both sides get a three-way merge. Anything that can't be
+ * merged cleanly is left as it is locally and reported as a conflict; once
+ * reported, mud3's version becomes the new base, like a resolved git merge.
+ */
+
+import { mkdir, readFile, readdir, rm, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+import YAML from "js-yaml";
+import { mergeText } from "./text-diff.js";
+
+export type FileChange = "added" | "changed" | "deleted";
+
+/** File contents keyed by path relative to the tree root, `/`-separated */
+export type FileTree = Map<string, Buffer>;
+
+export type SyncAction =
+	/** Take mud3's version (which may be a deletion) */
+	| "update"
+	/** Leave the local file as it is */
+	| "keep"
+	/** Write a clean three-way merge of both sides */
+	| "merge"
+	/** Leave the local file as it is and report */
+	| "conflict";
+
+export interface SyncEntry {
+	file: string;
+	/** How mud3 changed the file since the last sync */
+	upstream?: FileChange;
+	/** How we changed the file since the last sync */
+	local?: FileChange;
+	action: SyncAction;
+	/** New local contents for update/merge; undefined deletes the file */
+	result?: Buffer;
+	/** Why a file was kept or is in conflict */
+	reason?: string;
+	/** For conflicts: mud3's version, or a merge with conflict markers */
+	upstreamCopy?: Buffer;
+}
+
+/**
+ * Read every file under a directory. Missing directories read as empty.
+ *
+ * @param dir The tree root
+ * @param ignore Top-level names to skip, e.g. `dungeon-history`
+ */
+export async function readTree(
+	dir: string,
+	ignore: string[] = []
+): Promise<FileTree> {
+	const tree: FileTree = new Map();
+
+	async function walk(relativeDir: string): Promise<void> {
+		let entries;
+		try {
+			entries = await readdir(join(dir, relativeDir), { withFileTypes: true });
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code === "ENOENT") return;
+			throw error;
+		}
+		for (const entry of entries) {
+			const file = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+			if (!relativeDir && ignore.includes(entry.name)) continue;
+			if (entry.name.endsWith(".tmp")) continue;
+			if (entry.isDirectory()) {
+				await walk(file);
+			} else if (entry.isFile()) {
+				tree.set(file, await readFile(join(dir, file)));
+			}
+		}
+	}
+
+	await walk("");
+	return tree;
+}
+
+/**
+ * Write a tree out, replacing whatever the directory held before.
+ */
+export async function writeTree(dir: string, tree: FileTree): Promise<void> {
+	await rm(dir, { recursive: true, force: true });
+	for (const [file, content] of tree) {
+		await mkdir(dirname(join(dir, file)), { recursive: true });
+		await writeFile(join(dir, file), content);
+	}
+}
+
+function sameContent(a?: Buffer, b?: Buffer): boolean {
+	if (a === undefined || b === undefined) return a === b;
+	return a.equals(b);
+}
+
+/**
+ * How a file changed between two versions, or undefined if it didn't.
+ */
+export function fileChange(
+	before?: Buffer,
+	after?: Buffer
+): FileChange | undefined {
+	if (sameContent(before, after)) return undefined;
+	if (before === undefined) return "added";
+	if (after === undefined) return "deleted";
+	return "changed";
+}
+
+function isYamlFile(file: string): boolean {
+	return file.endsWith(".yaml") || file.endsWith(".yml");
+}
+
+function isLocalDungeon(file: string): boolean {
+	return file.startsWith("dungeons/") && isYamlFile(file);
+}
+
+function conflictReason(
+	file: string,
+	upstream: FileChange,
+	local: FileChange
+): string {
+	if (local === "added" && isLocalDungeon(file)) {
+		return "local-only dungeon; mud3 added a different file with the same name";
+	}
+	if (local === "added") return "added on both sides with different contents";
+	if (local === "deleted") return "deleted locally, changed in mud3";
+	if (upstream === "deleted") return "changed locally, deleted in mud3";
+	return "changed on both sides";
+}
+
+/**
+ * Decide what to do with every file that changed on either side since the
+ * last sync. Files nobody touched are left out.
+ *
+ * @param base mud3's data as of the last sync (empty if never synced)
+ * @param local Our data directory
+ * @param upstream mud3's data directory now
+ */
+export function planDataSync(
+	base: FileTree,
+	local: FileTree,
+	upstream: FileTree
+): SyncEntry[] {
+	const files = new Set([...base.keys(), ...local.keys(), ...upstream.keys()]);
+	const entries: SyncEntry[] = [];
+
+	for (const file of [...files].sort()) {
+		const baseContent = base.get(file);
+		const localContent = local.get(file);
+		const upstreamContent = upstream.get(file);
+		const upstreamChange = fileChange(baseContent, upstreamContent);
+		const localChange = fileChange(baseContent, localContent);
+
+		if (!upstreamChange && !localChange) continue;
+
+		if (!localChange) {
+			entries.push({
+				file,
+				upstream: upstreamChange,
+				action: "update",
+				result: upstreamContent,
+			});
+			continue;
+		}
+
+		if (!upstreamChange) {
+			entries.push({
+				file,
+				local: localChange,
+				action: "keep",
+				reason:
+					localChange === "added" && isLocalDungeon(file)
+						? "local-only dungeon"
+						: undefined,
+			});
+			continue;
+		}
+
+		// Changed on both sides
+		const entry: SyncEntry = {
+			file,
+			upstream: upstreamChange,
+			local: localChange,
+			action: "conflict",
+			upstreamCopy: upstreamContent,
+		};
+		entries.push(entry);
+
+		if (sameContent(localContent, upstreamContent)) {
+			entry.action = "keep";
+			entry.reason = "same change on both sides";
+			entry.upstreamCopy = undefined;
+			continue;
+		}
+
+		if (
+			baseContent === undefined ||
+			localContent === undefined ||
+			upstreamContent === undefined
+		) {
+			entry.reason = conflictReason(file, upstreamChange, localChange);
+			continue;
+		}
+
+		if (!isYamlFile(file)) {
+			entry.reason = "changed on both sides; only YAML files are merged";
+			continue;
+		}
+
+		const merged = mergeText(
+			baseContent.toString("utf-8"),
+			localContent.toString("utf-8"),
+			upstreamContent.toString("utf-8"),
+			{ ours: "local", theirs: "mud3" }
+		);
+		if (merged.conflicts > 0) {
+			entry.reason = `${merged.conflicts} conflicting change(s)`;
+			entry.upstreamCopy = Buffer.from(merged.text, "utf-8");
+			continue;
+		}
+
+		// A line merge can still produce a document that isn't valid YAML
+		try {
+			YAML.load(merged.text);
+		} catch {
+			entry.reason = "merged file is not valid YAML";
+			continue;
+		}
+
+		entry.action = "merge";
+		entry.result = Buffer.from(merged.text, "utf-8");
+	}
+
+	return entries;
+}
+
+/**
+ * Write the updates and merges from a plan into the local data directory.
+ * Kept and conflicting files are not touched.
+ */
+export async function applyDataSync(
+	entries: SyncEntry[],
+	localDir: string
+): Promise<void> {
+	for (const entry of entries) {
+		if (entry.action !== "update" && entry.action !== "merge") continue;
+		const path = join(localDir, entry.file);
+		if (entry.result === undefined) {
+			await rm(path, { force: true });
+		} else {
+			await mkdir(dirname(path), { recursive: true });
+			await writeFile(path, entry.result);
+		}
+	}
+}
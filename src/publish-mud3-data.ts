@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Publish dungeons from the project's data directory into the mud3 checkout
+ *
+ * Copies the named dungeons, or every dungeon that differs from mud3's copy,
+ * into src/mud3/data/dungeons. A diff of each file is shown first and every
+ * file is loaded through mud3's `loadDungeon`, alongside mud3's dungeons as
+ * they would be once published; if any of them fails, nothing is written.
+ *
+ * Usage: node dist/publish-mud3-data.js [--dry-run] [--yes] [dungeon id...]
+ */
+
+import { readFile, readdir, rename, writeFile, unlink } from "fs/promises";
+import { existsSync } from "fs";
+import { join, relative } from "path";
+import { createInterface } from "readline/promises";
+import YAML from "js-yaml";
+import { DiffLine, diffLines } from "./text-diff.js";
+import { isDungeonId, isRecord } from "./dungeon-checks.js";
+import { loadDungeonDocuments } from "./dungeon-references.js";
+import {
+	SCRATCH_PREFIX,
+	hasErrors,
+	validateDungeonYaml,
+} from "./dungeon-validation.js";
+
+const projectRoot = process.cwd();
+const localDungeonPath = join(projectRoot, "data", "dungeons");
+const mud3DataPath = join(projectRoot, "src", "mud3", "data");
+const mud3DungeonPath = join(mud3DataPath, "dungeons");
+
+/** Unchanged lines shown around each change */
+const DIFF_CONTEXT = 3;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const assumeYes = args.includes("--yes");
+const requestedIds = args.filter((arg) => !arg.startsWith("--"));
+
+interface PublishFile {
+	id: string;
+	content: string;
+	/** Undefined if mud3 doesn't have the dungeon yet */
+	previous?: string;
+}
+
+async function readOptional(path: string): Promise<string | undefined> {
+	try {
+		return await readFile(path, "utf-8");
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+		throw error;
+	}
+}
+
+/**
+ * Diff lines as `+`/`-`/` ` lines, with long unchanged runs cut down to
+ * the context around each change.
+ */
+function formatDiff(diff: DiffLine[]): string[] {
+	const out: string[] = [];
+	let lastShown = -1;
+	diff.forEach((line, i) => {
+		const nearChange = diff
+			.slice(Math.max(0, i - DIFF_CONTEXT), i + DIFF_CONTEXT + 1)
+			.some((other) => other.type !== "same");
+		if (!nearChange) return;
+		if (lastShown !== -1 && lastShown < i - 1) out.push("  ...");
+		lastShown = i;
+		const prefix =
+			line.type === "added" ? "+" : line.type === "removed" ? "-" : " ";
+		out.push(`  ${prefix} ${line.text}`);
+	});
+	return out;
+}
+
+/**
+ * The requested dungeons, or every local dungeon that differs from mud3's.
+ * Dungeons identical to mud3's copy are left out.
+ */
+async function collectFiles(): Promise<PublishFile[]> {
+	// Ids become file paths, so they must be ids the editor could create
+	const invalid = requestedIds.filter((id) => !isDungeonId(id));
+	if (invalid.length > 0) {
+		throw new Error(`Not a valid dungeon id: ${invalid.join(", ")}`);
+	}
+
+	let ids = requestedIds;
+	if (ids.length === 0) {
+		ids = (await readdir(localDungeonPath))
+			.filter(
+				(file) => file.endsWith(".yaml") && !file.startsWith(SCRATCH_PREFIX)
+			)
+			.map((file) => file.slice(0, -".yaml".length));
+	}
+
+	const files: PublishFile[] = [];
+	for (const id of ids.sort()) {
+		const content = await readOptional(join(localDungeonPath, `${id}.yaml`));
+		if (content === undefined) {
+			throw new Error(`Dungeon "${id}" not found in ${localDungeonPath}`);
+		}
+		const previous = await readOptional(join(mud3DungeonPath, `${id}.yaml`));
+		if (content === previous) {
+			if (requestedIds.length > 0) {
+				console.log(`${id}: already up to date in mud3, skipping`);
+			}
+			continue;
+		}
+		files.push({ id, content, previous });
+	}
+	return files;
+}
+
+async function confirm(question: string): Promise<boolean> {
+	if (!process.stdin.isTTY) return false;
+	const rl = createInterface({ input: process.stdin, output: process.stdout });
+	try {
+		return /^y(es)?$/i.test((await rl.question(question)).trim());
+	} finally {
+		rl.close();
+	}
+}
+
+async function publish(): Promise<number> {
+	console.log("Publishing dungeons to mud3 data directory...\n");
+
+	if (!existsSync(mud3DungeonPath)) {
+		console.error(
+			`Error: mud3 dungeon directory not found at ${mud3DungeonPath}`
+		);
+		return 1;
+	}
+
+	let files: PublishFile[];
+	try {
+		files = await collectFiles();
+	} catch (error) {
+		console.error(`Error: ${(error as Error).message}`);
+		return 1;
+	}
+
+	if (files.length === 0) {
+		console.log("✅ Nothing to publish; mud3 already has every dungeon.");
+		return 0;
+	}
+
+	// Show what would change
+	for (const file of files) {
+		const target = relative(
+			projectRoot,
+			join(mud3DungeonPath, `${file.id}.yaml`)
+		);
+		console.log(file.previous === undefined ? `${target} (new)` : target);
+		for (const line of formatDiff(
+			diffLines(file.previous ?? "", file.content)
+		)) {
+			console.log(line);
+		}
+		console.log("");
+	}
+
+	// Every file must load before any is written. References resolve
+	// against mud3's dungeons with the published files in place
+	const pending = new Map(files.map((file) => [file.id, file.content]));
+	const otherDungeons = await loadDungeonDocuments(mud3DungeonPath);
+	for (const file of files) {
+		try {
+			const data = YAML.load(file.content);
+			if (isRecord(data) && isRecord(data.dungeon)) {
+				otherDungeons.set(file.id, data.dungeon);
+			}
+		} catch {
+			// Reported by its own validation below
+		}
+	}
+	let failed = 0;
+	for (const file of files) {
+		const issues = await validateDungeonYaml(file.id, file.content, {
+			dataDir: mud3DataPath,
+			dungeonDir: mud3DungeonPath,
+			pending,
+			otherDungeons,
+		});
+		if (!hasErrors(issues)) continue;
+		failed++;
+		console.log(`${file.id}.yaml`);
+		for (const issue of issues) {
+			console.log(
+				`  ${issue.severity.padEnd(7)} ${issue.path}: ${issue.message}`
+			);
+		}
+		console.log("");
+	}
+	if (failed > 0) {
+		console.log(
+			`❌ ${failed} dungeon(s) failed validation; nothing was published.`
+		);
+		return 1;
+	}
+
+	if (dryRun) {
+		console.log(`Dry run; ${files.length} dungeon(s) would be published.`);
+		return 0;
+	}
+
+	if (
+		!assumeYes &&
+		!(await confirm(`Publish ${files.length} dungeon(s) to mud3? [y/N] `))
+	) {
+		console.log(
+			"Cancelled; nothing was published. Pass --yes to skip this prompt."
+		);
+		return 1;
+	}
+
+	for (const file of files) {
+		const path = join(mud3DungeonPath, `${file.id}.yaml`);
+		const tempPath = `${path}.tmp`;
+		try {
+			await writeFile(tempPath, file.content, "utf-8");
+			await rename(tempPath, path);
+		} catch (error) {
+			await unlink(tempPath).catch(() => {});
+			console.error(
+				`❌ Error: Failed to write ${path}: ${(error as Error).message}`
+			);
+			return 1;
+		}
+		console.log(`Published ${file.id}`);
+	}
+
+	console.log(
+		`\n✅ Published ${files.length} dungeon(s). Commit them in src/mud3 to send them upstream.`
+	);
+	return 0;
+}
+
+publish().then((code) => {
+	process.exitCode = code;
+});
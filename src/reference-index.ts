@@ -0,0 +1,92 @@
+/**
+ * Reference Index
+ *
+ * Every room and template reference in every dungeon and in locations.yaml,
+ * kept in memory until a dungeon file changes. Answers "what uses this?"
+ * for a dungeon, a room or a template.
+ */
+
+import { CachedBuild } from "./cached-build.js";
+import { parseRoomRef, parseTemplateRef } from "./dungeon-checks.js";
+import {
+	DungeonReference,
+	collectDungeonReferences,
+	collectLocationReferences,
+	loadDungeonDocuments,
+	loadLocations,
+} from "./dungeon-references.js";
+
+/**
+ * Whether a reference points at a target, which is one of:
+ * - a dungeon id (`tower`): anything pointing into the dungeon
+ * - a room (`@tower{1,2,0}`): links, resets and locations for that room
+ * - a template (`@tower:goblin`): resets using the template
+ */
+export function referenceMatches(
+	ref: DungeonReference,
+	target: string
+): boolean {
+	const room = parseRoomRef(target);
+	if (room) {
+		const refRoom = ref.targetTemplate ? undefined : parseRoomRef(ref.value);
+		return (
+			refRoom !== undefined &&
+			refRoom.dungeonId === room.dungeonId &&
+			refRoom.x === room.x &&
+			refRoom.y === room.y &&
+			refRoom.z === room.z
+		);
+	}
+
+	if (target.startsWith("@")) {
+		const template = parseTemplateRef(target);
+		return (
+			ref.targetDungeon === template.dungeonId &&
+			ref.targetTemplate === template.templateId
+		);
+	}
+
+	return ref.targetDungeon === target;
+}
+
+export class ReferenceIndex {
+	private cache = new CachedBuild(() => this.build());
+
+	constructor(
+		private dungeonDir: string,
+		private locationsPath: string
+	) {}
+
+	/**
+	 * All references, building the index if it isn't cached.
+	 */
+	get(): Promise<DungeonReference[]> {
+		return this.cache.get();
+	}
+
+	/**
+	 * Drop the cached index. Call after any dungeon file or locations.yaml
+	 * is written, moved or deleted.
+	 */
+	invalidate(): void {
+		this.cache.invalidate();
+	}
+
+	/**
+	 * The references pointing at a dungeon, room or template.
+	 */
+	async find(target: string): Promise<DungeonReference[]> {
+		return (await this.get()).filter((ref) => referenceMatches(ref, target));
+	}
+
+	private async build(): Promise<DungeonReference[]> {
+		const references: DungeonReference[] = [];
+		for (const [id, dungeon] of await loadDungeonDocuments(this.dungeonDir)) {
+			references.push(...collectDungeonReferences(id, dungeon));
+		}
+		references.push(
+			...collectLocationReferences(await loadLocations(this.locationsPath))
+		);
+		return references;
+	}
+}
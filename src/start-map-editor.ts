@@ -2,19 +2,25 @@
  * Start the map editor server
  *
  * Run this script to start the HTTP server for the web-based map editor.
- * The server will be available at http://localhost:3000
+ * By default it listens on port 3000 on every interface and edits data/
+ * in the working directory; see editor-config.ts for the environment
+ * variables and config.yaml settings that change that.
+ *
+ * Usage: node dist/start-map-editor.js [--port <n>] [--host <address>]
+ *   [--data-dir <dir>] [--static-dir <dir>]
  */
 
 import { loadPackage } from "package-loader";
 import { createMapEditorServer } from "./map-editor-server.js";
+import { loadEditorOptions } from "./editor-config.js";
 import logger from "./mud3/src/logger.js";
 import dungeon from "./mud3/src/package/dungeon.js";
 import archetype from "./mud3/src/package/archetype.js";
 
-const server = createMapEditorServer();
-
 async function start() {
 	try {
+		const server = createMapEditorServer(await loadEditorOptions());
+
 		// Load packages so API endpoints work
 		await logger.block("archetype", async () => {
 			await loadPackage(archetype);
@@ -0,0 +1,262 @@
+/**
+ * Static Files
+ *
+ * Serves the editor's page, scripts, styles and other assets. Files are
+ * read as bytes, so images and fonts come through intact, and kept in
+ * memory with their entity tag and compressed forms until they change on
+ * disk. Browsers revalidate with If-None-Match or If-Modified-Since and
+ * get a 304 when nothing changed; those that accept brotli or gzip get
+ * text assets compressed.
+ */
+
+import { IncomingMessage, ServerResponse } from "http";
+import { readFile, stat } from "fs/promises";
+import { dirname, extname, join } from "path";
+import { createRequire } from "module";
+import { createHash } from "crypto";
+import { promisify } from "util";
+import { brotliCompress, gzip, constants as ZLIB_CONSTANTS } from "zlib";
+
+const brotliCompressAsync = promisify(brotliCompress);
+const gzipAsync = promisify(gzip);
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Browser builds of our npm dependencies, served at /vendor/<name> so the
+ * editor never fetches anything from outside. Each is a file within its
+ * package, found wherever npm installed it; index.html maps the bare
+ * specifiers app.js imports onto these URLs.
+ */
+export const VENDOR_MODULES: Record<string, { package: string; file: string }> =
+	{
+		"js-yaml.mjs": { package: "js-yaml", file: "dist/js-yaml.mjs" },
+	};
+
+/** Where a /vendor/ file lives on disk; undefined if there is no such file */
+export function vendorPath(name: string): string | undefined {
+	if (!Object.hasOwn(VENDOR_MODULES, name)) return undefined;
+	const module = VENDOR_MODULES[name];
+	return join(
+		dirname(require.resolve(`${module.package}/package.json`)),
+		module.file
+	);
+}
+
+/** Content types by lowercase file extension */
+export const MIME_TYPES: Record<string, string> = {
+	".html": "text/html; charset=utf-8",
+	".css": "text/css; charset=utf-8",
+	".js": "text/javascript; charset=utf-8",
+	".mjs": "text/javascript; charset=utf-8",
+	".map": "application/json; charset=utf-8",
+	".json": "application/json; charset=utf-8",
+	".yaml": "text/yaml; charset=utf-8",
+	".yml": "text/yaml; charset=utf-8",
+	".txt": "text/plain; charset=utf-8",
+	".svg": "image/svg+xml",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif": "image/gif",
+	".webp": "image/webp",
+	".ico": "image/x-icon",
+	".woff": "font/woff",
+	".woff2": "font/woff2",
+	".ttf": "font/ttf",
+	".otf": "font/otf",
+	".wasm": "application/wasm",
+};
+
+/** For extensions not in the table; browsers won't try to render it */
+const DEFAULT_MIME_TYPE = "application/octet-stream";
+
+/** Smaller files aren't worth the compression overhead */
+const MIN_COMPRESS_BYTES = 1024;
+
+/** Content encodings we produce, in order of preference */
+type Encoding = "br" | "gzip";
+
+/** The content type for a file name, by its extension */
+export function mimeType(path: string): string {
+	return MIME_TYPES[extname(path).toLowerCase()] ?? DEFAULT_MIME_TYPE;
+}
+
+/** Text formats shrink well; images and fonts are already compressed */
+function isCompressible(type: string): boolean {
+	return (
+		type.startsWith("text/") ||
+		type.startsWith("application/json") ||
+		type === "image/svg+xml" ||
+		type === "application/wasm"
+	);
+}
+
+/**
+ * The best encoding the client accepts, from an Accept-Encoding header.
+ * Honours `q=0` refusals and `*`, but otherwise prefers brotli to gzip
+ * whatever their weights.
+ */
+export function chooseEncoding(
+	acceptEncoding: string | undefined
+): Encoding | undefined {
+	if (!acceptEncoding) return undefined;
+	const weights = new Map<string, number>();
+	for (const part of acceptEncoding.split(",")) {
+		const [name, ...params] = part.trim().toLowerCase().split(";");
+		if (!name) continue;
+		const q = params
+			.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param))
+			.find(Boolean);
+		weights.set(name, q ? Number(q[1]) : 1);
+	}
+	const accepts = (encoding: Encoding) =>
+		(weights.get(encoding) ?? weights.get("*") ?? 0) > 0;
+	if (accepts("br")) return "br";
+	if (accepts("gzip")) return "gzip";
+	return undefined;
+}
+
+/** Whether an If-None-Match header value names the given entity tag */
+function etagListed(ifNoneMatch: string, etag: string): boolean {
+	const opaque = etag.replace(/^W\//, "");
+	return ifNoneMatch
+		.split(",")
+		.map((tag) => tag.trim().replace(/^W\//, ""))
+		.some((tag) => tag === "*" || tag === opaque);
+}
+
+interface StaticFile {
+	mtimeMs: number;
+	size: number;
+	content: Buffer;
+	type: string;
+	/** Quoted hash of the uncompressed bytes */
+	etag: string;
+	lastModified: string;
+	/** Compressed forms, made on first request */
+	encoded: Map<Encoding, Promise<Buffer>>;
+}
+
+export class StaticFiles {
+	private files = new Map<string, StaticFile>();
+
+	/**
+	 * Answer a GET or HEAD for a file: 200 with the (possibly compressed)
+	 * content, 304 if the client's copy is current, or 404 if there is no
+	 * such file. `path` must already be checked to lie inside the static
+	 * directory.
+	 */
+	async serve(
+		req: IncomingMessage,
+		res: ServerResponse,
+		path: string
+	): Promise<void> {
+		const file = await this.load(path);
+		if (!file) {
+			res.writeHead(404, { "Content-Type": "text/plain" });
+			res.end("Not Found");
+			return;
+		}
+
+		const encoding = isCompressible(file.type)
+			? chooseEncoding(req.headers["accept-encoding"])
+			: undefined;
+		const compress = encoding && file.size >= MIN_COMPRESS_BYTES;
+		const headers: Record<string, string> = {
+			// Names aren't fingerprinted, so always check before reusing
+			"Cache-Control": "no-cache",
+			ETag: compress ? `${file.etag.slice(0, -1)}-${encoding}"` : file.etag,
+			"Last-Modified": file.lastModified,
+		};
+		if (isCompressible(file.type)) headers.Vary = "Accept-Encoding";
+
+		if (this.isFresh(req, file)) {
+			res.writeHead(304, headers);
+			res.end();
+			return;
+		}
+
+		const body = compress ? await this.encode(file, encoding) : file.content;
+		res.writeHead(200, {
+			...headers,
+			"Content-Type": file.type,
+			"Content-Length": String(body.length),
+			...(compress ? { "Content-Encoding": encoding } : {}),
+		});
+		res.end(req.method === "HEAD" ? undefined : body);
+	}
+
+	/**
+	 * Whether the client's cached copy is current. If-None-Match wins
+	 * over If-Modified-Since when both are sent. Any of the file's tags
+	 * match, since its compressed forms all hold the same content.
+	 */
+	private isFresh(req: IncomingMessage, file: StaticFile): boolean {
+		const ifNoneMatch = req.headers["if-none-match"];
+		if (ifNoneMatch) {
+			const base = file.etag.slice(0, -1);
+			return [file.etag, `${base}-br"`, `${base}-gzip"`].some((etag) =>
+				etagListed(ifNoneMatch, etag)
+			);
+		}
+		const ifModifiedSince = req.headers["if-modified-since"];
+		if (ifModifiedSince) {
+			const since = Date.parse(ifModifiedSince);
+			// Last-Modified only has whole seconds
+			return !isNaN(since) && Math.floor(file.mtimeMs / 1000) * 1000 <= since;
+		}
+		return false;
+	}
+
+	/** The file, from memory unless it changed on disk; undefined if missing */
+	private async load(path: string): Promise<StaticFile | undefined> {
+		let stats;
+		try {
+			stats = await stat(path);
+		} catch (error) {
+			const code = (error as NodeJS.ErrnoException).code;
+			if (code === "ENOENT" || code === "ENOTDIR") return undefined;
+			throw error;
+		}
+		if (!stats.isFile()) return undefined;
+
+		const cached = this.files.get(path);
+		if (
+			cached &&
+			cached.mtimeMs === stats.mtimeMs &&
+			cached.size === stats.size
+		) {
+			return cached;
+		}
+
+		const content = await readFile(path);
+		const file: StaticFile = {
+			mtimeMs: stats.mtimeMs,
+			size: content.length,
+			content,
+			type: mimeType(path),
+			etag: `"${createHash("sha1").update(content).digest("hex")}"`,
+			lastModified: stats.mtime.toUTCString(),
+			encoded: new Map(),
+		};
+		this.files.set(path, file);
+		return file;
+	}
+
+	private encode(file: StaticFile, encoding: Encoding): Promise<Buffer> {
+		let encoded = file.encoded.get(encoding);
+		if (!encoded) {
+			encoded =
+				encoding === "br"
+					? brotliCompressAsync(file.content, {
+							params: {
+								[ZLIB_CONSTANTS.BROTLI_PARAM_SIZE_HINT]: file.content.length,
+							},
+						})
+					: gzipAsync(file.content, { level: 9 });
+			file.encoded.set(encoding, encoded);
+		}
+		return encoded;
+	}
+}
@@ -0,0 +1,64 @@
+/**
+ * Template Catalog
+ *
+ * Every mob/object template from every dungeon, with the global id other
+ * dungeons use to refer to it. Building it means parsing every dungeon
+ * file, so the result is kept in memory until a dungeon file changes.
+ */
+
+import { CachedBuild } from "./cached-build.js";
+import { isRecord } from "./dungeon-checks.js";
+import { readDungeonFiles } from "./dungeon-references.js";
+
+export interface CatalogTemplate {
+	/** `@dungeon:id`, usable from any dungeon */
+	globalId: string;
+	dungeonId: string;
+	/** Id within its own dungeon */
+	localId: string;
+	type?: string;
+	display?: string;
+}
+
+export class TemplateCatalog {
+	private cache = new CachedBuild(() => this.build());
+
+	constructor(private dungeonDir: string) {}
+
+	/**
+	 * All templates, building the catalog if it isn't cached.
+	 */
+	get(): Promise<CatalogTemplate[]> {
+		return this.cache.get();
+	}
+
+	/**
+	 * Drop the cached catalog. Call after any dungeon file is written,
+	 * moved or deleted.
+	 */
+	invalidate(): void {
+		this.cache.invalidate();
+	}
+
+	private async build(): Promise<CatalogTemplate[]> {
+		const templates: CatalogTemplate[] = [];
+		for (const file of await readDungeonFiles(this.dungeonDir)) {
+			const list = file.data.dungeon.templates;
+			if (!Array.isArray(list)) continue;
+			for (const template of list) {
+				if (!isRecord(template) || typeof template.id !== "string") continue;
+				templates.push({
+					globalId: template.id.includes("@")
+						? template.id
+						: `@${file.id}:${template.id}`,
+					dungeonId: file.id,
+					localId: template.id,
+					type: typeof template.type === "string" ? template.type : undefined,
+					display:
+						typeof template.display === "string" ? template.display : undefined,
+				});
+			}
+		}
+		return templates;
+	}
+}
@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { diffLines, mergeText } from "./text-diff.js";
+
+const BASE = "one\ntwo\nthree\nfour\nfive\n";
+
+describe("text diff", () => {
+	describe("diffLines", () => {
+		it("tags kept, added and removed lines", () => {
+			assert.deepEqual(diffLines("a\nb\nc\n", "a\nc\nd\n"), [
+				{ type: "same", text: "a" },
+				{ type: "removed", text: "b" },
+				{ type: "same", text: "c" },
+				{ type: "added", text: "d" },
+			]);
+		});
+
+		it("treats a missing text as no lines", () => {
+			assert.deepEqual(diffLines("", "a\n"), [{ type: "added", text: "a" }]);
+		});
+	});
+
+	describe("mergeText", () => {
+		it("merges changes to different lines", () => {
+			const ours = BASE.replace("two", "TWO");
+			const theirs = BASE.replace("four", "FOUR");
+			assert.deepEqual(mergeText(BASE, ours, theirs), {
+				text: "one\nTWO\nthree\nFOUR\nfive\n",
+				conflicts: 0,
+			});
+		});
+
+		it("keeps a change made on both sides once", () => {
+			const changed = BASE.replace("three", "THREE");
+			assert.deepEqual(mergeText(BASE, changed, changed), {
+				text: changed,
+				conflicts: 0,
+			});
+		});
+
+		it("marks lines changed differently on each side", () => {
+			const result = mergeText(
+				BASE,
+				BASE.replace("three", "ours"),
+				BASE.replace("three", "theirs"),
+				{ ours: "local", theirs: "mud3" }
+			);
+			assert.equal(result.conflicts, 1);
+			assert.equal(
+				result.text,
+				"one\ntwo\n<<<<<<< local\nours\n=======\ntheirs\n>>>>>>> mud3\nfour\nfive\n"
+			);
+		});
+
+		it("takes lines one side added at the end", () => {
+			const theirs = `${BASE}six\n`;
+			assert.deepEqual(mergeText(BASE, BASE, theirs), {
+				text: theirs,
+				conflicts: 0,
+			});
+			assert.deepEqual(mergeText(BASE, theirs, BASE), {
+				text: theirs,
+				conflicts: 0,
+			});
+		});
+
+		it("marks different lines added at the end on each side", () => {
+			const result = mergeText(BASE, `${BASE}six\n`, `${BASE}seven\n`);
+			assert.equal(result.conflicts, 1);
+			assert.equal(
+				result.text,
+				`${BASE}<<<<<<< ours\nsix\n=======\nseven\n>>>>>>> theirs\n`
+			);
+		});
+
+		it("merges a deletion on one side with an edit elsewhere on the other", () => {
+			const ours = BASE.replace("two\n", "");
+			const theirs = BASE.replace("five", "FIVE");
+			assert.deepEqual(mergeText(BASE, ours, theirs), {
+				text: "one\nthree\nfour\nFIVE\n",
+				conflicts: 0,
+			});
+		});
+	});
+});
@@ -0,0 +1,206 @@
+/**
+ * Text Diff
+ *
+ * Line-based diff used to compare dungeon YAML revisions.
+ */
+
+export type DiffLineType = "same" | "added" | "removed";
+
+export interface DiffLine {
+	type: DiffLineType;
+	text: string;
+}
+
+/**
+ * Split text into lines, ignoring the empty line after a trailing newline.
+ */
+export function splitLines(text: string): string[] {
+	if (text === "") return [];
+	const lines = text.split(/\r?\n/);
+	if (lines[lines.length - 1] === "") lines.pop();
+	return lines;
+}
+
+/**
+ * Compute a shortest line diff between two texts (Myers' algorithm).
+ *
+ * @param before The old text
+ * @param after The new text
+ * @returns Every line of both texts, tagged as kept, added or removed
+ */
+export function diffLines(before: string, after: string): DiffLine[] {
+	const a = splitLines(before);
+	const b = splitLines(after);
+	const n = a.length;
+	const m = b.length;
+	const max = n + m;
+	const offset = max + 1;
+
+	// v[k] is the furthest x reached on diagonal k; keep a copy per step
+	// so the edit path can be walked back afterwards
+	const v = new Int32Array(2 * max + 3);
+	const trace: Int32Array[] = [];
+
+	search: for (let d = 0; d <= max; d++) {
+		trace.push(v.slice());
+		for (let k = -d; k <= d; k += 2) {
+			let x =
+				k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+					? v[offset + k + 1]
+					: v[offset + k - 1] + 1;
+			let y = x - k;
+			while (x < n && y < m && a[x] === b[y]) {
+				x++;
+				y++;
+			}
+			v[offset + k] = x;
+			if (x >= n && y >= m) break search;
+		}
+	}
+
+	// Walk the trace backwards to recover the edits
+	const result: DiffLine[] = [];
+	let x = n;
+	let y = m;
+	for (let d = trace.length - 1; d >= 0; d--) {
+		const step = trace[d];
+		const k = x - y;
+		const prevK =
+			k === -d || (k !== d && step[offset + k - 1] < step[offset + k + 1])
+				? k + 1
+				: k - 1;
+		const prevX = d === 0 ? 0 : step[offset + prevK];
+		const prevY = prevX - prevK;
+
+		while (x > prevX && y > prevY) {
+			result.push({ type: "same", text: a[--x] });
+			y--;
+		}
+		if (d === 0) break;
+		if (x === prevX) {
+			result.push({ type: "added", text: b[--y] });
+		} else {
+			result.push({ type: "removed", text: a[--x] });
+		}
+	}
+
+	return result.reverse();
+}
+
+export interface MergeResult {
+	/** Merged text; conflicting regions carry git-style markers */
+	text: string;
+	/** Number of regions both sides changed differently */
+	conflicts: number;
+}
+
+/**
+ * For each line of `base`, the index of the same line in the other text,
+ * or -1 if the other text removed it.
+ */
+function baseLineMap(diff: DiffLine[], baseLength: number): number[] {
+	const map = new Array<number>(baseLength).fill(-1);
+	let b = 0;
+	let o = 0;
+	for (const line of diff) {
+		if (line.type === "same") map[b++] = o++;
+		else if (line.type === "removed") b++;
+		else o++;
+	}
+	return map;
+}
+
+function sameLines(a: string[], b: string[]): boolean {
+	return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way line merge (diff3). Regions changed on only one side take that
+ * side's lines; regions changed identically on both sides are kept once;
+ * anything else is a conflict.
+ *
+ * @param base The common ancestor
+ * @param ours Our edited copy
+ * @param theirs Their edited copy
+ * @param labels Names for the conflict markers
+ */
+export function mergeText(
+	base: string,
+	ours: string,
+	theirs: string,
+	labels: { ours: string; theirs: string } = { ours: "ours", theirs: "theirs" }
+): MergeResult {
+	const baseLines = splitLines(base);
+	const ourLines = splitLines(ours);
+	const theirLines = splitLines(theirs);
+	const toOurs = baseLineMap(diffLines(base, ours), baseLines.length);
+	const toTheirs = baseLineMap(diffLines(base, theirs), baseLines.length);
+
+	const out: string[] = [];
+	let conflicts = 0;
+	let b = 0;
+	let o = 0;
+	let t = 0;
+
+	while (true) {
+		// Lines all three agree on
+		while (b < baseLines.length && toOurs[b] === o && toTheirs[b] === t) {
+			out.push(baseLines[b]);
+			b++;
+			o++;
+			t++;
+		}
+		if (
+			b >= baseLines.length &&
+			o >= ourLines.length &&
+			t >= theirLines.length
+		) {
+			break;
+		}
+
+		// The changed region runs up to the next base line both sides kept
+		let nextB = b;
+		while (
+			nextB < baseLines.length &&
+			(toOurs[nextB] === -1 || toTheirs[nextB] === -1)
+		) {
+			nextB++;
+		}
+		const nextO = nextB < baseLines.length ? toOurs[nextB] : ourLines.length;
+		const nextT =
+			nextB < baseLines.length ? toTheirs[nextB] : theirLines.length;
+
+		const baseRegion = baseLines.slice(b, nextB);
+		const ourRegion = ourLines.slice(o, nextO);
+		const theirRegion = theirLines.slice(t, nextT);
+
+		if (sameLines(ourRegion, baseRegion)) {
+			out.push(...theirRegion);
+		} else if (
+			sameLines(theirRegion, baseRegion) ||
+			sameLines(ourRegion, theirRegion)
+		) {
+			out.push(...ourRegion);
+		} else {
+			conflicts++;
+			out.push(
+				`<<<<<<< ${labels.ours}`,
+				...ourRegion,
+				"=======",
+				...theirRegion,
+				`>>>>>>> ${labels.theirs}`
+			);
+		}
+
+		b = nextB;
+		o = nextO;
+		t = nextT;
+	}
+
+	const trailingNewline =
+		/\n$/.test(ours) || (ours === "" && /\n$/.test(theirs));
+	return {
+		text: out.join("\n") + (out.length > 0 && trailingNewline ? "\n" : ""),
+		conflicts,
+	};
+}
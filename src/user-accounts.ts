@@ -0,0 +1,366 @@
+/**
+ * User Accounts
+ *
+ * Local accounts for the map editor, kept in a YAML file under data/:
+ *
+ *   users:
+ *     - username: alice
+ *       role: builder
+ *       dungeons: [tower, sewers]
+ *       password: scrypt$<salt>$<hash>
+ *
+ * Viewers can look at everything, builders can also edit dungeons (only the
+ * listed ones if `dungeons` is set) and admins can do anything, including
+ * managing accounts. Passwords are stored as scrypt hashes. Login sessions
+ * live in memory, so restarting the server logs everyone out.
+ */
+
+import { mkdir, readFile, rename, stat, writeFile } from "fs/promises";
+import { dirname } from "path";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import YAML from "js-yaml";
+
+const scryptAsync = promisify(scrypt) as (
+	password: string,
+	salt: Buffer,
+	keylen: number
+) => Promise<Buffer>;
+
+/** Roles from least to most privileged */
+export const ROLES = ["viewer", "builder", "admin"] as const;
+
+export type Role = (typeof ROLES)[number];
+
+export interface UserAccount {
+	username: string;
+	role: Role;
+	/** Dungeon ids a builder may edit; undefined for every dungeon */
+	dungeons?: string[];
+	/** `scrypt$<salt>$<hash>`, both hex */
+	password: string;
+}
+
+/** An account as the API shows it */
+export type PublicUser = Omit<UserAccount, "password">;
+
+export interface UserChanges {
+	role?: Role;
+	/** null lifts a builder's restriction */
+	dungeons?: string[] | null;
+	password?: string;
+}
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/** Thrown for requests the store refuses; `status` is the HTTP status */
+export class UserAccountError extends Error {
+	constructor(
+		message: string,
+		public readonly status: 400 | 404 | 409
+	) {
+		super(message);
+	}
+}
+
+export async function hashPassword(password: string): Promise<string> {
+	const salt = randomBytes(16);
+	const hash = await scryptAsync(password, salt, KEY_LENGTH);
+	return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(
+	password: string,
+	stored: string
+): Promise<boolean> {
+	const [scheme, salt, hash] = stored.split("$");
+	if (scheme !== "scrypt" || !salt || !hash) return false;
+	const expected = Buffer.from(hash, "hex");
+	const actual = await scryptAsync(
+		password,
+		Buffer.from(salt, "hex"),
+		expected.length
+	);
+	return timingSafeEqual(actual, expected);
+}
+
+export function hasRole(user: PublicUser, role: Role): boolean {
+	return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+export function canEditDungeon(user: PublicUser, dungeonId: string): boolean {
+	if (user.role === "admin") return true;
+	if (user.role !== "builder") return false;
+	return !user.dungeons || user.dungeons.includes(dungeonId);
+}
+
+export function publicUser({ password, ...user }: UserAccount): PublicUser {
+	return user;
+}
+
+function isRole(value: unknown): value is Role {
+	return ROLES.includes(value as Role);
+}
+
+function checkPassword(password: unknown): asserts password is string {
+	if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+		throw new UserAccountError(
+			`Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+			400
+		);
+	}
+}
+
+function checkDungeons(dungeons: unknown): asserts dungeons is string[] {
+	if (
+		!Array.isArray(dungeons) ||
+		!dungeons.every((id) => typeof id === "string" && id)
+	) {
+		throw new UserAccountError("dungeons must be a list of dungeon ids", 400);
+	}
+}
+
+export class UserStore {
+	private users?: UserAccount[];
+	/** mtime of the file as last read, so hand edits are picked up */
+	private loadedMtime?: number;
+
+	constructor(private path: string) {}
+
+	async list(): Promise<UserAccount[]> {
+		let mtime: number | undefined;
+		try {
+			mtime = (await stat(this.path)).mtimeMs;
+		} catch (error) {
+			if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+		}
+		if (!this.users || mtime !== this.loadedMtime) {
+			this.users = mtime === undefined ? [] : await this.read();
+			this.loadedMtime = mtime;
+		}
+		return this.users;
+	}
+
+	async find(username: string): Promise<UserAccount | undefined> {
+		return (await this.list()).find((user) => user.username === username);
+	}
+
+	/** The account, if the password is right */
+	async authenticate(
+		username: string,
+		password: string
+	): Promise<UserAccount | undefined> {
+		const user = await this.find(username);
+		if (!user || !(await verifyPassword(password, user.password))) {
+			return undefined;
+		}
+		return user;
+	}
+
+	async add(
+		username: unknown,
+		password: unknown,
+		role: unknown,
+		dungeons?: unknown
+	): Promise<UserAccount> {
+		if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+			throw new UserAccountError(
+				"Username may only contain letters, numbers, dots, hyphens and underscores",
+				400
+			);
+		}
+		if (!isRole(role)) {
+			throw new UserAccountError(
+				`Role must be one of ${ROLES.join(", ")}`,
+				400
+			);
+		}
+		checkPassword(password);
+		if (dungeons !== undefined && dungeons !== null) checkDungeons(dungeons);
+
+		const users = await this.list();
+		if (users.some((user) => user.username === username)) {
+			throw new UserAccountError(`User "${username}" already exists`, 409);
+		}
+		const user: UserAccount = {
+			username,
+			role,
+			password: await hashPassword(password),
+		};
+		if (role === "builder" && dungeons) user.dungeons = dungeons;
+		await this.write([...users, user]);
+		return user;
+	}
+
+	async update(username: string, changes: UserChanges): Promise<UserAccount> {
+		const users = await this.list();
+		const current = users.find((user) => user.username === username);
+		if (!current) {
+			throw new UserAccountError(`User "${username}" not found`, 404);
+		}
+
+		const user = { ...current };
+		if (changes.role !== undefined) {
+			if (!isRole(changes.role)) {
+				throw new UserAccountError(
+					`Role must be one of ${ROLES.join(", ")}`,
+					400
+				);
+			}
+			user.role = changes.role;
+		}
+		if (changes.dungeons === null) {
+			delete user.dungeons;
+		} else if (changes.dungeons !== undefined) {
+			checkDungeons(changes.dungeons);
+			user.dungeons = changes.dungeons;
+		}
+		if (user.role !== "builder") delete user.dungeons;
+		if (changes.password !== undefined) {
+			checkPassword(changes.password);
+			user.password = await hashPassword(changes.password);
+		}
+
+		const updated = users.map((u) => (u === current ? user : u));
+		this.checkAdminRemains(updated);
+		await this.write(updated);
+		return user;
+	}
+
+	/**
+	 * Follow a dungeon rename in every builder's `dungeons` list, so
+	 * restricted builders keep the dungeons they had
+	 *
+	 * @returns The usernames whose lists changed
+	 */
+	async renameDungeon(oldId: string, newId: string): Promise<string[]> {
+		const users = await this.list();
+		const changed: string[] = [];
+		const updated = users.map((user) => {
+			if (!user.dungeons?.includes(oldId)) return user;
+			changed.push(user.username);
+			return {
+				...user,
+				dungeons: user.dungeons.map((id) => (id === oldId ? newId : id)),
+			};
+		});
+		if (changed.length > 0) await this.write(updated);
+		return changed;
+	}
+
+	async remove(username: string): Promise<void> {
+		const users = await this.list();
+		if (!users.some((user) => user.username === username)) {
+			throw new UserAccountError(`User "${username}" not found`, 404);
+		}
+		const remaining = users.filter((user) => user.username !== username);
+		this.checkAdminRemains(remaining);
+		await this.write(remaining);
+	}
+
+	/**
+	 * Create an `admin` account with a random password if there are no
+	 * accounts yet.
+	 *
+	 * @returns The generated password, or undefined if accounts exist
+	 */
+	async bootstrap(): Promise<string | undefined> {
+		if ((await this.list()).length > 0) return undefined;
+		const password = randomBytes(12).toString("base64url");
+		await this.add("admin", password, "admin");
+		return password;
+	}
+
+	/** Nobody could manage accounts any more without an admin */
+	private checkAdminRemains(users: UserAccount[]): void {
+		if (!users.some((user) => user.role === "admin")) {
+			throw new UserAccountError("At least one admin account must remain", 409);
+		}
+	}
+
+	private async read(): Promise<UserAccount[]> {
+		const data = YAML.load(await readFile(this.path, "utf-8")) as {
+			users?: UserAccount[];
+		} | null;
+		const users = data?.users ?? [];
+		for (const user of users) {
+			if (
+				typeof user?.username !== "string" ||
+				!isRole(user.role) ||
+				typeof user.password !== "string"
+			) {
+				throw new Error(
+					`${this.path}: every user needs a username, a role (${ROLES.join(", ")}) and a password hash`
+				);
+			}
+		}
+		return users;
+	}
+
+	private async write(users: UserAccount[]): Promise<void> {
+		await mkdir(dirname(this.path), { recursive: true });
+		const tempPath = `${this.path}.tmp`;
+		await writeFile(
+			tempPath,
+			YAML.dump({ users }, { lineWidth: -1, noRefs: true }),
+			{
+				encoding: "utf-8",
+				mode: 0o600,
+			}
+		);
+		await rename(tempPath, this.path);
+		this.users = users;
+		this.loadedMtime = (await stat(this.path)).mtimeMs;
+	}
+}
+
+interface Session {
+	username: string;
+	expires: number;
+}
+
+/** How long a login lasts */
+export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Login sessions by the token kept in the session cookie */
+export class SessionStore {
+	private sessions = new Map<string, Session>();
+
+	create(username: string): string {
+		const token = randomBytes(32).toString("base64url");
+		this.sessions.set(token, {
+			username,
+			expires: Date.now() + SESSION_MAX_AGE_MS,
+		});
+		return token;
+	}
+
+	/** The username logged in with a token, if the session is still valid */
+	get(token: string): string | undefined {
+		const session = this.sessions.get(token);
+		if (!session) return undefined;
+		if (session.expires <= Date.now()) {
+			this.sessions.delete(token);
+			return undefined;
+		}
+		return session.username;
+	}
+
+	delete(token: string): void {
+		this.sessions.delete(token);
+	}
+
+	/**
+	 * Log a user out everywhere, e.g. when the account is removed, or
+	 * everywhere but the session with `keepToken`
+	 */
+	deleteUser(username: string, keepToken?: string): void {
+		for (const [token, session] of this.sessions) {
+			if (session.username === username && token !== keepToken) {
+				this.sessions.delete(token);
+			}
+		}
+	}
+}